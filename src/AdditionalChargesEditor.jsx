@@ -0,0 +1,98 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { CHARGE_RULES } from './charges';
+
+export default function AdditionalChargesEditor({ charges, onChange }) {
+  const updateCharge = (id, changes) => {
+    onChange(charges.map(charge => (charge.id === id ? { ...charge, ...changes } : charge)));
+  };
+
+  const addCharge = () => {
+    onChange([...charges, { id: `charge_${Date.now()}`, name: 'New charge', price: 0, rule: 'optional', minHours: 0 }]);
+  };
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-lg font-semibold text-gray-900">Additional Charges</h3>
+        <button onClick={addCharge} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+          <Plus size={14} />
+          Add charge
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Meals, consumables and extras are quoted as separate items from the booking pattern. Parents can decline any of them on a quote.
+      </p>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-500">
+            <th className="text-left font-normal pb-1">Item</th>
+            <th className="text-left font-normal pb-1">Price (£)</th>
+            <th className="text-left font-normal pb-1">Charged</th>
+            <th className="text-left font-normal pb-1">Over (hours)</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {charges.map(charge => (
+            <tr key={charge.id}>
+              <td className="pr-2 py-1">
+                <input
+                  type="text"
+                  value={charge.name}
+                  onChange={(e) => updateCharge(charge.id, { name: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                />
+              </td>
+              <td className="pr-2 py-1">
+                <input
+                  type="number"
+                  step="0.25"
+                  min="0"
+                  value={charge.price}
+                  onChange={(e) => updateCharge(charge.id, { price: parseFloat(e.target.value) || 0 })}
+                  className="w-24 border border-gray-300 rounded-lg px-2 py-1"
+                />
+              </td>
+              <td className="pr-2 py-1">
+                <select
+                  value={charge.rule}
+                  onChange={(e) => updateCharge(charge.id, { rule: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                >
+                  {Object.entries(CHARGE_RULES).map(([rule, label]) => (
+                    <option key={rule} value={rule}>{label}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="pr-2 py-1">
+                {charge.rule === 'per_long_day' && (
+                  <input
+                    type="number"
+                    step="0.5"
+                    min="0"
+                    value={charge.minHours}
+                    onChange={(e) => updateCharge(charge.id, { minHours: parseFloat(e.target.value) || 0 })}
+                    className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+                  />
+                )}
+              </td>
+              <td className="py-1">
+                <button
+                  onClick={() => onChange(charges.filter(c => c.id !== charge.id))}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {charges.length === 0 && (
+        <p className="text-sm text-gray-400 mt-2">No additional charges; quotes cover chargeable hours only.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,303 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, CheckCircle } from 'lucide-react';
+import {
+  ATTENDANCE_STATUSES, ABSENCE_REASONS, getWeekStart, getWeekDates, getMonthDates, getBookedHours, getAttendedHours,
+  getRegisterTotals, updateRecord
+} from './attendance';
+import { isOpenDay } from './termCalendar';
+import { addDays, parseDate, todayISO, formatDate } from './dates';
+
+const dayLabel = (date) => parseDate(date).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric' });
+
+const statusColour = (record, booked) => {
+  if (record?.status === 'attended') return booked > 0 ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800';
+  if (record?.status === 'absent') return 'bg-red-100 text-red-800';
+  if (booked > 0) return 'bg-gray-100 text-gray-600';
+  return 'bg-white text-gray-300';
+};
+
+export default function AttendanceRegister({ children, attendance, onChange, academicYear, initialChildId }) {
+  const [view, setView] = useState(initialChildId ? 'child' : 'week');
+  const [weekStart, setWeekStart] = useState(getWeekStart(todayISO()));
+  const [calendarChildId, setCalendarChildId] = useState(initialChildId || children[0]?.id || null);
+  const [month, setMonth] = useState(() => {
+    const today = parseDate(todayISO());
+    return { year: today.getFullYear(), month: today.getMonth() };
+  });
+
+  const weekDates = getWeekDates(weekStart);
+  const isClosed = (date) => academicYear && !isOpenDay(academicYear, date);
+
+  const setRecord = (childId, date, record) => {
+    onChange(updateRecord(attendance, childId, date, record));
+  };
+
+  const handleStatusChange = (childId, date, status) => {
+    if (!status) {
+      setRecord(childId, date, null);
+    } else {
+      setRecord(childId, date, { status, absenceReason: status === 'absent' ? 'sickness' : undefined });
+    }
+  };
+
+  // Marks every booked, unrecorded session this week as attended
+  const handleMarkWeekAttended = () => {
+    let updated = attendance;
+    children.forEach(child => {
+      weekDates.forEach(date => {
+        if (getBookedHours(child, date) > 0 && !updated[child.id]?.[date] && !isClosed(date)) {
+          updated = updateRecord(updated, child.id, date, { status: 'attended' });
+        }
+      });
+    });
+    onChange(updated);
+  };
+
+  const calendarChild = children.find(c => c.id === calendarChildId);
+  const monthDates = getMonthDates(month.year, month.month);
+  const leadingBlanks = (parseDate(monthDates[0]).getDay() + 6) % 7;
+  const monthTotals = calendarChild
+    ? getRegisterTotals(calendarChild, attendance[calendarChild.id], monthDates[0], monthDates[monthDates.length - 1], academicYear)
+    : null;
+
+  const changeMonth = (delta) => {
+    const date = new Date(month.year, month.month + delta, 1);
+    setMonth({ year: date.getFullYear(), month: date.getMonth() });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Attendance Register</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Hours used are calculated from attended sessions recorded here
+          </p>
+        </div>
+        <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+          {[
+            { id: 'week', label: 'Weekly Register' },
+            { id: 'child', label: 'Child Calendar' }
+          ].map(option => (
+            <button
+              key={option.id}
+              onClick={() => setView(option.id)}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                view === option.id ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {view === 'week' && (
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center gap-2">
+              <button onClick={() => setWeekStart(addDays(weekStart, -7))} className="p-1 rounded hover:bg-gray-100">
+                <ChevronLeft size={18} />
+              </button>
+              <h3 className="text-lg font-semibold text-gray-900">Week commencing {formatDate(weekStart)}</h3>
+              <button onClick={() => setWeekStart(addDays(weekStart, 7))} className="p-1 rounded hover:bg-gray-100">
+                <ChevronRight size={18} />
+              </button>
+            </div>
+            <button
+              onClick={handleMarkWeekAttended}
+              className="flex items-center gap-2 text-sm px-3 py-1.5 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200"
+            >
+              <CheckCircle size={14} />
+              Mark booked sessions attended
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-2 px-2 font-medium text-gray-700">Child</th>
+                  {weekDates.map(date => (
+                    <th key={date} className="text-center py-2 px-2 font-medium text-gray-700">
+                      {dayLabel(date)}
+                      {isClosed(date) && <span className="block text-xs font-normal text-gray-400">Closed</span>}
+                    </th>
+                  ))}
+                  <th className="text-center py-2 px-2 font-medium text-gray-700">Booked / Attended</th>
+                </tr>
+              </thead>
+              <tbody>
+                {children.map(child => {
+                  const records = attendance[child.id] || {};
+                  const totals = getRegisterTotals(child, records, weekDates[0], weekDates[4], academicYear);
+                  return (
+                    <tr key={child.id} className="border-b border-gray-100 align-top">
+                      <td className="py-2 px-2 font-medium text-gray-900">{child.name}</td>
+                      {weekDates.map(date => {
+                        const booked = getBookedHours(child, date);
+                        const record = records[date];
+                        return (
+                          <td key={date} className={`py-2 px-2 ${isClosed(date) ? 'bg-gray-50' : ''}`}>
+                            <div className="text-xs text-gray-400 text-center mb-1">
+                              {booked > 0 ? `Booked ${booked}h` : 'Not booked'}
+                            </div>
+                            <select
+                              value={record?.status || ''}
+                              onChange={(e) => handleStatusChange(child.id, date, e.target.value)}
+                              className={`w-full border border-gray-300 rounded px-1 py-0.5 text-xs ${statusColour(record, booked)}`}
+                            >
+                              <option value="">Not recorded</option>
+                              {Object.entries(ATTENDANCE_STATUSES).map(([status, label]) => (
+                                <option key={status} value={status}>{label}</option>
+                              ))}
+                            </select>
+                            {record?.status === 'attended' && (
+                              <div className="flex gap-1 mt-1">
+                                <input
+                                  type="time"
+                                  value={record.arrival || ''}
+                                  onChange={(e) => setRecord(child.id, date, { arrival: e.target.value })}
+                                  className="w-1/2 border border-gray-300 rounded px-1 py-0.5 text-xs"
+                                  title="Arrival"
+                                />
+                                <input
+                                  type="time"
+                                  value={record.departure || ''}
+                                  onChange={(e) => setRecord(child.id, date, { departure: e.target.value })}
+                                  className="w-1/2 border border-gray-300 rounded px-1 py-0.5 text-xs"
+                                  title="Departure"
+                                />
+                              </div>
+                            )}
+                            {record?.status === 'absent' && (
+                              <select
+                                value={record.absenceReason || 'other'}
+                                onChange={(e) => setRecord(child.id, date, { absenceReason: e.target.value })}
+                                className="w-full border border-gray-300 rounded px-1 py-0.5 text-xs mt-1"
+                              >
+                                {Object.entries(ABSENCE_REASONS).map(([reason, label]) => (
+                                  <option key={reason} value={reason}>{label}</option>
+                                ))}
+                              </select>
+                            )}
+                            {record?.status === 'attended' && (
+                              <div className="text-xs text-center text-gray-600 mt-1">
+                                {getAttendedHours(record, booked)}h
+                              </div>
+                            )}
+                          </td>
+                        );
+                      })}
+                      <td className="py-2 px-2 text-center">
+                        <span className="text-gray-500">{totals.booked}h</span>
+                        {' / '}
+                        <span className="font-medium text-gray-900">{totals.attended}h</span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {children.length === 0 && (
+            <p className="text-center py-8 text-gray-400">Add children to start recording attendance</p>
+          )}
+        </div>
+      )}
+
+      {view === 'child' && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+            <div className="flex items-center justify-between mb-4">
+              <select
+                value={calendarChildId || ''}
+                onChange={(e) => setCalendarChildId(parseInt(e.target.value))}
+                className="border border-gray-300 rounded-lg px-3 py-2"
+              >
+                {children.map(child => (
+                  <option key={child.id} value={child.id}>{child.name}</option>
+                ))}
+              </select>
+              <div className="flex items-center gap-2">
+                <button onClick={() => changeMonth(-1)} className="p-1 rounded hover:bg-gray-100">
+                  <ChevronLeft size={18} />
+                </button>
+                <span className="font-semibold text-gray-900 w-36 text-center">
+                  {new Date(month.year, month.month, 1).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })}
+                </span>
+                <button onClick={() => changeMonth(1)} className="p-1 rounded hover:bg-gray-100">
+                  <ChevronRight size={18} />
+                </button>
+              </div>
+            </div>
+
+            {calendarChild && (
+              <div className="grid grid-cols-7 gap-1 text-xs">
+                {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => (
+                  <div key={day} className="text-center font-medium text-gray-500 py-1">{day}</div>
+                ))}
+                {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} />)}
+                {monthDates.map(date => {
+                  const booked = getBookedHours(calendarChild, date);
+                  const record = attendance[calendarChild.id]?.[date];
+                  return (
+                    <div
+                      key={date}
+                      className={`rounded-lg p-2 h-16 ${statusColour(record, booked)} ${isClosed(date) ? 'opacity-60' : ''}`}
+                    >
+                      <div className="font-medium">{parseDate(date).getDate()}</div>
+                      {record?.status === 'attended' && <div>{getAttendedHours(record, booked)}h</div>}
+                      {record?.status === 'absent' && <div>{ABSENCE_REASONS[record.absenceReason] || 'Absent'}</div>}
+                      {!record && booked > 0 && <div>{booked}h booked</div>}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {monthTotals && (
+            <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">Month Summary</h3>
+              <div className="space-y-1 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Booked hours:</span>
+                  <span className="font-medium">{monthTotals.booked}h</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Attended hours:</span>
+                  <span className="font-medium">{monthTotals.attended}h</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Extra sessions:</span>
+                  <span className="font-medium">{monthTotals.extraSessions}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Absences:</span>
+                  <span className="font-medium">{monthTotals.absentDays}</span>
+                </div>
+                {Object.entries(monthTotals.byReason).map(([reason, count]) => (
+                  <div key={reason} className="flex justify-between pl-4">
+                    <span className="text-gray-400">{ABSENCE_REASONS[reason]}</span>
+                    <span>{count}</span>
+                  </div>
+                ))}
+                <div className="flex justify-between pt-2 border-t border-gray-100">
+                  <span className="text-gray-500">Hours used this year:</span>
+                  <span className="font-medium">{calendarChild.hoursUsed}h</span>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2 mt-4 text-xs">
+                <span className="px-2 py-0.5 rounded bg-green-100 text-green-800">Attended</span>
+                <span className="px-2 py-0.5 rounded bg-blue-100 text-blue-800">Extra session</span>
+                <span className="px-2 py-0.5 rounded bg-red-100 text-red-800">Absent</span>
+                <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-600">Booked, not recorded</span>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
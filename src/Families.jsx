@@ -0,0 +1,307 @@
+import React, { useState } from 'react';
+import { Plus, Edit2, Trash2, X, Home, Phone, Mail, AlertCircle } from 'lucide-react';
+import {
+  EMPTY_FAMILY, EMPTY_CONTACT, SIBLING_DISCOUNT_TYPES, getFamilyChildren, describeSiblingDiscount, validateFamily
+} from './families';
+import { getAccountBalances } from './invoicing';
+
+export default function Families({
+  families, children, invoices, onChange, siblingDiscount, onChangeSiblingDiscount, highlightFamilyId, onOpenChild
+}) {
+  const [form, setForm] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+
+  const accounts = getAccountBalances(invoices);
+
+  const openForm = (family = null) => {
+    setForm(family || { ...EMPTY_FAMILY, id: null });
+    setFormErrors([]);
+  };
+
+  const updateContact = (index, changes) => {
+    setForm({ ...form, contacts: form.contacts.map((contact, i) => (i === index ? { ...contact, ...changes } : contact)) });
+  };
+
+  const handleSave = () => {
+    const errors = validateFamily(form);
+    setFormErrors(errors);
+    if (errors.length > 0) return;
+
+    const family = { ...form, name: form.name.trim() };
+    onChange(family.id
+      ? families.map(f => (f.id === family.id ? family : f))
+      : [...families, { ...family, id: Date.now() }]);
+    setForm(null);
+  };
+
+  const handleDelete = (family) => {
+    if (!window.confirm(`Remove ${family.name}?`)) return;
+    onChange(families.filter(f => f.id !== family.id));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Families</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Siblings share one quote, one invoice and one account
+          </p>
+        </div>
+        <button
+          onClick={() => openForm()}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <Plus size={18} />
+          Add Family
+        </button>
+      </div>
+
+      {/* Sibling Discount */}
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Sibling Discount</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Taken off additional (chargeable) hours only; funded hours and extras are never discounted. The eldest sibling is the first child.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Discount</label>
+            <select
+              value={siblingDiscount.type}
+              onChange={(e) => onChangeSiblingDiscount({ ...siblingDiscount, type: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1"
+            >
+              {Object.entries(SIBLING_DISCOUNT_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {siblingDiscount.type !== 'none' && (
+            <>
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">
+                  {siblingDiscount.type === 'percent' ? 'Percentage (%)' : 'Amount (£/month)'}
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step={siblingDiscount.type === 'percent' ? 1 : 0.5}
+                  value={siblingDiscount.value}
+                  onChange={(e) => onChangeSiblingDiscount({ ...siblingDiscount, value: parseFloat(e.target.value) || 0 })}
+                  className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-500 mb-1">Applies from child</label>
+                <select
+                  value={siblingDiscount.fromChild}
+                  onChange={(e) => onChangeSiblingDiscount({ ...siblingDiscount, fromChild: parseInt(e.target.value) })}
+                  className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                >
+                  {[2, 3, 4].map(position => (
+                    <option key={position} value={position}>{position === 2 ? '2nd' : position === 3 ? '3rd' : '4th'} child onwards</option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+        </div>
+        <p className="text-sm text-gray-600 mt-3">{describeSiblingDiscount(siblingDiscount)}</p>
+      </div>
+
+      {/* Family Cards */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {families.map(family => {
+          const siblings = getFamilyChildren(family.id, children);
+          const account = accounts[family.id];
+          return (
+            <div
+              key={family.id}
+              className={`bg-white rounded-xl p-5 shadow-sm border ${
+                family.id === highlightFamilyId ? 'border-blue-400 ring-2 ring-blue-100' : 'border-gray-100'
+              }`}
+            >
+              <div className="flex justify-between items-start">
+                <div>
+                  <h3 className="font-semibold text-gray-900">{family.name}</h3>
+                  {family.address && (
+                    <p className="flex items-start gap-1 text-sm text-gray-500 mt-1 whitespace-pre-line">
+                      <Home size={14} className="mt-0.5 shrink-0" />
+                      {family.address}
+                    </p>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => openForm(family)} className="text-gray-400 hover:text-blue-600">
+                    <Edit2 size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(family)}
+                    disabled={siblings.length > 0}
+                    title={siblings.length > 0 ? 'Move or remove the children first' : undefined}
+                    className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-3 space-y-2">
+                {family.contacts.map((contact, index) => (
+                  <div key={index} className="text-sm">
+                    <p className="font-medium text-gray-700">
+                      {contact.name} <span className="font-normal text-gray-500">({contact.relationship})</span>
+                    </p>
+                    <div className="flex flex-wrap gap-x-4 text-gray-500">
+                      {contact.phone && <span className="flex items-center gap-1"><Phone size={12} />{contact.phone}</span>}
+                      {contact.email && <span className="flex items-center gap-1"><Mail size={12} />{contact.email}</span>}
+                    </div>
+                  </div>
+                ))}
+                {family.contacts.length === 0 && (
+                  <p className="text-sm text-gray-400">No contacts recorded.</p>
+                )}
+              </div>
+
+              <div className="flex items-center justify-between mt-4 pt-3 border-t border-gray-100">
+                <div className="flex flex-wrap gap-2">
+                  {siblings.map(child => (
+                    <button
+                      key={child.id}
+                      onClick={() => onOpenChild(child.id)}
+                      className="text-xs px-2 py-1 rounded-full bg-blue-50 text-blue-700 hover:bg-blue-100"
+                    >
+                      {child.name}
+                    </button>
+                  ))}
+                  {siblings.length === 0 && <span className="text-xs text-gray-400">No children</span>}
+                </div>
+                {account && (
+                  <span className={`text-sm font-medium ${account.balance > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    Balance £{account.balance.toFixed(2)}
+                  </span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Family Form */}
+      {form && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-lg font-semibold">{form.id ? 'Edit Family' : 'Add Family'}</h3>
+              <button onClick={() => setForm(null)} className="text-gray-400 hover:text-gray-600">
+                <X size={20} />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Family Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="e.g. Thompson family"
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                <textarea
+                  rows={3}
+                  value={form.address}
+                  onChange={(e) => setForm({ ...form, address: e.target.value })}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </div>
+              <div>
+                <div className="flex justify-between items-center mb-1">
+                  <label className="block text-sm font-medium text-gray-700">Parents &amp; Carers</label>
+                  <button
+                    onClick={() => setForm({ ...form, contacts: [...form.contacts, EMPTY_CONTACT] })}
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    <Plus size={14} />
+                    Add contact
+                  </button>
+                </div>
+                <div className="space-y-3">
+                  {form.contacts.map((contact, index) => (
+                    <div key={index} className="border border-gray-100 rounded-lg p-3 grid grid-cols-2 gap-2">
+                      <input
+                        type="text"
+                        value={contact.name}
+                        onChange={(e) => updateContact(index, { name: e.target.value })}
+                        placeholder="Name"
+                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                      />
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          value={contact.relationship}
+                          onChange={(e) => updateContact(index, { relationship: e.target.value })}
+                          placeholder="Relationship"
+                          className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                        />
+                        <button
+                          onClick={() => setForm({ ...form, contacts: form.contacts.filter((_, i) => i !== index) })}
+                          className="text-gray-400 hover:text-red-600"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                      <input
+                        type="tel"
+                        value={contact.phone}
+                        onChange={(e) => updateContact(index, { phone: e.target.value })}
+                        placeholder="Phone"
+                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                      />
+                      <input
+                        type="email"
+                        value={contact.email}
+                        onChange={(e) => updateContact(index, { email: e.target.value })}
+                        placeholder="Email"
+                        className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {formErrors.length > 0 && (
+                <div className="bg-red-50 rounded-lg p-3 space-y-1">
+                  {formErrors.map(error => (
+                    <p key={error} className="flex items-center gap-2 text-sm text-red-700">
+                      <AlertCircle size={14} />
+                      {error}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="flex gap-3 mt-6">
+              <button
+                onClick={() => setForm(null)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Save Family
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
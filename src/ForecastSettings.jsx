@@ -0,0 +1,53 @@
+import React from 'react';
+import { FORECAST_BASES } from './forecasting';
+
+export default function ForecastSettings({ settings, onChange }) {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Forecast Alerts</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Year-end usage is forecast from each child's recent attendance, last year's term-by-term attendance and the holidays still to come.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Flag under-use below (% of funded hours)</label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={settings.threshold}
+            onChange={(e) => update({ threshold: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) })}
+            className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Compare the threshold with</label>
+          <select
+            value={settings.alertOn}
+            onChange={(e) => update({ alertOn: e.target.value })}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          >
+            {Object.entries(FORECAST_BASES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-400 mt-1">The low end flags more children, the high end only the clearest cases.</p>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Flag absence over (% of booked hours, 0 for never)</label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={settings.absenceAlert}
+            onChange={(e) => update({ absenceAlert: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) })}
+            className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
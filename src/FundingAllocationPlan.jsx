@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { X, AlertCircle } from 'lucide-react';
+import { getAvailableEntitlement } from './children';
+import {
+  createEvenAllocation, createTermTimeAllocation, getAllocationShortfall, getAllocationRows, getAllocatedTotal,
+  validateAllocation
+} from './allocation';
+import { formatDate, parseDate } from './dates';
+
+const shortDate = (iso) => parseDate(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+export default function FundingAllocationPlan({ child, academicYear, records, fundingYears, onSave, onClose }) {
+  const savedPlan = child.fundingAllocations?.[academicYear.id];
+  const [plan, setPlan] = useState(() => savedPlan ?? createEvenAllocation(child, academicYear, fundingYears));
+
+  const available = getAvailableEntitlement(child, academicYear, fundingYears);
+  const allocated = getAllocatedTotal(plan);
+  const rows = getAllocationRows(child, plan, academicYear, records, fundingYears);
+  const errors = validateAllocation(child, plan, academicYear, fundingYears);
+  const shortfall = getAllocationShortfall(child, academicYear, fundingYears);
+  const chartData = rows.map(row => ({ name: shortDate(row.weekStart), allocated: row.allocated, used: row.used }));
+
+  const handleRemove = () => {
+    if (!window.confirm(`Go back to spreading ${child.name}'s funding evenly over twelve months?`)) return;
+    onSave(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl p-6 w-full max-w-4xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="text-lg font-semibold">Funding Allocation: {child.name}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          How {child.name}'s stretched funding is shared across the weeks of {academicYear.id}. Invoices deduct each week's allocated hours.
+        </p>
+
+        <div className="grid grid-cols-3 gap-4 mb-4">
+          <div className="bg-gray-50 rounded-lg p-3">
+            <p className="text-xs text-gray-500">Available this year</p>
+            <p className="text-lg font-semibold text-gray-900">{available} hrs</p>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-3">
+            <p className="text-xs text-gray-500">Allocated</p>
+            <p className="text-lg font-semibold text-gray-900">{allocated} hrs</p>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-3">
+            <p className="text-xs text-gray-500">Unallocated</p>
+            <p className={`text-lg font-semibold ${allocated > available ? 'text-red-600' : 'text-gray-900'}`}>
+              {Math.round((available - allocated) * 100) / 100} hrs
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2 mb-4">
+          <span className="text-sm text-gray-500">Fill with:</span>
+          <button
+            onClick={() => setPlan(createEvenAllocation(child, academicYear, fundingYears))}
+            className="text-sm px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+          >
+            Even weeks
+          </button>
+          <button
+            onClick={() => setPlan(createTermTimeAllocation(child, academicYear, fundingYears))}
+            className="text-sm px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+          >
+            Term time first
+          </button>
+        </div>
+
+        {shortfall > 0 && (
+          <p className="flex items-center gap-2 text-sm text-amber-800 bg-amber-50 rounded-lg p-3 mb-4">
+            <AlertCircle size={14} />
+            {child.name}'s bookings leave room for only {Math.round((available - shortfall) * 100) / 100} of the {available} funded hours, so {shortfall} hours can't be allocated.
+          </p>
+        )}
+
+        {errors.length > 0 && (
+          <div className="bg-amber-50 rounded-lg p-3 mb-4 space-y-1">
+            {errors.map(error => (
+              <p key={error} className="flex items-center gap-2 text-sm text-amber-800">
+                <AlertCircle size={14} />
+                {error}
+              </p>
+            ))}
+          </div>
+        )}
+
+        <h4 className="text-sm font-medium text-gray-700 mb-2">Allocated and Used Hours by Week</h4>
+        <ResponsiveContainer width="100%" height={200}>
+          <BarChart data={chartData}>
+            <XAxis dataKey="name" tick={{ fontSize: 10 }} />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="allocated" fill="#8B5CF6" name="Allocated" />
+            <Bar dataKey="used" fill="#10B981" name="Used" />
+          </BarChart>
+        </ResponsiveContainer>
+
+        <div className="overflow-y-auto max-h-80 mt-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 px-2 font-medium text-gray-700">Week of</th>
+                <th className="text-left py-2 px-2 font-medium text-gray-700">Type</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Limit</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Allocated</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Used</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.weekStart} className="border-b border-gray-100">
+                  <td className="py-1 px-2 text-gray-900">{formatDate(row.weekStart)}</td>
+                  <td className="py-1 px-2">
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${row.termTime ? 'bg-blue-100 text-blue-700' : 'bg-amber-100 text-amber-700'}`}>
+                      {row.termTime ? 'Term' : 'Holiday'}
+                    </span>
+                  </td>
+                  <td className="py-1 px-2 text-right text-gray-500">{Math.min(row.caps.weekly, row.caps.booked)}</td>
+                  <td className="py-1 px-2 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={row.allocated}
+                      onChange={(e) => setPlan({ ...plan, [row.weekStart]: parseFloat(e.target.value) || 0 })}
+                      className={`w-20 border rounded-lg px-2 py-0.5 text-right ${
+                        row.allocated > Math.min(row.caps.weekly, row.caps.booked) ? 'border-red-400 bg-red-50' : 'border-gray-300'
+                      }`}
+                    />
+                  </td>
+                  <td className="py-1 px-2 text-right text-gray-600">{row.used}</td>
+                  <td className={`py-1 px-2 text-right font-medium ${row.balance < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    {row.balance}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-between items-center mt-4">
+          {savedPlan ? (
+            <button onClick={handleRemove} className="text-sm text-gray-500 hover:text-red-600">
+              Remove plan
+            </button>
+          ) : <span />}
+          <div className="flex gap-2">
+            <button onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave(plan)}
+              disabled={errors.length > 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save Plan
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,77 +1,165 @@
-import React, { useState, useMemo } from 'react';
-import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { Plus, Users, Clock, PoundSterling, TrendingUp, AlertCircle, CheckCircle, Calculator, Trash2, Edit2, X, ChevronDown, ChevronUp, Settings, Calendar } from 'lucide-react';
-
-// UK Funding Constants
-const FUNDING_SCHEMES = {
-  universal_15: {
-    name: '15 Hours Universal',
-    description: 'All 3-4 year olds',
-    hoursPerYear: 570,
-    weeksTermTime: 38,
-    ageMin: 3,
-    ageMax: 4,
-    color: '#3B82F6'
-  },
-  eligible_2yr: {
-    name: '15 Hours (Eligible 2yr)',
-    description: 'Eligible 2 year olds',
-    hoursPerYear: 570,
-    weeksTermTime: 38,
-    ageMin: 2,
-    ageMax: 2,
-    color: '#8B5CF6'
-  },
-  extended_30: {
-    name: '30 Hours Extended',
-    description: 'Working parents 3-4yr olds',
-    hoursPerYear: 1140,
-    weeksTermTime: 38,
-    ageMin: 3,
-    ageMax: 4,
-    color: '#10B981'
-  },
-  expanded_under2: {
-    name: '15 Hours Expanded',
-    description: 'Working parents 9mo-2yr',
-    hoursPerYear: 570,
-    weeksTermTime: 38,
-    ageMin: 0.75,
-    ageMax: 2,
-    color: '#F59E0B'
-  }
-};
+import React, { useState, useMemo, useEffect } from 'react';
+import { PieChart, Pie, Cell, ComposedChart, Bar, Line, ErrorBar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { Plus, Users, Clock, PoundSterling, TrendingUp, AlertCircle, CheckCircle, Calculator, Trash2, Edit2, X, ChevronDown, ChevronUp, Settings, Calendar, Database, ClipboardList, FileText, Upload, Download, Printer, Receipt, Home, Layers, Archive, RotateCcw, LayoutGrid, ListChecks, SlidersHorizontal } from 'lucide-react';
+import { ELIGIBILITY_FLAGS, getScheme, getSchemes, getFundingYear, getRulesDate } from './fundingSchemes';
+import { DEFAULT_TERM_CALENDAR, TERM_NAMES, getTermStatus, getAcademicYear } from './termCalendar';
+import TermCalendarEditor from './TermCalendarEditor';
+import { getBestScheme, getEligibleSchemes, getUpcomingTransitions, checkEntitlement } from './eligibility';
+import { formatDate, todayISO } from './dates';
+import {
+  WEEKDAYS, MAX_HOURS_PER_DAY, TRACKED_FIELDS, getWeeklyHours, validateChild, recordChanges, formatFieldValue,
+  getEnrolledShare, getAvailableEntitlement
+} from './children';
+import AttendanceRegister from './AttendanceRegister';
+import { getTermBreakdown } from './headcount';
+import HeadcountReturn from './HeadcountReturn';
+import { rosterToRows } from './roster';
+import { downloadCsv } from './csv';
+import RosterImport from './RosterImport';
+import { DEFAULT_QUOTE_TERMS, createQuoteRecord } from './quotes';
+import QuotationDocument from './QuotationDocument';
+import QuoteBranding from './QuoteBranding';
+import { DEFAULT_RATE_CARD } from './rates';
+import RateCardEditor from './RateCardEditor';
+import { DEFAULT_LA_RATE_PROFILES, getRateProfile } from './laRates';
+import { getIncomeForecast } from './income';
+import IncomeForecast, { IncomeChart } from './IncomeForecast';
+import { DEFAULT_ADDITIONAL_CHARGES, isChargeSelected, describeChargeRule } from './charges';
+import AdditionalChargesEditor from './AdditionalChargesEditor';
+import Invoicing from './Invoicing';
+import { DEFAULT_SIBLING_DISCOUNT, EMPTY_CONTACT, createFamilyFor, getFamilyChildren, getSiblingPosition } from './families';
+import Families from './Families';
+import { applyScenario, projectFundedHours, sumScenarioRows } from './scenarios';
+import ScenarioPlanner from './ScenarioPlanner';
+import { suggestPatterns, getOpeningHours } from './patternOptimiser';
+import PatternOptimiser from './PatternOptimiser';
+import { DEFAULT_ROOMS } from './rooms';
+import RoomPlanner from './RoomPlanner';
+import { getEnquiryChild } from './enquiries';
+import WaitingList from './WaitingList';
+import { getAllocationPlan } from './allocation';
+import { EMPTY_SHARED_FUNDING, SHARED_FUNDING_PERIODS, getHoursClaimedElsewhere } from './sharedFunding';
+import FundingAllocationPlan from './FundingAllocationPlan';
+import {
+  calculateFundedWeeklyHours, getChildFundedWeeklyHours, quoteChild, getAnnualFees, getEntitlement, withUsage, summariseFunding,
+  getSuggestions, checkSharedFunding, DEFAULT_FORECAST_SETTINGS, forecastSetting
+} from './calculations';
+import ForecastSettings from './ForecastSettings';
+import {
+  EMPTY_ELIGIBILITY_CODE, CODE_STATUSES, requiresEligibilityCode, getReconfirmationDeadline, getGracePeriodEnd,
+  getCodeStatus, getCodeAlerts, reconfirmCode
+} from './eligibilityCodes';
 
 const SAMPLE_CHILDREN = [
   {
     id: 1,
+    familyId: 1,
     name: 'Emma Thompson',
     dob: '2022-03-15',
     entitlement: 'extended_30',
     weeklyPattern: { mon: 6, tue: 6, wed: 6, thu: 6, fri: 6 },
-    hoursUsed: 456,
-    stretchedOption: false
+    openingHoursUsed: 456,
+    stretchedOption: false,
+    eligibility: { workingParents: true, meetsTwoYearCriteria: false },
+    laSupplements: [],
+    eligibilityCode: { code: '50012345678', validFrom: '2026-08-01', reconfirmBy: '2026-11-01' },
+    startDate: '',
+    leaveDate: '',
+    archived: false,
+    history: []
   },
   {
     id: 2,
+    familyId: 2,
     name: 'Oliver Smith',
     dob: '2023-06-20',
     entitlement: 'eligible_2yr',
     weeklyPattern: { mon: 5, tue: 5, wed: 5, thu: 0, fri: 0 },
-    hoursUsed: 180,
-    stretchedOption: true
+    openingHoursUsed: 180,
+    stretchedOption: true,
+    eligibility: { workingParents: false, meetsTwoYearCriteria: true },
+    laSupplements: ['deprivation'],
+    eligibilityCode: EMPTY_ELIGIBILITY_CODE,
+    startDate: '',
+    leaveDate: '',
+    archived: false,
+    history: []
   },
   {
     id: 3,
-    name: 'Sophia Williams',
+    familyId: 1,
+    name: 'Sophia Thompson',
     dob: '2024-01-10',
     entitlement: 'expanded_under2',
     weeklyPattern: { mon: 4, tue: 4, wed: 4, thu: 4, fri: 0 },
-    hoursUsed: 96,
-    stretchedOption: false
+    openingHoursUsed: 96,
+    stretchedOption: false,
+    eligibility: { workingParents: true, meetsTwoYearCriteria: false },
+    laSupplements: [],
+    eligibilityCode: { code: '50087654321', validFrom: '2026-06-15', reconfirmBy: '2026-09-15' },
+    startDate: '',
+    leaveDate: '',
+    archived: false,
+    history: []
   }
 ];
 
+const SAMPLE_FAMILIES = [
+  {
+    id: 1,
+    name: 'Thompson family',
+    contacts: [{ name: 'Sarah Thompson', relationship: 'Mother', phone: '07700 900123', email: 'sarah.thompson@example.com' }],
+    address: '12 Orchard Lane\nReading\nRG1 2AB'
+  },
+  {
+    id: 2,
+    name: 'Smith family',
+    contacts: [{ name: 'James Smith', relationship: 'Father', phone: '07700 900456', email: '' }],
+    address: ''
+  }
+];
+
+const DEFAULT_PROVIDER_SETTINGS = {
+  rateCard: DEFAULT_RATE_CARD,
+  operatingWeeks: 51,
+  additionalCharges: DEFAULT_ADDITIONAL_CHARGES,
+  providerName: '',
+  providerAddress: '',
+  ofstedUrn: '',
+  logo: '',
+  quoteValidityDays: 30,
+  quoteTerms: DEFAULT_QUOTE_TERMS,
+  siblingDiscount: DEFAULT_SIBLING_DISCOUNT,
+  rooms: DEFAULT_ROOMS,
+  forecast: DEFAULT_FORECAST_SETTINGS
+};
+
+const EMPTY_CHILD = {
+  familyId: 'new',
+  name: '',
+  dob: '',
+  entitlement: 'universal_15',
+  weeklyPattern: { mon: 0, tue: 0, wed: 0, thu: 0, fri: 0 },
+  openingHoursUsed: 0,
+  stretchedOption: false,
+  eligibility: { workingParents: false, meetsTwoYearCriteria: false },
+  laSupplements: [],
+  eligibilityCode: EMPTY_ELIGIBILITY_CODE,
+  startDate: '',
+  leaveDate: '',
+  sharedFunding: null,
+  archived: false,
+  fundingAllocations: {},
+  history: []
+};
+
+const DEFAULT_QUOTATION = {
+  familyId: null,
+  weeksToQuote: 4,
+  // Charges the parent has opted into or declined, by charge id
+  charges: {}
+};
+
 // Helper functions
 const calculateAge = (dob) => {
   const today = new Date();
@@ -90,224 +178,385 @@ const calculateAgeInMonths = (dob) => {
   return (today.getFullYear() - birthDate.getFullYear()) * 12 + (today.getMonth() - birthDate.getMonth());
 };
 
-const getWeeklyHours = (pattern) => {
-  return Object.values(pattern).reduce((sum, hours) => sum + hours, 0);
-};
-
-const calculateFundedWeeklyHours = (scheme, stretched, operatingWeeks = 51) => {
-  const funding = FUNDING_SCHEMES[scheme];
-  if (stretched) {
-    return Math.round((funding.hoursPerYear / operatingWeeks) * 100) / 100;
-  }
-  return Math.round((funding.hoursPerYear / funding.weeksTermTime) * 100) / 100;
-};
-
-const getCurrentTermWeek = () => {
-  // Simplified - assumes we're in term
-  const termStart = new Date('2025-01-06');
-  const today = new Date();
-  const weeksDiff = Math.floor((today - termStart) / (7 * 24 * 60 * 60 * 1000));
-  return Math.max(1, Math.min(weeksDiff + 1, 38));
-};
-
-export default function FundingCalculator() {
-  const [children, setChildren] = useState(SAMPLE_CHILDREN);
+// One site's calculator. It is remounted when the site changes, so saved state is read
+// once; new settings keys fall back to their defaults.
+export default function FundingCalculator({ storedState, onSave, siteSwitcher, fundingYears }) {
+  const [children, setChildren] = useState(storedState?.children ?? SAMPLE_CHILDREN);
+  const [families, setFamilies] = useState(storedState?.families ?? SAMPLE_FAMILIES);
+  const [highlightFamilyId, setHighlightFamilyId] = useState(null);
   const [activeTab, setActiveTab] = useState('dashboard');
   const [showAddChild, setShowAddChild] = useState(false);
   const [editingChild, setEditingChild] = useState(null);
   const [selectedChild, setSelectedChild] = useState(null);
   const [providerSettings, setProviderSettings] = useState({
-    hourlyRate: 7.50,
-    operatingWeeks: 51,
-    mealCharge: 3.50,
-    consumablesCharge: 1.50
+    ...DEFAULT_PROVIDER_SETTINGS,
+    ...storedState?.providerSettings
   });
   const [showSettings, setShowSettings] = useState(false);
-
-  // New child form state
-  const [newChild, setNewChild] = useState({
-    name: '',
-    dob: '',
-    entitlement: 'universal_15',
-    weeklyPattern: { mon: 0, tue: 0, wed: 0, thu: 0, fri: 0 },
-    hoursUsed: 0,
-    stretchedOption: false
-  });
+  const [termCalendar, setTermCalendar] = useState(storedState?.termCalendar ?? DEFAULT_TERM_CALENDAR);
+  const [attendance, setAttendance] = useState(storedState?.attendance ?? {});
+  const [rateProfiles, setRateProfiles] = useState(storedState?.rateProfiles ?? DEFAULT_LA_RATE_PROFILES);
+  const [invoices, setInvoices] = useState(storedState?.invoices ?? []);
+  const [scenarios, setScenarios] = useState(storedState?.scenarios ?? []);
+  const [enquiries, setEnquiries] = useState(storedState?.enquiries ?? []);
+  const [registerChildId, setRegisterChildId] = useState(null);
+  const [allocationChildId, setAllocationChildId] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+
+  // Add/edit child form state
+  const [newChild, setNewChild] = useState(EMPTY_CHILD);
+  const [effectiveFrom, setEffectiveFrom] = useState(todayISO());
+  const [childFormErrors, setChildFormErrors] = useState([]);
 
   // Quotation state
   const [quotation, setQuotation] = useState({
-    childId: null,
-    weeksToQuote: 4,
-    includeMeals: true,
-    mealsPerWeek: 5,
-    includeConsumables: true
+    ...DEFAULT_QUOTATION,
+    ...storedState?.quotation
   });
+  const [savedQuotes, setSavedQuotes] = useState(storedState?.savedQuotes ?? []);
+  const [printQuote, setPrintQuote] = useState(null);
+
+  // Save automatically whenever persisted state changes
+  useEffect(() => {
+    onSave({ children, families, providerSettings, quotation, savedQuotes, termCalendar, attendance, rateProfiles, invoices, scenarios, enquiries });
+  }, [children, families, providerSettings, quotation, savedQuotes, termCalendar, attendance, rateProfiles, invoices, scenarios, enquiries]);
+
+  // Open the print dialog once the chosen quotation document has rendered
+  useEffect(() => {
+    if (printQuote) window.print();
+  }, [printQuote]);
+
+  // Current term and funded weeks from the term calendar
+  const termStatus = useMemo(() => getTermStatus(termCalendar), [termCalendar]);
+  const academicYear = useMemo(() => getAcademicYear(termCalendar), [termCalendar]);
+  // The funding year whose rules set this academic year's hours
+  const rulesDate = getRulesDate(academicYear);
+  const fundedTermWeeks = termStatus?.fundedWeeks || 38;
+  const currentRateProfile = useMemo(() => getRateProfile(rateProfiles), [rateProfiles]);
+
+  // Hours used this year come from the attendance register plus any opening balance.
+  // Joiners and leavers only have the entitlement for the part of the year they are on roll.
+  const childrenWithUsage = useMemo(
+    () => withUsage(children, attendance, academicYear, { operatingWeeks: providerSettings.operatingWeeks, fundingYears }),
+    [children, attendance, academicYear, providerSettings.operatingWeeks, fundingYears]
+  );
 
-  // Calculate summary statistics
-  const summary = useMemo(() => {
-    let totalFundedHours = 0;
-    let totalUsedHours = 0;
-    let totalRemainingHours = 0;
-
-    children.forEach(child => {
-      const scheme = FUNDING_SCHEMES[child.entitlement];
-      totalFundedHours += scheme.hoursPerYear;
-      totalUsedHours += child.hoursUsed;
-      totalRemainingHours += scheme.hoursPerYear - child.hoursUsed;
-    });
+  // Leavers are archived rather than deleted, so their funding stays in this year's figures
+  const activeChildren = useMemo(() => children.filter(child => !child.archived), [children]);
+  const activeWithUsage = useMemo(() => childrenWithUsage.filter(child => !child.archived), [childrenWithUsage]);
+  const archivedChildren = children.filter(child => child.archived);
+  const onRollThisYear = useMemo(
+    () => childrenWithUsage.filter(child => getEnrolledShare(child, academicYear) > 0),
+    [childrenWithUsage, academicYear]
+  );
 
-    return {
-      totalChildren: children.length,
-      totalFundedHours,
-      totalUsedHours,
-      totalRemainingHours,
-      averageUtilisation: totalFundedHours > 0 ? Math.round((totalUsedHours / totalFundedHours) * 100) : 0
-    };
-  }, [children]);
-
-  // Calculate optimisation suggestions
-  const optimisations = useMemo(() => {
-    const suggestions = [];
-    const currentWeek = getCurrentTermWeek();
-    const weeksRemaining = 38 - currentWeek;
-
-    children.forEach(child => {
-      const scheme = FUNDING_SCHEMES[child.entitlement];
-      const weeklyBooked = getWeeklyHours(child.weeklyPattern);
-      const fundedWeekly = calculateFundedWeeklyHours(child.entitlement, child.stretchedOption, providerSettings.operatingWeeks);
-      const remaining = scheme.hoursPerYear - child.hoursUsed;
-      const projectedUsage = child.hoursUsed + (weeklyBooked * weeksRemaining);
-
-      // Under-utilisation warning
-      if (projectedUsage < scheme.hoursPerYear * 0.85) {
-        const shortfall = scheme.hoursPerYear - projectedUsage;
-        suggestions.push({
-          type: 'warning',
-          child: child.name,
-          title: 'Under-utilisation projected',
-          message: `${child.name} is on track to use only ${Math.round(projectedUsage)} of ${scheme.hoursPerYear} funded hours (${Math.round(shortfall)} hours unused).`,
-          recommendation: `Consider increasing weekly hours by ${Math.ceil(shortfall / weeksRemaining)} hours to maximise funding.`
-        });
-      }
-
-      // Over-booking warning
-      if (weeklyBooked > fundedWeekly + 2) {
-        suggestions.push({
-          type: 'info',
-          child: child.name,
-          title: 'Additional hours being used',
-          message: `${child.name} is booked for ${weeklyBooked}hrs/week but only ${fundedWeekly.toFixed(1)}hrs/week are funded.`,
-          recommendation: `Parent will be charged for ${(weeklyBooked - fundedWeekly).toFixed(1)} additional hours per week.`
-        });
-      }
-
-      // Stretching recommendation
-      if (!child.stretchedOption && weeklyBooked > fundedWeekly) {
-        const stretchedWeekly = calculateFundedWeeklyHours(child.entitlement, true, providerSettings.operatingWeeks);
-        if (stretchedWeekly >= weeklyBooked * 0.9) {
-          suggestions.push({
-            type: 'success',
-            child: child.name,
-            title: 'Stretching recommended',
-            message: `Switching ${child.name} to stretched funding would provide ${stretchedWeekly.toFixed(1)}hrs/week over ${providerSettings.operatingWeeks} weeks.`,
-            recommendation: `This could reduce parent charges while maintaining the same booking pattern.`
-          });
-        }
-      }
-    });
+  const summary = useMemo(() => summariseFunding(childrenWithUsage, academicYear), [childrenWithUsage, academicYear]);
 
-    return suggestions;
-  }, [children, providerSettings]);
-
-  // Add child handler
-  const handleAddChild = () => {
-    if (!newChild.name || !newChild.dob) return;
-
-    setChildren([...children, {
-      ...newChild,
-      id: Date.now()
-    }]);
-    setNewChild({
-      name: '',
-      dob: '',
-      entitlement: 'universal_15',
-      weeklyPattern: { mon: 0, tue: 0, wed: 0, thu: 0, fri: 0 },
-      hoursUsed: 0,
-      stretchedOption: false
-    });
+  const codeAlerts = useMemo(() => getCodeAlerts(activeChildren, todayISO(), fundingYears), [activeChildren, fundingYears]);
+
+  // Year-end usage forecast from the register, for each child and the whole setting
+  const usageForecast = useMemo(
+    () => forecastSetting(onRollThisYear, attendance, {
+      termCalendar, academicYear, operatingWeeks: providerSettings.operatingWeeks, fundingYears
+    }),
+    [onRollThisYear, attendance, termCalendar, academicYear, providerSettings.operatingWeeks, fundingYears]
+  );
+
+  const optimisations = useMemo(
+    () => getSuggestions(activeWithUsage, {
+      providerSettings, termStatus, academicYear, fundedTermWeeks, forecasts: usageForecast.forecasts, fundingYears
+    }),
+    [activeWithUsage, providerSettings, termStatus, academicYear, fundedTermWeeks, usageForecast, fundingYears]
+  );
+
+  // Open the child form, either blank or pre-filled to edit an existing child
+  const openChildForm = (child = null) => {
+    setEditingChild(child ? child.id : null);
+    setNewChild(child || EMPTY_CHILD);
+    setEffectiveFrom(todayISO());
+    setChildFormErrors([]);
+    setShowAddChild(true);
+  };
+
+  const closeChildForm = () => {
     setShowAddChild(false);
+    setEditingChild(null);
+  };
+
+  // Add or save child handler; edits are logged to the child's history
+  const handleSaveChild = () => {
+    const errors = validateChild(newChild, editingChild ? effectiveFrom : undefined, fundingYears);
+    setChildFormErrors(errors);
+    if (errors.length > 0) return;
+
+    // Children can be placed in a new family named after them
+    const id = editingChild || Date.now();
+    let familyId = newChild.familyId;
+    if (familyId === 'new') {
+      const family = createFamilyFor({ ...newChild, id }, Date.now() + 1);
+      setFamilies([...families, family]);
+      familyId = family.id;
+    }
+
+    if (editingChild) {
+      setChildren(children.map(c =>
+        c.id === editingChild ? { ...recordChanges(c, newChild, effectiveFrom), familyId } : c
+      ));
+    } else {
+      setChildren([...children, {
+        ...newChild,
+        name: newChild.name.trim(),
+        familyId,
+        id
+      }]);
+    }
+    setNewChild(EMPTY_CHILD);
+    closeChildForm();
   };
 
-  // Delete child handler
+  // Add children from a validated CSV import, each in a new family
+  const handleImportChildren = (imported) => {
+    const firstId = Date.now();
+    const added = imported.map((child, index) => ({ ...child, id: firstId + index, familyId: firstId + index }));
+    setChildren([...children, ...added]);
+    setFamilies([...families, ...added.map(child => createFamilyFor(child))]);
+    setShowImport(false);
+  };
+
+  // Update DOB or eligibility flags and pick the best scheme the child now qualifies for
+  const updateNewChildEligibility = (changes) => {
+    const updated = { ...newChild, ...changes };
+    const bestScheme = updated.dob ? getBestScheme(updated.dob, updated.eligibility, todayISO(), fundingYears) : null;
+    setNewChild(bestScheme ? { ...updated, entitlement: bestScheme } : updated);
+  };
+
+  // Enrol an accepted enquiry as a child in a new family with the parent as its contact
+  const handleConvertEnquiry = (enquiry) => {
+    if (!window.confirm(`Enrol ${enquiry.childName} as a child starting ${formatDate(enquiry.startDate)}?`)) return;
+    const id = Date.now();
+    const child = { ...EMPTY_CHILD, ...getEnquiryChild(enquiry, fundingYears), id };
+    const family = {
+      ...createFamilyFor(child, id + 1),
+      contacts: enquiry.parentName
+        ? [{ ...EMPTY_CONTACT, name: enquiry.parentName, phone: enquiry.parentPhone, email: enquiry.parentEmail }]
+        : []
+    };
+    setFamilies([...families, family]);
+    setChildren([...children, { ...child, familyId: family.id }]);
+    setEnquiries(enquiries.map(e => (e.id === enquiry.id ? { ...e, status: 'enrolled', childId: id } : e)));
+    openChild(id);
+  };
+
+  // Leavers are archived with a leave date; their attendance and invoices are kept
+  const handleArchiveChild = (child) => {
+    const leaveDate = child.leaveDate || todayISO();
+    if (!window.confirm(`Archive ${child.name} as a leaver on ${formatDate(leaveDate)}?`)) return;
+    setChildren(children.map(c =>
+      c.id === child.id ? { ...recordChanges(c, { ...c, leaveDate }), archived: true } : c
+    ));
+    if (selectedChild === child.id) setSelectedChild(null);
+  };
+
+  const handleRestoreChild = (child) => {
+    setChildren(children.map(c =>
+      c.id === child.id ? { ...recordChanges(c, { ...c, leaveDate: '' }), archived: false } : c
+    ));
+  };
+
+  // Removes an archived child and their register for good, e.g. one added by mistake
   const handleDeleteChild = (id) => {
+    if (!window.confirm('Delete this child and their attendance permanently?')) return;
     setChildren(children.filter(c => c.id !== id));
+    const { [id]: removed, ...remainingAttendance } = attendance;
+    setAttendance(remainingAttendance);
+  };
+
+  // Replace this site's data, e.g. to start an empty setting or reload the samples
+  const handleResetData = (startingChildren, startingFamilies) => {
+    const message = startingChildren.length > 0
+      ? 'Replace all children and settings with the sample data?'
+      : 'Remove all children and start with an empty setting?';
+    if (!window.confirm(message)) return;
+
+    setChildren(startingChildren);
+    setFamilies(startingFamilies);
+    setProviderSettings(DEFAULT_PROVIDER_SETTINGS);
+    setQuotation(DEFAULT_QUOTATION);
+    setSavedQuotes([]);
+    setTermCalendar(DEFAULT_TERM_CALENDAR);
+    setAttendance({});
+    setRateProfiles(DEFAULT_LA_RATE_PROFILES);
+    setInvoices([]);
+    setScenarios([]);
+    setEnquiries([]);
+    setSelectedChild(null);
+  };
+
+  // Update hours used before the attendance register was started
+  const updateOpeningHours = (id, hours) => {
+    setChildren(children.map(c =>
+      c.id === id ? { ...c, openingHoursUsed: Math.max(0, hours) } : c
+    ));
+  };
+
+  // Parents have reconfirmed their eligibility code with HMRC today
+  const handleReconfirmCode = (id) => {
+    setChildren(children.map(c =>
+      c.id === id ? recordChanges(c, { ...c, eligibilityCode: reconfirmCode(c.eligibilityCode) }) : c
+    ));
   };
 
-  // Update child hours
-  const updateChildHours = (id, hours) => {
+  // Switch a child to a pattern from the optimiser, effective from today
+  const handleApplyPattern = (id, weeklyPattern, stretchedOption) => {
     setChildren(children.map(c =>
-      c.id === id ? { ...c, hoursUsed: Math.max(0, hours) } : c
+      c.id === id ? recordChanges(c, { ...c, weeklyPattern, stretchedOption }, todayISO()) : c
     ));
   };
 
-  // Generate quotation
-  const generateQuotation = () => {
-    if (!quotation.childId) return null;
+  // Plans are kept per academic year; removing one goes back to the twelve-month split
+  const handleSaveAllocation = (id, plan) => {
+    setChildren(children.map(c => {
+      if (c.id !== id) return c;
+      const fundingAllocations = { ...c.fundingAllocations };
+      if (plan) fundingAllocations[academicYear.id] = plan;
+      else delete fundingAllocations[academicYear.id];
+      return { ...c, fundingAllocations };
+    }));
+    setAllocationChildId(null);
+  };
+
+  const openRegister = (childId = null) => {
+    setRegisterChildId(childId);
+    setActiveTab('register');
+  };
 
-    const child = children.find(c => c.id === quotation.childId);
+  const openFamily = (familyId) => {
+    setHighlightFamilyId(familyId);
+    setActiveTab('families');
+  };
+
+  const openChild = (childId) => {
+    setSelectedChild(childId);
+    setActiveTab('children');
+  };
+
+  // Generate one child's part of a quotation; later siblings may get a discount on chargeable hours
+  const generateQuotation = (child, options = quotation, siblingPosition = 1, operatingWeeks = providerSettings.operatingWeeks) => {
     if (!child) return null;
+    return quoteChild(child, { providerSettings, fundedTermWeeks, options, siblingPosition, operatingWeeks, fundingYears });
+  };
 
-    const weeklyBooked = getWeeklyHours(child.weeklyPattern);
-    const fundedWeekly = calculateFundedWeeklyHours(child.entitlement, child.stretchedOption, providerSettings.operatingWeeks);
-    const chargeableHours = Math.max(0, weeklyBooked - fundedWeekly);
+  // Quote an enquiry at their age and best funding on the desired start date
+  const quoteEnquiry = (enquiry, entitlement) => quoteChild(
+    { ...getEnquiryChild(enquiry, fundingYears), entitlement },
+    { providerSettings, fundedTermWeeks, options: DEFAULT_QUOTATION, date: enquiry.startDate, fundingYears }
+  );
+
+  // Combine siblings on one family quotation
+  const generateFamilyQuotation = (familyId) => {
+    const family = families.find(f => f.id === familyId);
+    if (!family) return null;
 
-    const weeklySessionCost = weeklyBooked * providerSettings.hourlyRate;
-    const weeklyFundedValue = Math.min(weeklyBooked, fundedWeekly) * providerSettings.hourlyRate;
-    const weeklyChargeableHours = chargeableHours * providerSettings.hourlyRate;
-    const weeklyMeals = quotation.includeMeals ? quotation.mealsPerWeek * providerSettings.mealCharge : 0;
-    const weeklyConsumables = quotation.includeConsumables ? providerSettings.consumablesCharge * 5 : 0;
+    const siblings = getFamilyChildren(family.id, activeChildren);
+    if (siblings.length === 0) return null;
 
-    const weeklyTotal = weeklyChargeableHours + weeklyMeals + weeklyConsumables;
-    const periodTotal = weeklyTotal * quotation.weeksToQuote;
+    const childQuotes = siblings.map((child, index) => generateQuotation(child, quotation, index + 1));
+    const weeklyTotal = childQuotes.reduce((sum, childQuote) => sum + childQuote.weeklyTotal, 0);
 
     return {
-      child,
-      weeklyBooked,
-      fundedWeekly,
-      chargeableHours,
-      weeklySessionCost,
-      weeklyFundedValue,
-      weeklyChargeableHours,
-      weeklyMeals,
-      weeklyConsumables,
+      family,
+      children: childQuotes,
       weeklyTotal,
-      periodTotal,
+      periodTotal: weeklyTotal * quotation.weeksToQuote,
       weeks: quotation.weeksToQuote
     };
   };
 
-  const quote = generateQuotation();
+  const quote = generateFamilyQuotation(quotation.familyId);
 
-  // Chart data for usage overview
-  const usageChartData = children.map(child => {
-    const scheme = FUNDING_SCHEMES[child.entitlement];
-    return {
-      name: child.name.split(' ')[0],
-      used: child.hoursUsed,
-      remaining: scheme.hoursPerYear - child.hoursUsed,
-      total: scheme.hoursPerYear
-    };
+  // Annual parent fees with the standard additional charges, for the income forecast
+  const priceChildForYear = (child, setting = activeChildren, operatingWeeks = providerSettings.operatingWeeks) => getAnnualFees(child, {
+    providerSettings, fundedTermWeeks, academicYear, siblingPosition: getSiblingPosition(child, setting), operatingWeeks, fundingYears
   });
 
+  // Annual income: LA funding plus parent fees
+  const incomeForecast = useMemo(
+    () => getIncomeForecast(onRollThisYear, academicYear, rateProfiles, child => priceChildForYear(child), fundingYears),
+    [onRollThisYear, academicYear, rateProfiles, providerSettings, fundedTermWeeks, fundingYears]
+  );
+
+  // Cheapest patterns that use a child's funded hours, priced as on a quotation
+  const suggestPatternsFor = (child, constraints) => {
+    const fundedWeekly = getChildFundedWeeklyHours(
+      child, constraints.stretched, providerSettings.operatingWeeks, fundedTermWeeks, rulesDate, fundingYears
+    );
+    const siblingPosition = getSiblingPosition(child, activeChildren);
+    const suggestions = suggestPatterns({
+      rateCard: providerSettings.rateCard,
+      fundedWeekly,
+      constraints,
+      priceWeek: (weeklyPattern) => generateQuotation(
+        { ...child, weeklyPattern, stretchedOption: constraints.stretched }, DEFAULT_QUOTATION, siblingPosition
+      ).weeklyTotal
+    });
+    return { fundedWeekly, suggestions };
+  };
+
+  // Projected year for a scenario's children, or for the real ones when comparing
+  const evaluateScenario = (scenario) => {
+    const setting = applyScenario(activeChildren, scenario);
+    const forecast = getIncomeForecast(
+      scenario.children, academicYear, rateProfiles, child => priceChildForYear(child, setting, scenario.operatingWeeks), fundingYears
+    );
+    const weeksRemaining = termStatus ? termStatus.weeksRemaining : 0;
+
+    const rows = forecast.rows.map(row => {
+      const { child } = row;
+      const hoursUsed = childrenWithUsage.find(c => c.id === child.id)?.hoursUsed ?? 0;
+      const fundedWeekly = getChildFundedWeeklyHours(
+        child, child.stretchedOption, scenario.operatingWeeks, fundedTermWeeks, rulesDate, fundingYears
+      );
+      // Stretched funding runs through the holidays, so more of the year is still to come
+      const remainingWeeks = child.stretchedOption ? weeksRemaining * scenario.operatingWeeks / fundedTermWeeks : weeksRemaining;
+      const childQuote = generateQuotation(child, DEFAULT_QUOTATION, getSiblingPosition(child, setting), scenario.operatingWeeks);
+
+      return {
+        child,
+        ...projectFundedHours(child, hoursUsed, fundedWeekly, remainingWeeks, getAvailableEntitlement(child, academicYear, fundingYears)),
+        weeklyCost: Math.round(childQuote.weeklyTotal * 100) / 100,
+        income: Math.round((row.laIncome + row.parentFees) * 100) / 100
+      };
+    });
+
+    return { rows, totals: sumScenarioRows(rows) };
+  };
+
+  // Issue the current quote with a reference number and print it
+  const handleIssueQuote = () => {
+    const record = createQuoteRecord(quote, savedQuotes, providerSettings, todayISO(), fundingYears);
+    setSavedQuotes([record, ...savedQuotes]);
+    setPrintQuote(record);
+  };
+
+  // Chart data for usage overview
+  const usageChartData = usageForecast.forecasts.map(({ child, expected, low, high }) => ({
+    name: child.name.split(' ')[0],
+    used: child.hoursUsed,
+    remaining: Math.max(0, child.availableHours - child.hoursUsed),
+    total: child.availableHours,
+    forecast: Math.round(expected),
+    forecastRange: low < high ? [expected - low, high - expected] : null
+  }));
+
   const pieData = [
     { name: 'Used', value: summary.totalUsedHours, color: '#10B981' },
     { name: 'Remaining', value: summary.totalRemainingHours, color: '#E5E7EB' }
   ];
 
   return (
-    <div className="min-h-screen bg-gray-50">
+    <div className="min-h-screen bg-gray-50 print:bg-white">
       {/* Header */}
-      <header className="bg-white border-b border-gray-200 sticky top-0 z-10">
+      <header className="bg-white border-b border-gray-200 sticky top-0 z-10 print:hidden">
         <div className="max-w-7xl mx-auto px-4 py-4">
           <div className="flex items-center justify-between">
             <div>
@@ -315,10 +564,13 @@ export default function FundingCalculator() {
               <p className="text-sm text-gray-500">UK Childcare Provider Dashboard</p>
             </div>
             <div className="flex items-center gap-3">
-              <span className="text-sm text-gray-500">Spring Term 2025</span>
-              <span className="bg-blue-100 text-blue-800 text-xs font-medium px-2.5 py-1 rounded">
-                Week {getCurrentTermWeek()} of 38
-              </span>
+              {siteSwitcher}
+              <span className="text-sm text-gray-500">{termStatus ? termStatus.label : 'No term dates set'}</span>
+              {termStatus?.inTerm && (
+                <span className="bg-blue-100 text-blue-800 text-xs font-medium px-2.5 py-1 rounded">
+                  Week {termStatus.week} of {termStatus.totalWeeks}
+                </span>
+              )}
               <button
                 onClick={() => setShowSettings(!showSettings)}
                 className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
@@ -338,12 +590,21 @@ export default function FundingCalculator() {
             {[
               { id: 'dashboard', label: 'Dashboard', icon: TrendingUp },
               { id: 'children', label: 'Children', icon: Users },
+              { id: 'families', label: 'Families', icon: Home },
+              { id: 'waiting', label: 'Waiting List', icon: ListChecks },
+              { id: 'register', label: 'Register', icon: ClipboardList },
               { id: 'quotation', label: 'Quotation', icon: Calculator },
-              { id: 'optimise', label: 'Optimise', icon: CheckCircle }
+              { id: 'invoices', label: 'Invoices', icon: Receipt },
+              { id: 'optimise', label: 'Optimise', icon: CheckCircle },
+              { id: 'scenarios', label: 'Scenarios', icon: Layers },
+              { id: 'rooms', label: 'Rooms', icon: LayoutGrid },
+              { id: 'headcount', label: 'Headcount', icon: FileText },
+              { id: 'income', label: 'Income', icon: PoundSterling },
+              { id: 'calendar', label: 'Term Dates', icon: Calendar }
             ].map(tab => (
               <button
                 key={tab.id}
-                onClick={() => setActiveTab(tab.id)}
+                onClick={() => (tab.id === 'register' ? openRegister() : setActiveTab(tab.id))}
                 className={`flex items-center gap-2 px-4 py-2 rounded-t-lg font-medium text-sm transition-colors ${
                   activeTab === tab.id
                     ? 'bg-blue-50 text-blue-700 border-b-2 border-blue-600'
@@ -360,7 +621,7 @@ export default function FundingCalculator() {
 
       {/* Stretched Weeks Settings Panel */}
       {showSettings && (
-        <div className="bg-gradient-to-r from-purple-50 to-indigo-50 border-b border-purple-200">
+        <div className="bg-gradient-to-r from-purple-50 to-indigo-50 border-b border-purple-200 print:hidden">
           <div className="max-w-7xl mx-auto px-4 py-5">
             <div className="flex items-start gap-6">
               {/* Slider Section */}
@@ -398,8 +659,8 @@ export default function FundingCalculator() {
               <div className="w-80 bg-white rounded-xl p-4 shadow-sm border border-purple-100">
                 <h4 className="text-sm font-semibold text-gray-700 mb-3">Weekly Hours Impact</h4>
                 <div className="space-y-2">
-                  {Object.entries(FUNDING_SCHEMES).map(([key, scheme]) => {
-                    const termTime = (scheme.hoursPerYear / 38).toFixed(1);
+                  {Object.entries(getSchemes(rulesDate, fundingYears)).map(([key, scheme]) => {
+                    const termTime = (scheme.hoursPerYear / fundedTermWeeks).toFixed(1);
                     const stretched = (scheme.hoursPerYear / providerSettings.operatingWeeks).toFixed(1);
                     return (
                       <div key={key} className="flex items-center justify-between text-sm">
@@ -416,15 +677,49 @@ export default function FundingCalculator() {
                   })}
                 </div>
                 <p className="text-xs text-gray-400 mt-3 pt-2 border-t border-gray-100">
-                  Compared to 38-week term-time
+                  Compared to {fundedTermWeeks.toFixed(1)}-week term-time
                 </p>
               </div>
             </div>
+
+            {/* Rate Card and Additional Charges */}
+            <div className="mt-5 space-y-5">
+              <RateCardEditor
+                rateCard={providerSettings.rateCard}
+                onChange={(rateCard) => setProviderSettings({...providerSettings, rateCard})}
+              />
+              <AdditionalChargesEditor
+                charges={providerSettings.additionalCharges}
+                onChange={(additionalCharges) => setProviderSettings({...providerSettings, additionalCharges})}
+              />
+            </div>
+
+            {/* Saved Data */}
+            <div className="flex items-center justify-between mt-5 pt-4 border-t border-purple-200">
+              <div className="flex items-center gap-2 text-sm text-gray-600">
+                <Database className="text-purple-600" size={16} />
+                This site's children, settings, quotations and invoices are saved automatically in this browser.
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => handleResetData([], [])}
+                  className="text-sm px-3 py-1.5 bg-white border border-purple-200 text-purple-700 rounded-lg hover:bg-purple-50"
+                >
+                  Start empty setting
+                </button>
+                <button
+                  onClick={() => handleResetData(SAMPLE_CHILDREN, SAMPLE_FAMILIES)}
+                  className="text-sm px-3 py-1.5 bg-white border border-purple-200 text-purple-700 rounded-lg hover:bg-purple-50"
+                >
+                  Load sample children
+                </button>
+              </div>
+            </div>
           </div>
         </div>
       )}
 
-      <main className="max-w-7xl mx-auto px-4 py-6">
+      <main className="max-w-7xl mx-auto px-4 py-6 print:hidden">
         {/* Dashboard Tab */}
         {activeTab === 'dashboard' && (
           <div className="space-y-6">
@@ -483,16 +778,23 @@ export default function FundingCalculator() {
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               {/* Usage by Child */}
               <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Hours Usage by Child</h3>
+                <h3 className="text-lg font-semibold text-gray-900">Hours Usage by Child</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Forecast year-end utilisation: {usageForecast.utilisation.expected}%
+                  {usageForecast.low < usageForecast.high && ` (${usageForecast.utilisation.low}–${usageForecast.utilisation.high}%)`}
+                </p>
                 <ResponsiveContainer width="100%" height={250}>
-                  <BarChart data={usageChartData} layout="vertical">
+                  <ComposedChart data={usageChartData} layout="vertical">
                     <XAxis type="number" />
                     <YAxis type="category" dataKey="name" width={80} />
                     <Tooltip />
                     <Legend />
                     <Bar dataKey="used" stackId="a" fill="#10B981" name="Used" />
                     <Bar dataKey="remaining" stackId="a" fill="#E5E7EB" name="Remaining" />
-                  </BarChart>
+                    <Line dataKey="forecast" stroke="#8B5CF6" strokeDasharray="4 4" name="Forecast at year end">
+                      <ErrorBar dataKey="forecastRange" width={4} stroke="#8B5CF6" />
+                    </Line>
+                  </ComposedChart>
                 </ResponsiveContainer>
               </div>
 
@@ -525,6 +827,62 @@ export default function FundingCalculator() {
               </div>
             </div>
 
+            {/* Income */}
+            <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+              <div className="flex justify-between items-baseline mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">Forecast Monthly Income</h3>
+                <button onClick={() => setActiveTab('income')} className="text-sm text-blue-600 hover:text-blue-700">
+                  £{incomeForecast.totals.total.toLocaleString('en-GB', { maximumFractionDigits: 0 })} this year · funding gap £{incomeForecast.totals.fundingGap.toLocaleString('en-GB', { maximumFractionDigits: 0 })}
+                </button>
+              </div>
+              <IncomeChart monthly={incomeForecast.monthly} />
+            </div>
+
+            {/* Eligibility Codes */}
+            {codeAlerts.length > 0 && (
+              <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Eligibility Codes</h3>
+                <div className="space-y-2">
+                  {codeAlerts.map(alert => (
+                    <div key={alert.child.id} className={`flex items-center justify-between gap-3 p-3 rounded-lg ${
+                      alert.status === 'expiring' ? 'bg-amber-50' : 'bg-red-50'
+                    }`}>
+                      <div className="flex items-start gap-3">
+                        <AlertCircle className={`mt-0.5 ${alert.status === 'expiring' ? 'text-amber-600' : 'text-red-600'}`} size={18} />
+                        <div>
+                          <p className="font-medium text-gray-900">
+                            {alert.child.name} · {CODE_STATUSES[alert.status]}
+                          </p>
+                          <p className="text-sm text-gray-600">
+                            {alert.status === 'expiring' && `Reconfirm by ${formatDate(alert.reconfirmBy)} (${alert.daysLeft} days)`}
+                            {alert.status === 'grace' && `Missed ${formatDate(alert.reconfirmBy)} · funding ends ${formatDate(alert.graceEnd)}`}
+                            {alert.status === 'expired' && `Grace period ended ${formatDate(alert.graceEnd)}`}
+                            {alert.status === 'missing' && `${getScheme(alert.child.entitlement, todayISO(), fundingYears).name} needs an HMRC eligibility code`}
+                          </p>
+                        </div>
+                      </div>
+                      {alert.status === 'missing' ? (
+                        <button
+                          onClick={() => openChildForm(alert.child)}
+                          className="text-xs px-2 py-1 bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50"
+                        >
+                          Add code
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => handleReconfirmCode(alert.child.id)}
+                          className="flex items-center gap-1 text-xs px-2 py-1 bg-green-100 text-green-700 rounded hover:bg-green-200"
+                        >
+                          <CheckCircle size={12} />
+                          Mark reconfirmed
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Quick Alerts */}
             {optimisations.length > 0 && (
               <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
@@ -556,22 +914,59 @@ export default function FundingCalculator() {
           <div className="space-y-6">
             <div className="flex justify-between items-center">
               <h2 className="text-xl font-semibold text-gray-900">Manage Children</h2>
-              <button
-                onClick={() => setShowAddChild(true)}
-                className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-              >
-                <Plus size={18} />
-                Add Child
-              </button>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => downloadCsv(`children-${todayISO()}.csv`, rosterToRows(activeWithUsage, fundingYears))}
+                  disabled={children.length === 0}
+                  className="flex items-center gap-2 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  <Download size={18} />
+                  Export CSV
+                </button>
+                <button
+                  onClick={() => setShowImport(true)}
+                  className="flex items-center gap-2 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  <Upload size={18} />
+                  Import CSV
+                </button>
+                <button
+                  onClick={() => openChildForm()}
+                  className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  <Plus size={18} />
+                  Add Child
+                </button>
+              </div>
             </div>
 
+            {allocationChildId && (
+              <FundingAllocationPlan
+                child={children.find(c => c.id === allocationChildId)}
+                academicYear={academicYear}
+                records={attendance[allocationChildId]}
+                fundingYears={fundingYears}
+                onSave={(plan) => handleSaveAllocation(allocationChildId, plan)}
+                onClose={() => setAllocationChildId(null)}
+              />
+            )}
+
+            {showImport && (
+              <RosterImport
+                existingChildren={children}
+                fundingYears={fundingYears}
+                onImport={handleImportChildren}
+                onClose={() => setShowImport(false)}
+              />
+            )}
+
             {/* Add Child Modal */}
             {showAddChild && (
               <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
                 <div className="bg-white rounded-xl p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto">
                   <div className="flex justify-between items-center mb-4">
-                    <h3 className="text-lg font-semibold">Add New Child</h3>
-                    <button onClick={() => setShowAddChild(false)} className="text-gray-400 hover:text-gray-600">
+                    <h3 className="text-lg font-semibold">{editingChild ? 'Edit Child' : 'Add New Child'}</h3>
+                    <button onClick={closeChildForm} className="text-gray-400 hover:text-gray-600">
                       <X size={20} />
                     </button>
                   </div>
@@ -588,16 +983,101 @@ export default function FundingCalculator() {
                       />
                     </div>
 
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Family</label>
+                      <select
+                        value={newChild.familyId}
+                        onChange={(e) => setNewChild({...newChild, familyId: e.target.value === 'new' ? 'new' : parseInt(e.target.value)})}
+                        className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        <option value="new">New family</option>
+                        {families.map(family => (
+                          <option key={family.id} value={family.id}>{family.name}</option>
+                        ))}
+                      </select>
+                    </div>
+
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Date of Birth</label>
                       <input
                         type="date"
                         value={newChild.dob}
-                        onChange={(e) => setNewChild({...newChild, dob: e.target.value})}
+                        onChange={(e) => updateNewChildEligibility({ dob: e.target.value })}
                         className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                       />
                     </div>
 
+                    <div className="grid grid-cols-2 gap-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+                        <input
+                          type="date"
+                          value={newChild.startDate}
+                          onChange={(e) => setNewChild({ ...newChild, startDate: e.target.value })}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Leave Date</label>
+                        <input
+                          type="date"
+                          value={newChild.leaveDate}
+                          onChange={(e) => setNewChild({ ...newChild, leaveDate: e.target.value })}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </div>
+                      <p className="col-span-2 text-xs text-gray-500">
+                        Leave blank if the child is here all year. Funding is pro-rated to the weeks they are on roll.
+                      </p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Parent Eligibility</label>
+                      <div className="space-y-1">
+                        {Object.entries(ELIGIBILITY_FLAGS).map(([flag, label]) => (
+                          <div key={flag} className="flex items-center gap-2">
+                            <input
+                              type="checkbox"
+                              id={flag}
+                              checked={newChild.eligibility[flag]}
+                              onChange={(e) => updateNewChildEligibility({
+                                eligibility: {...newChild.eligibility, [flag]: e.target.checked}
+                              })}
+                              className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                            />
+                            <label htmlFor={flag} className="text-sm text-gray-700">{label}</label>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+
+                    {currentRateProfile?.supplements.length > 0 && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">LA Funding Supplements</label>
+                        <div className="space-y-1">
+                          {currentRateProfile.supplements.map(supplement => (
+                            <div key={supplement.id} className="flex items-center gap-2">
+                              <input
+                                type="checkbox"
+                                id={supplement.id}
+                                checked={newChild.laSupplements.includes(supplement.id)}
+                                onChange={(e) => setNewChild({
+                                  ...newChild,
+                                  laSupplements: e.target.checked
+                                    ? [...newChild.laSupplements, supplement.id]
+                                    : newChild.laSupplements.filter(id => id !== supplement.id)
+                                })}
+                                className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                              />
+                              <label htmlFor={supplement.id} className="text-sm text-gray-700">
+                                {supplement.label} (+£{supplement.rate.toFixed(2)}/hr)
+                              </label>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">Funding Entitlement</label>
                       <select
@@ -605,22 +1085,101 @@ export default function FundingCalculator() {
                         onChange={(e) => setNewChild({...newChild, entitlement: e.target.value})}
                         className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                       >
-                        {Object.entries(FUNDING_SCHEMES).map(([key, scheme]) => (
+                        {Object.entries(getSchemes(todayISO(), fundingYears)).map(([key, scheme]) => (
                           <option key={key} value={key}>{scheme.name} - {scheme.description}</option>
                         ))}
                       </select>
+                      {newChild.dob && (
+                        <div className="mt-2 text-sm">
+                          {checkEntitlement(newChild, todayISO(), fundingYears) ? (
+                            <p className="flex items-center gap-1 text-amber-700">
+                              <AlertCircle size={14} />
+                              {checkEntitlement(newChild, todayISO(), fundingYears)}
+                            </p>
+                          ) : (
+                            <p className="flex items-center gap-1 text-green-700">
+                              <CheckCircle size={14} />
+                              Eligible now
+                            </p>
+                          )}
+                          {getEligibleSchemes(newChild.dob, newChild.eligibility, todayISO(), fundingYears).length === 0 && (
+                            <p className="text-gray-500 mt-1">Not yet eligible for any funded scheme.</p>
+                          )}
+                          {getUpcomingTransitions(newChild.dob, newChild.eligibility, todayISO(), fundingYears).map(period => (
+                            <p key={period.scheme} className="text-gray-500 mt-1">
+                              {getScheme(period.scheme, period.start, fundingYears).name} from {formatDate(period.start)}
+                            </p>
+                          ))}
+                        </div>
+                      )}
                     </div>
 
+                    {requiresEligibilityCode(newChild.entitlement, todayISO(), fundingYears) && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">HMRC Eligibility Code</label>
+                        <div className="grid grid-cols-3 gap-2">
+                          <div>
+                            <label className="block text-xs text-gray-500 mb-1">Code</label>
+                            <input
+                              type="text"
+                              inputMode="numeric"
+                              maxLength={11}
+                              value={newChild.eligibilityCode.code}
+                              onChange={(e) => setNewChild({
+                                ...newChild,
+                                eligibilityCode: { ...newChild.eligibilityCode, code: e.target.value.trim() }
+                              })}
+                              placeholder="11 digits"
+                              className="w-full border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-xs text-gray-500 mb-1">Valid from</label>
+                            <input
+                              type="date"
+                              value={newChild.eligibilityCode.validFrom}
+                              onChange={(e) => setNewChild({
+                                ...newChild,
+                                eligibilityCode: {
+                                  ...newChild.eligibilityCode,
+                                  validFrom: e.target.value,
+                                  reconfirmBy: getReconfirmationDeadline(e.target.value)
+                                }
+                              })}
+                              className="w-full border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-xs text-gray-500 mb-1">Reconfirm by</label>
+                            <input
+                              type="date"
+                              value={newChild.eligibilityCode.reconfirmBy}
+                              onChange={(e) => setNewChild({
+                                ...newChild,
+                                eligibilityCode: { ...newChild.eligibilityCode, reconfirmBy: e.target.value }
+                              })}
+                              className="w-full border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            />
+                          </div>
+                        </div>
+                        {newChild.eligibilityCode.reconfirmBy && (
+                          <p className="text-xs text-gray-500 mt-1">
+                            If not reconfirmed, funding continues until the grace period ends on {formatDate(getGracePeriodEnd(newChild.eligibilityCode.reconfirmBy))}.
+                          </p>
+                        )}
+                      </div>
+                    )}
+
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-2">Weekly Attendance Pattern (hours)</label>
                       <div className="grid grid-cols-5 gap-2">
-                        {['mon', 'tue', 'wed', 'thu', 'fri'].map(day => (
+                        {WEEKDAYS.map(day => (
                           <div key={day}>
                             <label className="block text-xs text-gray-500 text-center mb-1">{day.toUpperCase()}</label>
                             <input
                               type="number"
                               min="0"
-                              max="10"
+                              max={MAX_HOURS_PER_DAY}
                               value={newChild.weeklyPattern[day]}
                               onChange={(e) => setNewChild({
                                 ...newChild,
@@ -648,20 +1207,105 @@ export default function FundingCalculator() {
                         Use stretched funding (spread over {providerSettings.operatingWeeks} weeks)
                       </label>
                     </div>
+
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          id="sharedFunding"
+                          checked={Boolean(newChild.sharedFunding)}
+                          onChange={(e) => setNewChild({...newChild, sharedFunding: e.target.checked ? EMPTY_SHARED_FUNDING : null})}
+                          className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                        />
+                        <label htmlFor="sharedFunding" className="text-sm text-gray-700">
+                          Funding shared with another provider
+                        </label>
+                      </div>
+                      {newChild.sharedFunding && (
+                        <div className={`grid ${newChild.sharedFunding.per === 'week' ? 'grid-cols-4' : 'grid-cols-3'} gap-2 mt-2`}>
+                          <input
+                            type="text"
+                            placeholder="Provider name"
+                            value={newChild.sharedFunding.provider}
+                            onChange={(e) => setNewChild({...newChild, sharedFunding: {...newChild.sharedFunding, provider: e.target.value}})}
+                            className="border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                          <input
+                            type="number"
+                            min="0"
+                            value={newChild.sharedFunding.hours}
+                            onChange={(e) => setNewChild({...newChild, sharedFunding: {...newChild.sharedFunding, hours: parseFloat(e.target.value) || 0}})}
+                            className="border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                          <select
+                            value={newChild.sharedFunding.per}
+                            onChange={(e) => setNewChild({...newChild, sharedFunding: {...newChild.sharedFunding, per: e.target.value}})}
+                            className="border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          >
+                            {Object.entries(SHARED_FUNDING_PERIODS).map(([key, label]) => (
+                              <option key={key} value={key}>{label}</option>
+                            ))}
+                          </select>
+                          {newChild.sharedFunding.per === 'week' && (
+                            <input
+                              type="number"
+                              min="1"
+                              max="52"
+                              placeholder="Weeks a year"
+                              value={newChild.sharedFunding.weeks ?? ''}
+                              onChange={(e) => setNewChild({...newChild, sharedFunding: {...newChild.sharedFunding, weeks: parseInt(e.target.value) || null}})}
+                              className="border border-gray-300 rounded-lg px-2 py-1 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            />
+                          )}
+                        </div>
+                      )}
+                      {newChild.sharedFunding && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Funded hours claimed at the other provider. Only the rest of the entitlement is claimed, quoted and invoiced here.
+                          {newChild.sharedFunding.per === 'week' && ' Leave the weeks blank when they claim over term time only.'}
+                        </p>
+                      )}
+                    </div>
+
+                    {editingChild && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Changes Effective From</label>
+                        <input
+                          type="date"
+                          value={effectiveFrom}
+                          onChange={(e) => setEffectiveFrom(e.target.value)}
+                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                          Pattern, entitlement, stretching and shared funding changes apply to projections from this date.
+                        </p>
+                      </div>
+                    )}
+
+                    {childFormErrors.length > 0 && (
+                      <div className="bg-red-50 rounded-lg p-3 space-y-1">
+                        {childFormErrors.map(error => (
+                          <p key={error} className="flex items-center gap-2 text-sm text-red-700">
+                            <AlertCircle size={14} />
+                            {error}
+                          </p>
+                        ))}
+                      </div>
+                    )}
                   </div>
 
                   <div className="flex gap-3 mt-6">
                     <button
-                      onClick={() => setShowAddChild(false)}
+                      onClick={closeChildForm}
                       className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
                     >
                       Cancel
                     </button>
                     <button
-                      onClick={handleAddChild}
+                      onClick={handleSaveChild}
                       className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
                     >
-                      Add Child
+                      {editingChild ? 'Save Changes' : 'Add Child'}
                     </button>
                   </div>
                 </div>
@@ -670,12 +1314,20 @@ export default function FundingCalculator() {
 
             {/* Children List */}
             <div className="space-y-4">
-              {children.map(child => {
-                const scheme = FUNDING_SCHEMES[child.entitlement];
+              {activeWithUsage.map(child => {
+                const scheme = getScheme(child.entitlement, rulesDate, fundingYears);
                 const weeklyBooked = getWeeklyHours(child.weeklyPattern);
-                const fundedWeekly = calculateFundedWeeklyHours(child.entitlement, child.stretchedOption, providerSettings.operatingWeeks);
-                const usagePercent = Math.round((child.hoursUsed / scheme.hoursPerYear) * 100);
+                const fundedWeekly = getChildFundedWeeklyHours(
+                  child, child.stretchedOption, providerSettings.operatingWeeks, fundedTermWeeks, rulesDate, fundingYears
+                );
+                const usagePercent = child.availableHours > 0 ? Math.round((child.hoursUsed / child.availableHours) * 100) : 0;
                 const expanded = selectedChild === child.id;
+                const entitlement = getEntitlement(child, academicYear, todayISO(), fundingYears);
+                const entitlementWarning = entitlement.problem || checkSharedFunding(child, academicYear, fundingYears);
+                const transitions = getUpcomingTransitions(child.dob, child.eligibility, todayISO(), fundingYears);
+                const termBreakdown = expanded ? getTermBreakdown(child, academicYear, fundingYears) : [];
+                const family = families.find(f => f.id === child.familyId);
+                const codeStatus = getCodeStatus(child, todayISO(), fundingYears);
 
                 return (
                   <div key={child.id} className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
@@ -692,7 +1344,18 @@ export default function FundingCalculator() {
                             {child.name.split(' ').map(n => n[0]).join('')}
                           </div>
                           <div>
-                            <h3 className="font-semibold text-gray-900">{child.name}</h3>
+                            <div className="flex items-center gap-2">
+                              <h3 className="font-semibold text-gray-900">{child.name}</h3>
+                              {family && (
+                                <button
+                                  onClick={(e) => { e.stopPropagation(); openFamily(family.id); }}
+                                  className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700"
+                                >
+                                  <Home size={12} />
+                                  {family.name}
+                                </button>
+                              )}
+                            </div>
                             <div className="flex items-center gap-2 mt-1">
                               <span
                                 className="text-xs px-2 py-0.5 rounded-full text-white"
@@ -708,7 +1371,36 @@ export default function FundingCalculator() {
                                   Stretched
                                 </span>
                               )}
+                              {child.startDate > todayISO() && (
+                                <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-700">
+                                  Starts {formatDate(child.startDate)}
+                                </span>
+                              )}
+                              {child.leaveDate && (
+                                <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">
+                                  Leaving {formatDate(child.leaveDate)}
+                                </span>
+                              )}
+                              {codeStatus && (
+                                <span className={`text-xs px-2 py-0.5 rounded-full ${
+                                  codeStatus.status === 'valid' ? 'bg-green-100 text-green-700' :
+                                  codeStatus.status === 'expiring' ? 'bg-amber-100 text-amber-700' : 'bg-red-100 text-red-700'
+                                }`}>
+                                  Code: {CODE_STATUSES[codeStatus.status]}
+                                </span>
+                              )}
                             </div>
+                            {entitlementWarning && (
+                              <p className="flex items-center gap-1 text-xs text-amber-700 mt-1">
+                                <AlertCircle size={12} />
+                                {entitlementWarning}
+                              </p>
+                            )}
+                            {transitions.length > 0 && (
+                              <p className="text-xs text-gray-500 mt-1">
+                                Next: {getScheme(transitions[0].scheme, transitions[0].start, fundingYears).name} from {formatDate(transitions[0].start)}
+                              </p>
+                            )}
                           </div>
                         </div>
 
@@ -716,7 +1408,7 @@ export default function FundingCalculator() {
                           <div className="text-right">
                             <p className="text-sm text-gray-500">Hours Used</p>
                             <p className="text-lg font-semibold text-gray-900">
-                              {child.hoursUsed} / {scheme.hoursPerYear}
+                              {child.hoursUsed} / {child.availableHours}
                             </p>
                           </div>
                           <div className="w-32">
@@ -766,15 +1458,50 @@ export default function FundingCalculator() {
                                 <span className="text-gray-500">Funded weekly:</span>
                                 <span className="font-medium">{fundedWeekly.toFixed(1)} hrs</span>
                               </div>
+                              {child.stretchedOption && (
+                                <div className="flex justify-between">
+                                  <span className="text-gray-500">Stretched over:</span>
+                                  <span className="font-medium">
+                                    {getAllocationPlan(child, academicYear) ? 'Custom weekly plan' : 'Twelve equal months'}
+                                  </span>
+                                </div>
+                              )}
                               <div className="flex justify-between">
                                 <span className="text-gray-500">Chargeable weekly:</span>
                                 <span className="font-medium">{Math.max(0, weeklyBooked - fundedWeekly).toFixed(1)} hrs</span>
                               </div>
                               <div className="flex justify-between">
                                 <span className="text-gray-500">Annual allocation:</span>
-                                <span className="font-medium">{scheme.hoursPerYear} hrs</span>
+                                <span className="font-medium">
+                                  {entitlement.availableHours < entitlement.hoursPerYear
+                                    ? `${entitlement.availableHours} of ${entitlement.hoursPerYear} hrs (${entitlement.enrolledShare < 1 ? 'part year' : 'shared'})`
+                                    : `${entitlement.hoursPerYear} hrs`}
+                                </span>
                               </div>
+                              {child.sharedFunding && (
+                                <div className="flex justify-between">
+                                  <span className="text-gray-500">Claimed elsewhere:</span>
+                                  <span className="font-medium">
+                                    {getHoursClaimedElsewhere(child, rulesDate, fundingYears)} hrs at {child.sharedFunding.provider}
+                                  </span>
+                                </div>
+                              )}
                             </div>
+                            {transitions.length > 0 && (
+                              <div className="mt-3">
+                                <h4 className="text-sm font-medium text-gray-700 mb-1">Upcoming Entitlements</h4>
+                                <div className="space-y-1 text-sm">
+                                  {transitions.map(period => (
+                                    <div key={period.scheme} className="flex items-center gap-2">
+                                      <div className="w-2 h-2 rounded-full" style={{ backgroundColor: getScheme(period.scheme, period.start, fundingYears).color }} />
+                                      <span className="text-gray-600">
+                                        {getScheme(period.scheme, period.start, fundingYears).name}: {formatDate(period.start)} – {formatDate(period.end)}
+                                      </span>
+                                    </div>
+                                  ))}
+                                </div>
+                              </div>
+                            )}
                           </div>
 
                           <div>
@@ -782,41 +1509,151 @@ export default function FundingCalculator() {
                             <div className="flex items-center gap-2">
                               <input
                                 type="number"
-                                value={child.hoursUsed}
-                                onChange={(e) => updateChildHours(child.id, parseFloat(e.target.value) || 0)}
+                                value={child.openingHoursUsed || 0}
+                                onChange={(e) => updateOpeningHours(child.id, parseFloat(e.target.value) || 0)}
                                 className="w-24 border border-gray-300 rounded-lg px-3 py-1.5 text-center"
                                 onClick={(e) => e.stopPropagation()}
                               />
-                              <span className="text-sm text-gray-500">hours used to date</span>
+                              <span className="text-sm text-gray-500">hours used before the register</span>
                             </div>
+                            <p className="text-sm text-gray-600 mt-2">
+                              Register: <span className="font-medium">{child.hoursUsed - (child.openingHoursUsed || 0)} hrs attended</span>
+                            </p>
                             <div className="flex gap-2 mt-3">
                               <button
                                 onClick={(e) => {
                                   e.stopPropagation();
-                                  updateChildHours(child.id, child.hoursUsed + weeklyBooked);
+                                  openRegister(child.id);
+                                }}
+                                className="flex items-center gap-1 text-sm px-3 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                              >
+                                <ClipboardList size={14} />
+                                Attendance
+                              </button>
+                              {child.stretchedOption && academicYear && (
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    setAllocationChildId(child.id);
+                                  }}
+                                  className="flex items-center gap-1 text-sm px-3 py-1 bg-purple-100 text-purple-700 rounded hover:bg-purple-200"
+                                >
+                                  <SlidersHorizontal size={14} />
+                                  Allocation
+                                </button>
+                              )}
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  openChildForm(child);
                                 }}
-                                className="text-sm px-3 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                                className="text-sm px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
                               >
-                                + Add Week ({weeklyBooked}h)
+                                <Edit2 size={14} />
                               </button>
                               <button
                                 onClick={(e) => {
                                   e.stopPropagation();
-                                  handleDeleteChild(child.id);
+                                  handleArchiveChild(child);
                                 }}
+                                title="Archive as a leaver"
                                 className="text-sm px-3 py-1 bg-red-100 text-red-700 rounded hover:bg-red-200"
                               >
-                                <Trash2 size={14} />
+                                <Archive size={14} />
                               </button>
                             </div>
                           </div>
                         </div>
+
+                        {termBreakdown.length > 0 && (
+                          <div className="mt-4 pt-4 border-t border-gray-200">
+                            <h4 className="text-sm font-medium text-gray-700 mb-2">Funding by Term ({academicYear.id})</h4>
+                            <div className="grid grid-cols-3 gap-4 text-sm">
+                              {termBreakdown.map(term => (
+                                <div key={term.term} className="bg-white rounded-lg p-3 border border-gray-100">
+                                  <p className="font-medium text-gray-900">{TERM_NAMES[term.term]}</p>
+                                  {term.eligibleDays > 0 ? (
+                                    <>
+                                      <p className="text-gray-600">{term.entitlementHours} hrs funded</p>
+                                      <p className="text-gray-600">{term.claimedHours} hrs claimed</p>
+                                      {term.partTerm && (
+                                        <p className="text-xs text-gray-400">Eligible from {formatDate(term.eligibleFrom)}</p>
+                                      )}
+                                    </>
+                                  ) : (
+                                    <p className="text-gray-400">Not eligible</p>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+
+                        {child.history?.length > 0 && (
+                          <div className="mt-4 pt-4 border-t border-gray-200">
+                            <h4 className="text-sm font-medium text-gray-700 mb-2">Change History</h4>
+                            <div className="space-y-1 text-sm">
+                              {[...child.history].reverse().map((entry, idx) => (
+                                <div key={idx} className="flex justify-between gap-4">
+                                  <span className="text-gray-600">
+                                    <span className="font-medium">{TRACKED_FIELDS[entry.field]}:</span>{' '}
+                                    {formatFieldValue(entry.field, entry.oldValue, fundingYears)} → {formatFieldValue(entry.field, entry.newValue, fundingYears)}
+                                  </span>
+                                  <span className="text-gray-400 whitespace-nowrap">
+                                    {entry.effectiveFrom ? `From ${formatDate(entry.effectiveFrom)}` : 'Correction'}
+                                    {' · '}recorded {formatDate(entry.recordedAt)}
+                                  </span>
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
                 );
               })}
             </div>
+
+            {/* Archived Leavers */}
+            {archivedChildren.length > 0 && (
+              <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Leavers</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Archived children still count towards this year's funding, invoices and headcount up to their leave date
+                </p>
+                <div className="space-y-2">
+                  {archivedChildren.map(child => (
+                    <div key={child.id} className="flex items-center justify-between text-sm border-b border-gray-100 pb-2">
+                      <div>
+                        <span className="font-medium text-gray-900">{child.name}</span>
+                        <span className="text-gray-500">
+                          {' · '}{getScheme(child.entitlement, todayISO(), fundingYears).name}
+                          {child.startDate && ` · joined ${formatDate(child.startDate)}`}
+                          {child.leaveDate && ` · left ${formatDate(child.leaveDate)}`}
+                        </span>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleRestoreChild(child)}
+                          className="flex items-center gap-1 text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                        >
+                          <RotateCcw size={12} />
+                          Restore
+                        </button>
+                        <button
+                          onClick={() => handleDeleteChild(child.id)}
+                          title="Delete permanently"
+                          className="text-gray-400 hover:text-red-600"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
 
@@ -832,15 +1669,17 @@ export default function FundingCalculator() {
 
                 <div className="space-y-4">
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Select Child</label>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Select Family</label>
                     <select
-                      value={quotation.childId || ''}
-                      onChange={(e) => setQuotation({...quotation, childId: parseInt(e.target.value)})}
+                      value={quotation.familyId || ''}
+                      onChange={(e) => setQuotation({...quotation, familyId: parseInt(e.target.value)})}
                       className="w-full border border-gray-300 rounded-lg px-3 py-2"
                     >
-                      <option value="">Choose a child...</option>
-                      {children.map(child => (
-                        <option key={child.id} value={child.id}>{child.name}</option>
+                      <option value="">Choose a family...</option>
+                      {families.map(family => (
+                        <option key={family.id} value={family.id}>
+                          {family.name} ({getFamilyChildren(family.id, children).map(child => child.name.split(' ')[0]).join(', ') || 'no children'})
+                        </option>
                       ))}
                     </select>
                   </div>
@@ -857,76 +1696,33 @@ export default function FundingCalculator() {
                     />
                   </div>
 
-                  <div className="space-y-2">
-                    <div className="flex items-center gap-2">
-                      <input
-                        type="checkbox"
-                        id="meals"
-                        checked={quotation.includeMeals}
-                        onChange={(e) => setQuotation({...quotation, includeMeals: e.target.checked})}
-                        className="w-4 h-4 text-blue-600 rounded"
-                      />
-                      <label htmlFor="meals" className="text-sm text-gray-700">
-                        Include meals (£{providerSettings.mealCharge.toFixed(2)}/meal)
-                      </label>
-                    </div>
-
-                    {quotation.includeMeals && (
-                      <div className="ml-6">
-                        <label className="block text-xs text-gray-500 mb-1">Meals per week</label>
-                        <input
-                          type="number"
-                          min="0"
-                          max="10"
-                          value={quotation.mealsPerWeek}
-                          onChange={(e) => setQuotation({...quotation, mealsPerWeek: parseInt(e.target.value) || 0})}
-                          className="w-20 border border-gray-300 rounded-lg px-2 py-1 text-center"
-                        />
-                      </div>
-                    )}
-
-                    <div className="flex items-center gap-2">
-                      <input
-                        type="checkbox"
-                        id="consumables"
-                        checked={quotation.includeConsumables}
-                        onChange={(e) => setQuotation({...quotation, includeConsumables: e.target.checked})}
-                        className="w-4 h-4 text-blue-600 rounded"
-                      />
-                      <label htmlFor="consumables" className="text-sm text-gray-700">
-                        Include consumables (£{providerSettings.consumablesCharge.toFixed(2)}/day)
-                      </label>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Additional Charges</label>
+                    <div className="space-y-1">
+                      {providerSettings.additionalCharges.map(charge => (
+                        <div key={charge.id} className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            id={`charge-${charge.id}`}
+                            checked={isChargeSelected(charge, quotation.charges)}
+                            onChange={(e) => setQuotation({...quotation, charges: {...quotation.charges, [charge.id]: e.target.checked}})}
+                            className="w-4 h-4 text-blue-600 rounded"
+                          />
+                          <label htmlFor={`charge-${charge.id}`} className="text-sm text-gray-700">
+                            {charge.name} (£{charge.price.toFixed(2)}, {describeChargeRule(charge).toLowerCase()})
+                          </label>
+                        </div>
+                      ))}
                     </div>
                   </div>
                 </div>
 
                 {/* Provider Settings */}
                 <div className="mt-6 pt-4 border-t border-gray-200">
-                  <h4 className="text-sm font-medium text-gray-700 mb-3">Provider Settings</h4>
-                  <div className="grid grid-cols-2 gap-3">
-                    <div>
-                      <label className="block text-xs text-gray-500 mb-1">Hourly Rate (£)</label>
-                      <input
-                        type="number"
-                        step="0.50"
-                        min="0"
-                        value={providerSettings.hourlyRate}
-                        onChange={(e) => setProviderSettings({...providerSettings, hourlyRate: parseFloat(e.target.value) || 0})}
-                        className="w-full border border-gray-300 rounded-lg px-2 py-1"
-                      />
-                    </div>
-                    <div>
-                      <label className="block text-xs text-gray-500 mb-1">Meal Charge (£)</label>
-                      <input
-                        type="number"
-                        step="0.50"
-                        min="0"
-                        value={providerSettings.mealCharge}
-                        onChange={(e) => setProviderSettings({...providerSettings, mealCharge: parseFloat(e.target.value) || 0})}
-                        className="w-full border border-gray-300 rounded-lg px-2 py-1"
-                      />
-                    </div>
-                  </div>
+                  <h4 className="text-sm font-medium text-gray-700 mb-1">Provider Settings</h4>
+                  <p className="text-xs text-gray-500">
+                    Hourly rates and additional charges are set in the settings panel.
+                  </p>
                   <button
                     onClick={() => setShowSettings(true)}
                     className="mt-3 text-sm text-purple-600 hover:text-purple-700 flex items-center gap-1"
@@ -943,53 +1739,55 @@ export default function FundingCalculator() {
 
                 {quote ? (
                   <div className="space-y-4">
-                    <div className="p-4 bg-blue-50 rounded-lg">
-                      <p className="text-sm text-blue-700 font-medium">{quote.child.name}</p>
-                      <p className="text-xs text-blue-600">
-                        {FUNDING_SCHEMES[quote.child.entitlement].name}
-                        {quote.child.stretchedOption ? ' (Stretched)' : ' (Term-time)'}
-                      </p>
-                    </div>
-
-                    <div className="space-y-2 text-sm">
-                      <div className="flex justify-between py-2 border-b border-gray-100">
-                        <span className="text-gray-600">Weekly hours booked</span>
-                        <span className="font-medium">{quote.weeklyBooked} hrs</span>
-                      </div>
-                      <div className="flex justify-between py-2 border-b border-gray-100">
-                        <span className="text-gray-600">Funded hours per week</span>
-                        <span className="font-medium text-green-600">-{quote.fundedWeekly.toFixed(1)} hrs</span>
-                      </div>
-                      <div className="flex justify-between py-2 border-b border-gray-100">
-                        <span className="text-gray-600">Chargeable hours per week</span>
-                        <span className="font-medium">{quote.chargeableHours.toFixed(1)} hrs</span>
-                      </div>
-                    </div>
-
-                    <div className="pt-4 border-t border-gray-200">
-                      <h4 className="text-sm font-medium text-gray-700 mb-2">Weekly Charges</h4>
-                      <div className="space-y-1 text-sm">
-                        <div className="flex justify-between">
-                          <span className="text-gray-500">Additional hours ({quote.chargeableHours.toFixed(1)} × £{providerSettings.hourlyRate.toFixed(2)})</span>
-                          <span>£{quote.weeklyChargeableHours.toFixed(2)}</span>
+                    {quote.children.map(childQuote => (
+                      <div key={childQuote.child.id} className="space-y-4 pb-4 border-b border-gray-200">
+                        <div className="p-4 bg-blue-50 rounded-lg">
+                          <p className="text-sm text-blue-700 font-medium">{childQuote.child.name}</p>
+                          <p className="text-xs text-blue-600">
+                            {getScheme(childQuote.child.entitlement, todayISO(), fundingYears).name}
+                            {childQuote.child.stretchedOption ? ' (Stretched)' : ' (Term-time)'}
+                          </p>
+                          <p className="text-xs text-blue-600 mt-1">
+                            {childQuote.pricing.band.label} rates · sessions worth £{childQuote.weeklySessionCost.toFixed(2)}/week
+                          </p>
                         </div>
-                        {quotation.includeMeals && (
-                          <div className="flex justify-between">
-                            <span className="text-gray-500">Meals ({quotation.mealsPerWeek} × £{providerSettings.mealCharge.toFixed(2)})</span>
-                            <span>£{quote.weeklyMeals.toFixed(2)}</span>
+
+                        <div className="space-y-2 text-sm">
+                          <div className="flex justify-between py-2 border-b border-gray-100">
+                            <span className="text-gray-600">Weekly hours booked</span>
+                            <span className="font-medium">{childQuote.weeklyBooked} hrs</span>
                           </div>
-                        )}
-                        {quotation.includeConsumables && (
-                          <div className="flex justify-between">
-                            <span className="text-gray-500">Consumables</span>
-                            <span>£{quote.weeklyConsumables.toFixed(2)}</span>
+                          <div className="flex justify-between py-2 border-b border-gray-100">
+                            <span className="text-gray-600">Funded hours per week</span>
+                            <span className="font-medium text-green-600">-{childQuote.fundedWeekly.toFixed(1)} hrs</span>
+                          </div>
+                          <div className="flex justify-between py-2 border-b border-gray-100">
+                            <span className="text-gray-600">Chargeable hours per week</span>
+                            <span className="font-medium">{childQuote.chargeableHours.toFixed(1)} hrs</span>
+                          </div>
+                        </div>
+
+                        <div>
+                          <h4 className="text-sm font-medium text-gray-700 mb-2">Weekly Charges</h4>
+                          <div className="space-y-1 text-sm">
+                            {childQuote.lines.map(line => (
+                              <div key={line.label} className="flex justify-between">
+                                <span className="text-gray-500">{line.label}</span>
+                                <span>£{line.amount.toFixed(2)}</span>
+                              </div>
+                            ))}
+                            <div className="flex justify-between font-medium pt-2 border-t border-gray-100">
+                              <span>Weekly total for {childQuote.child.name.split(' ')[0]}</span>
+                              <span>£{childQuote.weeklyTotal.toFixed(2)}</span>
+                            </div>
                           </div>
-                        )}
-                        <div className="flex justify-between font-medium pt-2 border-t border-gray-100">
-                          <span>Weekly Total</span>
-                          <span>£{quote.weeklyTotal.toFixed(2)}</span>
                         </div>
                       </div>
+                    ))}
+
+                    <div className="flex justify-between text-sm font-medium">
+                      <span>Family Weekly Total</span>
+                      <span>£{quote.weeklyTotal.toFixed(2)}</span>
                     </div>
 
                     <div className="p-4 bg-gray-900 text-white rounded-lg">
@@ -1005,15 +1803,67 @@ export default function FundingCalculator() {
                     <p className="text-xs text-gray-500 text-center">
                       This is an estimate. Actual charges may vary based on attendance.
                     </p>
+
+                    <button
+                      onClick={handleIssueQuote}
+                      className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                    >
+                      <Printer size={18} />
+                      Issue &amp; Print Quotation
+                    </button>
                   </div>
                 ) : (
                   <div className="text-center py-12 text-gray-400">
                     <Calculator size={48} className="mx-auto mb-3 opacity-50" />
-                    <p>Select a child to generate a fee quote</p>
+                    <p>Select a family to generate a fee quote</p>
                   </div>
                 )}
               </div>
             </div>
+
+            <QuoteBranding providerSettings={providerSettings} onChange={setProviderSettings} />
+
+            {/* Issued Quotations */}
+            {savedQuotes.length > 0 && (
+              <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Issued Quotations</h3>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b border-gray-200">
+                        <th className="text-left py-3 px-4 font-medium text-gray-700">Reference</th>
+                        <th className="text-left py-3 px-4 font-medium text-gray-700">Family</th>
+                        <th className="text-center py-3 px-4 font-medium text-gray-700">Issued</th>
+                        <th className="text-center py-3 px-4 font-medium text-gray-700">Valid Until</th>
+                        <th className="text-right py-3 px-4 font-medium text-gray-700">Total</th>
+                        <th className="py-3 px-4" />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {savedQuotes.map(record => (
+                        <tr key={record.reference} className="border-b border-gray-100">
+                          <td className="py-3 px-4 font-medium">{record.reference}</td>
+                          <td className="py-3 px-4">{record.familyName}</td>
+                          <td className="text-center py-3 px-4">{formatDate(record.issuedAt)}</td>
+                          <td className={`text-center py-3 px-4 ${record.validUntil < todayISO() ? 'text-gray-400 line-through' : ''}`}>
+                            {formatDate(record.validUntil)}
+                          </td>
+                          <td className="text-right py-3 px-4">£{record.periodTotal.toFixed(2)} ({record.weeks} wks)</td>
+                          <td className="text-right py-3 px-4">
+                            <button
+                              onClick={() => setPrintQuote({ ...record })}
+                              className="text-blue-600 hover:text-blue-700"
+                            >
+                              <Printer size={16} />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
           </div>
         )}
 
@@ -1076,6 +1926,20 @@ export default function FundingCalculator() {
               </div>
             )}
 
+            <ForecastSettings
+              settings={providerSettings.forecast}
+              onChange={(forecast) => setProviderSettings({...providerSettings, forecast})}
+            />
+
+            {activeChildren.length > 0 && (
+              <PatternOptimiser
+                children={activeChildren}
+                openingHours={getOpeningHours(providerSettings.rateCard)}
+                suggest={suggestPatternsFor}
+                onApply={handleApplyPattern}
+              />
+            )}
+
             {/* Stretching Comparison */}
             <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
               <h3 className="text-lg font-semibold text-gray-900 mb-4">Term-Time vs Stretched Comparison</h3>
@@ -1085,12 +1949,12 @@ export default function FundingCalculator() {
                     <tr className="border-b border-gray-200">
                       <th className="text-left py-3 px-4 font-medium text-gray-700">Scheme</th>
                       <th className="text-center py-3 px-4 font-medium text-gray-700">Annual Hours</th>
-                      <th className="text-center py-3 px-4 font-medium text-gray-700">Term-Time (38wks)</th>
+                      <th className="text-center py-3 px-4 font-medium text-gray-700">Term-Time ({fundedTermWeeks.toFixed(1)}wks)</th>
                       <th className="text-center py-3 px-4 font-medium text-gray-700">Stretched ({providerSettings.operatingWeeks}wks)</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {Object.entries(FUNDING_SCHEMES).map(([key, scheme]) => (
+                    {Object.entries(getSchemes(rulesDate, fundingYears)).map(([key, scheme]) => (
                       <tr key={key} className="border-b border-gray-100">
                         <td className="py-3 px-4">
                           <div className="flex items-center gap-2">
@@ -1100,10 +1964,10 @@ export default function FundingCalculator() {
                         </td>
                         <td className="text-center py-3 px-4">{scheme.hoursPerYear} hrs</td>
                         <td className="text-center py-3 px-4">
-                          {calculateFundedWeeklyHours(key, false, providerSettings.operatingWeeks).toFixed(1)} hrs/wk
+                          {calculateFundedWeeklyHours(key, false, providerSettings.operatingWeeks, fundedTermWeeks, rulesDate, fundingYears).toFixed(1)} hrs/wk
                         </td>
                         <td className="text-center py-3 px-4">
-                          {calculateFundedWeeklyHours(key, true, providerSettings.operatingWeeks).toFixed(1)} hrs/wk
+                          {calculateFundedWeeklyHours(key, true, providerSettings.operatingWeeks, fundedTermWeeks, rulesDate, fundingYears).toFixed(1)} hrs/wk
                         </td>
                       </tr>
                     ))}
@@ -1117,15 +1981,120 @@ export default function FundingCalculator() {
             </div>
           </div>
         )}
+
+        {/* Scenarios Tab */}
+        {activeTab === 'scenarios' && (
+          <ScenarioPlanner
+            children={activeChildren}
+            scenarios={scenarios}
+            onChange={setScenarios}
+            operatingWeeks={providerSettings.operatingWeeks}
+            evaluate={evaluateScenario}
+            fundingYears={fundingYears}
+          />
+        )}
+
+        {/* Rooms Tab */}
+        {activeTab === 'rooms' && (
+          <RoomPlanner
+            children={activeChildren}
+            rooms={providerSettings.rooms}
+            onChangeRooms={(rooms) => setProviderSettings({...providerSettings, rooms})}
+          />
+        )}
+
+        {/* Register Tab */}
+        {activeTab === 'register' && (
+          <AttendanceRegister
+            children={activeWithUsage}
+            attendance={attendance}
+            onChange={setAttendance}
+            academicYear={academicYear}
+            initialChildId={registerChildId}
+          />
+        )}
+
+        {/* Families Tab */}
+        {activeTab === 'families' && (
+          <Families
+            families={families}
+            children={children}
+            invoices={invoices}
+            onChange={setFamilies}
+            siblingDiscount={providerSettings.siblingDiscount}
+            onChangeSiblingDiscount={(siblingDiscount) => setProviderSettings({...providerSettings, siblingDiscount})}
+            highlightFamilyId={highlightFamilyId}
+            onOpenChild={openChild}
+          />
+        )}
+
+        {/* Waiting List Tab */}
+        {activeTab === 'waiting' && (
+          <WaitingList
+            enquiries={enquiries}
+            onChange={setEnquiries}
+            operatingWeeks={providerSettings.operatingWeeks}
+            quote={quoteEnquiry}
+            onConvert={handleConvertEnquiry}
+            onOpenChild={openChild}
+            fundingYears={fundingYears}
+          />
+        )}
+
+        {/* Invoices Tab */}
+        {activeTab === 'invoices' && (
+          <Invoicing
+            families={families}
+            children={children}
+            invoices={invoices}
+            onChange={setInvoices}
+            termCalendar={termCalendar}
+            providerSettings={providerSettings}
+            attendance={attendance}
+            fundingYears={fundingYears}
+          />
+        )}
+
+        {/* Headcount Tab */}
+        {activeTab === 'headcount' && (
+          <HeadcountReturn
+            children={childrenWithUsage}
+            termCalendar={termCalendar}
+            termStatus={termStatus}
+            fundingYears={fundingYears}
+          />
+        )}
+
+        {/* Income Tab */}
+        {activeTab === 'income' && (
+          <IncomeForecast
+            forecast={incomeForecast}
+            academicYear={academicYear}
+            rateProfiles={rateProfiles}
+            onChangeRateProfiles={setRateProfiles}
+            fundingYears={fundingYears}
+          />
+        )}
+
+        {/* Term Dates Tab */}
+        {activeTab === 'calendar' && (
+          <TermCalendarEditor
+            calendar={termCalendar}
+            onChange={setTermCalendar}
+            termStatus={termStatus}
+          />
+        )}
       </main>
 
       {/* Footer */}
-      <footer className="bg-white border-t border-gray-200 mt-12 py-4">
+      <footer className="bg-white border-t border-gray-200 mt-12 py-4 print:hidden">
         <div className="max-w-7xl mx-auto px-4 text-center text-sm text-gray-500">
           <p>UK Childcare Funded Hours Calculator - Prototype</p>
-          <p className="text-xs mt-1">Calculations based on 2024/25 funding entitlements. Always verify with your local authority.</p>
+          <p className="text-xs mt-1">Calculations use the {getFundingYear(rulesDate, fundingYears).fundingYear} funding rules. Always verify with your local authority.</p>
         </div>
       </footer>
+
+      {printQuote && <QuotationDocument record={printQuote} providerSettings={providerSettings} />}
     </div>
   );
 }
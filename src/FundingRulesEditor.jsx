@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { Plus, AlertCircle, RotateCcw } from 'lucide-react';
+import {
+  DEFAULT_FUNDING_YEARS, ELIGIBILITY_FLAGS, getFundingYear, isPublishedYear, createNextFundingYear, validateFundingYear
+} from './fundingSchemes';
+
+const REQUIREMENT_LABELS = { workingParents: 'Working parents', meetsTwoYearCriteria: '2-year-old criteria' };
+
+export default function FundingRulesEditor({ years, onChange }) {
+  const [selectedYear, setSelectedYear] = useState(() => getFundingYear(undefined, years).fundingYear);
+  // Edits stay in a draft until they validate, so calculations never run on rules like 0 term weeks
+  const [draft, setDraft] = useState(null);
+
+  const savedYear = years.find(y => y.fundingYear === selectedYear) || years[years.length - 1];
+  const year = draft?.fundingYear === savedYear.fundingYear ? draft : savedYear;
+  const errors = validateFundingYear(year, years);
+  const published = DEFAULT_FUNDING_YEARS.find(p => p.fundingYear === year.fundingYear);
+
+  const selectYear = (fundingYear) => {
+    setSelectedYear(fundingYear);
+    setDraft(null);
+  };
+
+  const updateYear = (changes) => {
+    const updated = { ...year, ...changes };
+    setDraft(updated);
+    if (validateFundingYear(updated, years).length === 0) {
+      onChange(years.map(y => (y.fundingYear === updated.fundingYear ? updated : y)));
+    }
+  };
+
+  const updateScheme = (key, changes) => {
+    updateYear({ schemes: { ...year.schemes, [key]: { ...year.schemes[key], ...changes } } });
+  };
+
+  const handleAddYear = () => {
+    const next = createNextFundingYear(years);
+    onChange([...years, next]);
+    selectYear(next.fundingYear);
+  };
+
+  const handleReset = () => {
+    if (!window.confirm(`Replace your changes to ${year.fundingYear} with the published rules?`)) return;
+    onChange(years.map(y => (y.fundingYear === year.fundingYear ? published : y)));
+    setDraft(null);
+  };
+
+  const handleRemoveYear = () => {
+    if (!window.confirm(`Remove the ${year.fundingYear} funding rules?`)) return;
+    const remaining = years.filter(y => y.fundingYear !== year.fundingYear);
+    onChange(remaining);
+    selectYear(remaining[remaining.length - 1].fundingYear);
+  };
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-lg font-semibold text-gray-900">Funding Rules</h3>
+        <button onClick={handleAddYear} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+          <Plus size={14} />
+          Add funding year
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Scheme hours, weeks, ages and eligibility for each funding year, shared by every site. Calculations use the year in effect on the date being worked out.
+      </p>
+
+      <div className="flex items-center gap-2 mb-4">
+        {years.map(y => (
+          <button
+            key={y.fundingYear}
+            onClick={() => selectYear(y.fundingYear)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              y.fundingYear === year.fundingYear
+                ? 'bg-blue-600 text-white'
+                : 'bg-white border border-gray-200 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {y.fundingYear}
+          </button>
+        ))}
+        <span className="ml-auto text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+          {isPublishedYear(year) ? `Published rules v${year.version}` : published ? `Edited from v${published.version}` : 'Added here'}
+        </span>
+        {published && !isPublishedYear(year) && (
+          <button onClick={handleReset} className="flex items-center gap-1 text-sm text-gray-500 hover:text-blue-600">
+            <RotateCcw size={14} />
+            Reset
+          </button>
+        )}
+        {!published && (
+          <button onClick={handleRemoveYear} className="text-sm text-gray-500 hover:text-red-600">
+            Remove {year.fundingYear}
+          </button>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <div className="bg-amber-50 rounded-lg p-3 mb-4 space-y-1">
+          {errors.map(error => (
+            <p key={error} className="flex items-center gap-2 text-sm text-amber-800">
+              <AlertCircle size={14} />
+              {error}
+            </p>
+          ))}
+          <p className="text-xs text-amber-700">
+            Calculations keep using the last valid {year.fundingYear} rules until these are fixed.
+          </p>
+        </div>
+      )}
+
+      <div className="flex gap-4 mb-4">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Effective from</label>
+          <input
+            type="date"
+            value={year.effectiveFrom}
+            onChange={(e) => updateYear({ effectiveFrom: e.target.value })}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Effective to</label>
+          <input
+            type="date"
+            value={year.effectiveTo}
+            onChange={(e) => updateYear({ effectiveTo: e.target.value })}
+            className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-gray-500">
+              <th className="text-left font-normal pb-1">Scheme</th>
+              <th className="text-left font-normal pb-1">Description</th>
+              <th className="text-left font-normal pb-1">Hours / year</th>
+              <th className="text-left font-normal pb-1">Term weeks</th>
+              <th className="text-left font-normal pb-1">Age from (years)</th>
+              <th className="text-left font-normal pb-1">Age to (years)</th>
+              <th className="text-left font-normal pb-1">Requires</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(year.schemes).map(([key, scheme]) => (
+              <tr key={key}>
+                <td className="pr-2 py-1">
+                  <input
+                    type="text"
+                    value={scheme.name}
+                    onChange={(e) => updateScheme(key, { name: e.target.value })}
+                    className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                  />
+                </td>
+                <td className="pr-2 py-1">
+                  <input
+                    type="text"
+                    value={scheme.description}
+                    onChange={(e) => updateScheme(key, { description: e.target.value })}
+                    className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                  />
+                </td>
+                <td className="pr-2 py-1">
+                  <input
+                    type="number"
+                    min="0"
+                    value={scheme.hoursPerYear}
+                    onChange={(e) => updateScheme(key, { hoursPerYear: parseFloat(e.target.value) || 0 })}
+                    className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+                  />
+                </td>
+                <td className="pr-2 py-1">
+                  <input
+                    type="number"
+                    min="1"
+                    max="52"
+                    value={scheme.weeksTermTime}
+                    onChange={(e) => updateScheme(key, { weeksTermTime: parseFloat(e.target.value) || 0 })}
+                    className="w-16 border border-gray-300 rounded-lg px-2 py-1"
+                  />
+                </td>
+                <td className="pr-2 py-1">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.25"
+                    value={scheme.ageMin}
+                    onChange={(e) => updateScheme(key, { ageMin: parseFloat(e.target.value) || 0 })}
+                    className="w-16 border border-gray-300 rounded-lg px-2 py-1"
+                  />
+                </td>
+                <td className="pr-2 py-1">
+                  <input
+                    type="number"
+                    min="0"
+                    value={scheme.ageMax}
+                    onChange={(e) => updateScheme(key, { ageMax: parseFloat(e.target.value) || 0 })}
+                    className="w-16 border border-gray-300 rounded-lg px-2 py-1"
+                  />
+                </td>
+                <td className="py-1">
+                  <select
+                    value={scheme.requires || ''}
+                    onChange={(e) => updateScheme(key, { requires: e.target.value || null })}
+                    className="border border-gray-300 rounded-lg px-2 py-1"
+                  >
+                    <option value="">Nothing</option>
+                    {Object.keys(ELIGIBILITY_FLAGS).map(flag => (
+                      <option key={flag} value={flag}>{REQUIREMENT_LABELS[flag]}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Ages are in years: funding starts the term after the child reaches the first age. Schemes ending at 4 run until the child starts school.
+      </p>
+    </div>
+  );
+}
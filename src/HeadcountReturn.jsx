@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { getScheme } from './fundingSchemes';
+import { TERM_KEYS, TERM_NAMES } from './termCalendar';
+import { getHeadcountReturn, headcountToRows, getHeadcountFilename } from './headcount';
+import { downloadCsv } from './csv';
+import { formatDate } from './dates';
+
+export default function HeadcountReturn({ children, termCalendar, termStatus, fundingYears }) {
+  const [yearId, setYearId] = useState(termStatus?.academicYear || termCalendar[0]?.id);
+  const [termKey, setTermKey] = useState(termStatus?.termKey || 'autumn');
+
+  const academicYear = termCalendar.find(year => year.id === yearId) || termCalendar[0];
+  if (!academicYear) return null;
+
+  const headcount = getHeadcountReturn(children, academicYear, termKey, fundingYears);
+  const term = academicYear.terms[termKey];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Termly Headcount</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Funded hours claimed per child for the term, from eligibility dates and booked patterns
+          </p>
+        </div>
+        <button
+          onClick={() => downloadCsv(getHeadcountFilename(headcount), headcountToRows(headcount, fundingYears))}
+          disabled={headcount.rows.length === 0}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Download size={18} />
+          Export CSV
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <select
+          value={academicYear.id}
+          onChange={(e) => setYearId(e.target.value)}
+          className="border border-gray-300 rounded-lg px-3 py-2"
+        >
+          {termCalendar.map(year => (
+            <option key={year.id} value={year.id}>{year.id}</option>
+          ))}
+        </select>
+        <div className="flex gap-1 bg-gray-100 rounded-lg p-1">
+          {TERM_KEYS.map(key => (
+            <button
+              key={key}
+              onClick={() => setTermKey(key)}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+                termKey === key ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {TERM_NAMES[key]}
+            </button>
+          ))}
+        </div>
+        <span className="text-sm text-gray-500">
+          {formatDate(term.start)} – {formatDate(term.end)}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+          <p className="text-sm text-gray-500">Funded Children</p>
+          <p className="text-2xl font-bold text-gray-900">{headcount.totals.children}</p>
+        </div>
+        <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+          <p className="text-sm text-gray-500">Entitlement This Term</p>
+          <p className="text-2xl font-bold text-gray-900">{headcount.totals.entitlementHours.toLocaleString()} hrs</p>
+        </div>
+        <div className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+          <p className="text-sm text-gray-500">Hours Claimed</p>
+          <p className="text-2xl font-bold text-gray-900">{headcount.totals.claimedHours.toLocaleString()} hrs</p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+        {headcount.rows.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-3 px-4 font-medium text-gray-700">Child</th>
+                  <th className="text-left py-3 px-4 font-medium text-gray-700">Scheme</th>
+                  <th className="text-center py-3 px-4 font-medium text-gray-700">Pattern</th>
+                  <th className="text-center py-3 px-4 font-medium text-gray-700">Eligible From</th>
+                  <th className="text-center py-3 px-4 font-medium text-gray-700">Entitlement</th>
+                  <th className="text-center py-3 px-4 font-medium text-gray-700">Booked</th>
+                  <th className="text-center py-3 px-4 font-medium text-gray-700">Claimed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {headcount.rows.map(row => (
+                  <tr key={row.child.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4 font-medium">{row.child.name}</td>
+                    <td className="py-3 px-4">
+                      <div className="flex items-center gap-2">
+                        <div className="w-3 h-3 rounded-full" style={{ backgroundColor: getScheme(row.entitlement, row.eligibleFrom, fundingYears).color }} />
+                        {getScheme(row.entitlement, row.eligibleFrom, fundingYears).name}
+                      </div>
+                    </td>
+                    <td className="text-center py-3 px-4">
+                      {row.stretched ? (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-purple-100 text-purple-700">Stretched</span>
+                      ) : (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">Term-time</span>
+                      )}
+                    </td>
+                    <td className="text-center py-3 px-4">{formatDate(row.eligibleFrom)}</td>
+                    <td className="text-center py-3 px-4">{row.entitlementHours} hrs</td>
+                    <td className="text-center py-3 px-4">{row.bookedHours} hrs</td>
+                    <td className="text-center py-3 px-4 font-medium">{row.claimedHours} hrs</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-center py-8 text-gray-400">
+            No children are eligible for funding in the {TERM_NAMES[termKey].toLowerCase()} term of {academicYear.id}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { PoundSterling, Building2, Users, TrendingDown } from 'lucide-react';
+import { getScheme } from './fundingSchemes';
+import { formatMonth } from './dates';
+import LaRateEditor from './LaRateEditor';
+
+const formatMoney = (amount) => `£${amount.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Monthly income chart, shared with the dashboard
+export function IncomeChart({ monthly, height = 250 }) {
+  const data = monthly.map(m => ({ ...m, name: formatMonth(m.month).split(' ')[0] }));
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data}>
+        <XAxis dataKey="name" />
+        <YAxis />
+        <Tooltip formatter={(value) => formatMoney(value)} />
+        <Legend />
+        <Bar dataKey="laIncome" stackId="a" fill="#3B82F6" name="LA funding" />
+        <Bar dataKey="parentFees" stackId="a" fill="#10B981" name="Parent fees" />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+export default function IncomeForecast({ forecast, academicYear, rateProfiles, onChangeRateProfiles, fundingYears }) {
+  const { rows, monthly, totals } = forecast;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">Provider Income</h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Forecast for {academicYear ? academicYear.id : 'the current year'} from LA funding rates and current bookings
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {[
+          { label: 'Annual Income', value: formatMoney(totals.total), icon: PoundSterling, bg: 'bg-purple-100', text: 'text-purple-600' },
+          { label: 'LA Funding', value: formatMoney(totals.laIncome), icon: Building2, bg: 'bg-blue-100', text: 'text-blue-600' },
+          { label: 'Parent Fees', value: formatMoney(totals.parentFees), icon: Users, bg: 'bg-green-100', text: 'text-green-600' },
+          { label: 'Funding Gap', value: formatMoney(totals.fundingGap), icon: TrendingDown, bg: 'bg-red-100', text: 'text-red-600' }
+        ].map(card => (
+          <div key={card.label} className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+            <div className="flex items-center gap-3">
+              <div className={`p-2 ${card.bg} rounded-lg`}>
+                <card.icon className={card.text} size={20} />
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">{card.label}</p>
+                <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+        <div className="flex justify-between items-baseline mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Monthly Income</h3>
+          <span className="text-sm text-gray-500">Average {formatMoney(totals.monthlyAverage)} per month</span>
+        </div>
+        <IncomeChart monthly={monthly} />
+        <div className="overflow-x-auto mt-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 px-2 font-medium text-gray-700">Month</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">LA funding</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Parent fees</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {monthly.map(m => (
+                <tr key={m.month} className="border-b border-gray-100">
+                  <td className="py-2 px-2">{formatMonth(m.month)}</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(m.laIncome)}</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(m.parentFees)}</td>
+                  <td className="py-2 px-2 text-right font-medium">{formatMoney(m.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Funding Gap by Child</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Funded hours valued at our own hourly rate compared with what the LA pays for them
+        </p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 px-2 font-medium text-gray-700">Child</th>
+                <th className="text-left py-2 px-2 font-medium text-gray-700">Scheme</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Funded hrs</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">LA rate</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Our rate</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">LA funding</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Parent fees</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Funding gap</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.child.id} className="border-b border-gray-100">
+                  <td className="py-2 px-2 font-medium">{row.child.name}</td>
+                  <td className="py-2 px-2">{getScheme(row.child.entitlement, academicYear?.terms.autumn.start, fundingYears).name}</td>
+                  <td className="py-2 px-2 text-right">{row.fundedHours.toFixed(1)}</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(row.laRate)}</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(row.ourRate)}</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(row.laIncome)}</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(row.parentFees)}</td>
+                  <td className={`py-2 px-2 text-right font-medium ${row.fundingGap > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {formatMoney(row.fundingGap)}
+                  </td>
+                </tr>
+              ))}
+              {rows.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="py-6 text-center text-gray-400">No children to forecast.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <LaRateEditor profiles={rateProfiles} onChange={onChangeRateProfiles} fundingYears={fundingYears} />
+    </div>
+  );
+}
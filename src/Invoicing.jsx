@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { RefreshCw, Send, CheckCircle, Trash2, ChevronDown, ChevronUp } from 'lucide-react';
+import {
+  INVOICE_STATUSES, generateDraftInvoices, issueInvoice, markInvoicePaid, getAccountBalances
+} from './invoicing';
+import { formatDate, formatMonth, todayISO } from './dates';
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  issued: 'bg-amber-100 text-amber-700',
+  paid: 'bg-green-100 text-green-700'
+};
+
+const formatMoney = (amount) => `£${amount.toFixed(2)}`;
+
+export default function Invoicing({ families, children, invoices, onChange, termCalendar, providerSettings, attendance, fundingYears }) {
+  const [month, setMonth] = useState(todayISO().slice(0, 7));
+  const [expandedId, setExpandedId] = useState(null);
+
+  const monthInvoices = invoices
+    .filter(invoice => invoice.month === month)
+    .sort((a, b) => a.familyName.localeCompare(b.familyName));
+  const accounts = getAccountBalances(invoices);
+  const drafts = monthInvoices.filter(invoice => invoice.status === 'draft');
+
+  const handleGenerate = () => {
+    onChange(generateDraftInvoices(invoices, families, children, month, { termCalendar, providerSettings, attendance, fundingYears }));
+  };
+
+  const handleIssueAll = () => {
+    onChange(drafts.reduce((updated, invoice) => issueInvoice(updated, invoice.id), invoices));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Invoices</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Monthly family invoices from booked hours, less the funded hours due that month
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="month"
+            value={month}
+            onChange={(e) => e.target.value && setMonth(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <button
+            onClick={handleGenerate}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <RefreshCw size={18} />
+            {drafts.length > 0 ? 'Recalculate Drafts' : 'Generate Drafts'}
+          </button>
+          <button
+            onClick={handleIssueAll}
+            disabled={drafts.length === 0}
+            className="flex items-center gap-2 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Send size={18} />
+            Issue All
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">{formatMonth(month)}</h3>
+        {monthInvoices.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-2 px-2 font-medium text-gray-700">Invoice</th>
+                  <th className="text-left py-2 px-2 font-medium text-gray-700">Family</th>
+                  <th className="text-right py-2 px-2 font-medium text-gray-700">Booked</th>
+                  <th className="text-right py-2 px-2 font-medium text-gray-700">Attended</th>
+                  <th className="text-right py-2 px-2 font-medium text-gray-700">Funded</th>
+                  <th className="text-right py-2 px-2 font-medium text-gray-700">Chargeable</th>
+                  <th className="text-right py-2 px-2 font-medium text-gray-700">Total</th>
+                  <th className="text-center py-2 px-2 font-medium text-gray-700">Status</th>
+                  <th className="py-2 px-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {monthInvoices.map(invoice => (
+                  <React.Fragment key={invoice.id}>
+                    <tr className="border-b border-gray-100">
+                      <td className="py-2 px-2 font-medium">
+                        <button
+                          onClick={() => setExpandedId(expandedId === invoice.id ? null : invoice.id)}
+                          className="flex items-center gap-1 hover:text-blue-600"
+                        >
+                          {expandedId === invoice.id ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                          {invoice.number || 'Draft'}
+                        </button>
+                      </td>
+                      <td className="py-2 px-2">
+                        {invoice.familyName}
+                        <p className="text-xs text-gray-500">{invoice.children.map(c => c.childName).join(', ')}</p>
+                      </td>
+                      <td className="py-2 px-2 text-right">{invoice.summary.bookedHours}h</td>
+                      <td className="py-2 px-2 text-right">{invoice.summary.attendedHours}h</td>
+                      <td className="py-2 px-2 text-right text-green-600">{invoice.summary.fundedHours}h</td>
+                      <td className="py-2 px-2 text-right">{invoice.summary.chargeableHours}h</td>
+                      <td className="py-2 px-2 text-right font-medium">{formatMoney(invoice.total)}</td>
+                      <td className="py-2 px-2 text-center">
+                        <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[invoice.status]}`}>
+                          {INVOICE_STATUSES[invoice.status]}
+                        </span>
+                      </td>
+                      <td className="py-2 px-2">
+                        <div className="flex justify-end gap-2">
+                          {invoice.status === 'draft' && (
+                            <>
+                              <button
+                                onClick={() => onChange(issueInvoice(invoices, invoice.id))}
+                                className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                              >
+                                Issue
+                              </button>
+                              <button
+                                onClick={() => onChange(invoices.filter(i => i.id !== invoice.id))}
+                                className="text-gray-400 hover:text-red-600"
+                              >
+                                <Trash2 size={14} />
+                              </button>
+                            </>
+                          )}
+                          {invoice.status === 'issued' && (
+                            <button
+                              onClick={() => onChange(markInvoicePaid(invoices, invoice.id))}
+                              className="flex items-center gap-1 text-xs px-2 py-1 bg-green-100 text-green-700 rounded hover:bg-green-200"
+                            >
+                              <CheckCircle size={12} />
+                              Mark paid
+                            </button>
+                          )}
+                          {invoice.status === 'paid' && (
+                            <span className="text-xs text-gray-500">Paid {formatDate(invoice.paidAt)}</span>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                    {expandedId === invoice.id && (
+                      <tr className="bg-gray-50">
+                        <td colSpan={9} className="px-8 py-3">
+                          {invoice.children.map(childInvoice => (
+                            <table key={childInvoice.childId} className="w-full text-xs mb-2">
+                              <tbody>
+                                <tr>
+                                  <td colSpan={3} className="py-1 font-medium text-gray-700">{childInvoice.childName}</td>
+                                </tr>
+                                {childInvoice.lines.map(line => (
+                                  <tr key={line.label}>
+                                    <td className="py-1">{line.label}</td>
+                                    <td className="py-1 text-right">{line.quantity} × {formatMoney(line.unitPrice)}</td>
+                                    <td className="py-1 text-right w-24">{formatMoney(line.amount)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          ))}
+                          {invoice.issuedAt && (
+                            <p className="text-xs text-gray-500 mt-2">Issued {formatDate(invoice.issuedAt)}</p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-400">No invoices for {formatMonth(month)} yet. Generate drafts to calculate them.</p>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Family Account Balances</h3>
+        {Object.keys(accounts).length > 0 ? (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 px-2 font-medium text-gray-700">Account</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Invoiced</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Paid</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(accounts).map(([familyId, account]) => (
+                <tr key={familyId} className="border-b border-gray-100">
+                  <td className="py-2 px-2">
+                    {families.find(f => String(f.id) === familyId)?.name
+                      || invoices.find(i => String(i.familyId) === familyId).familyName}
+                  </td>
+                  <td className="py-2 px-2 text-right">{formatMoney(account.invoiced)}</td>
+                  <td className="py-2 px-2 text-right">{formatMoney(account.paid)}</td>
+                  <td className={`py-2 px-2 text-right font-medium ${account.balance > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {formatMoney(account.balance)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-400">Balances appear once invoices are issued.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, AlertCircle } from 'lucide-react';
+import { getSchemes } from './fundingSchemes';
+import { getFundingYearId, createNextRateProfile, validateRateProfile } from './laRates';
+import { todayISO } from './dates';
+
+export default function LaRateEditor({ profiles, onChange, fundingYears }) {
+  const [selectedId, setSelectedId] = useState(() => {
+    const current = getFundingYearId();
+    return profiles.some(p => p.id === current) ? current : profiles[profiles.length - 1]?.id;
+  });
+
+  const profile = profiles.find(p => p.id === selectedId) || profiles[0];
+  const errors = profile ? validateRateProfile(profile, fundingYears) : [];
+
+  const updateProfile = (changes) => {
+    onChange(profiles.map(p => (p.id === profile.id ? { ...p, ...changes } : p)));
+  };
+
+  const updateSupplement = (id, changes) => {
+    updateProfile({ supplements: profile.supplements.map(s => (s.id === id ? { ...s, ...changes } : s)) });
+  };
+
+  const handleAddYear = () => {
+    const next = createNextRateProfile(profiles);
+    onChange([...profiles, next]);
+    setSelectedId(next.id);
+  };
+
+  const handleRemoveYear = () => {
+    if (profiles.length <= 1 || !window.confirm(`Remove the ${profile.id} funding rates?`)) return;
+    const remaining = profiles.filter(p => p.id !== profile.id);
+    onChange(remaining);
+    setSelectedId(remaining[0].id);
+  };
+
+  if (!profile) return null;
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-lg font-semibold text-gray-900">Local Authority Funding Rates</h3>
+        <button onClick={handleAddYear} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+          <Plus size={14} />
+          Add funding year
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Hourly rates paid by the LA for each funding year (April to March). Supplements are added for children who attract them.
+      </p>
+
+      <div className="flex items-center gap-2 mb-4">
+        {profiles.map(p => (
+          <button
+            key={p.id}
+            onClick={() => setSelectedId(p.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              p.id === profile.id
+                ? 'bg-blue-600 text-white'
+                : 'bg-white border border-gray-200 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {p.id}
+          </button>
+        ))}
+        <button
+          onClick={handleRemoveYear}
+          disabled={profiles.length <= 1}
+          className="ml-auto text-sm text-gray-500 hover:text-red-600 disabled:opacity-30"
+        >
+          Remove {profile.id}
+        </button>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="bg-amber-50 rounded-lg p-3 mb-4 space-y-1">
+          {errors.map(error => (
+            <p key={error} className="flex items-center gap-2 text-sm text-amber-800">
+              <AlertCircle size={14} />
+              {error}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Base Rates (£/hour)</h4>
+          <div className="space-y-2">
+            {Object.entries(getSchemes(todayISO(), fundingYears)).map(([key, scheme]) => (
+              <div key={key} className="flex items-center justify-between gap-3">
+                <label className="text-sm text-gray-600">{scheme.name}</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={profile.rates[key] ?? ''}
+                  onChange={(e) => updateProfile({ rates: {...profile.rates, [key]: parseFloat(e.target.value) || 0} })}
+                  className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-gray-700">Supplements (£/hour)</h4>
+            <button
+              onClick={() => updateProfile({
+                supplements: [...profile.supplements, { id: `supplement_${Date.now()}`, label: 'New supplement', rate: 0 }]
+              })}
+              className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+            >
+              <Plus size={14} />
+              Add supplement
+            </button>
+          </div>
+          <div className="space-y-2">
+            {profile.supplements.map(supplement => (
+              <div key={supplement.id} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={supplement.label}
+                  onChange={(e) => updateSupplement(supplement.id, { label: e.target.value })}
+                  className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={supplement.rate}
+                  onChange={(e) => updateSupplement(supplement.id, { rate: parseFloat(e.target.value) || 0 })}
+                  className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                />
+                <button
+                  onClick={() => updateProfile({ supplements: profile.supplements.filter(s => s.id !== supplement.id) })}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+            {profile.supplements.length === 0 && (
+              <p className="text-sm text-gray-400">No supplements for {profile.id}.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
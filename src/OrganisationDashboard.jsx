@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { Building2, Users, Clock, TrendingUp, PoundSterling, Plus, Trash2 } from 'lucide-react';
+import { getOrganisationTotals } from './sites';
+import FundingRulesEditor from './FundingRulesEditor';
+
+const formatMoney = (amount) => `£${amount.toLocaleString('en-GB', { maximumFractionDigits: 0 })}`;
+
+export default function OrganisationDashboard({
+  siteSummaries, siteSwitcher, onOpenSite, onAddSite, onRenameSite, onRemoveSite, fundingYears, onChangeFundingYears
+}) {
+  const [newSiteName, setNewSiteName] = useState('');
+
+  const summaries = siteSummaries.filter(row => row.summary).map(row => row.summary);
+  const totals = getOrganisationTotals(summaries);
+  const chartData = siteSummaries.filter(row => row.summary).map(({ site, summary }) => ({
+    name: site.name,
+    used: summary.usedHours,
+    remaining: summary.remainingHours,
+    laIncome: summary.income.laIncome,
+    parentFees: summary.income.parentFees
+  }));
+
+  const handleAdd = () => {
+    onAddSite(newSiteName);
+    setNewSiteName('');
+  };
+
+  const cards = [
+    { label: 'Sites', value: totals.sites, icon: Building2, style: 'bg-blue-100 text-blue-600' },
+    { label: 'Total Children', value: totals.children, icon: Users, style: 'bg-green-100 text-green-600' },
+    { label: 'Hours Used', value: `${totals.usedHours.toLocaleString()} / ${totals.fundedHours.toLocaleString()}`, icon: Clock, style: 'bg-amber-100 text-amber-600' },
+    { label: 'Utilisation', value: `${totals.utilisation}%`, icon: TrendingUp, style: 'bg-purple-100 text-purple-600' },
+    { label: 'Forecast Income', value: formatMoney(totals.totalIncome), icon: PoundSterling, style: 'bg-emerald-100 text-emerald-600' }
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white border-b border-gray-200 sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto px-4 py-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Funded Hours Calculator</h1>
+              <p className="text-sm text-gray-500">Organisation Dashboard</p>
+            </div>
+            {siteSwitcher}
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 py-6 space-y-6">
+        {/* Organisation Totals */}
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+          {cards.map(card => (
+            <div key={card.label} className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+              <div className="flex items-center gap-3">
+                <div className={`p-2 rounded-lg ${card.style}`}>
+                  <card.icon size={20} />
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">{card.label}</p>
+                  <p className="text-xl font-bold text-gray-900">{card.value}</p>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Charts by Site */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Funded Hours by Site</h3>
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={chartData} layout="vertical">
+                <XAxis type="number" />
+                <YAxis type="category" dataKey="name" width={110} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="used" stackId="a" fill="#10B981" name="Used" />
+                <Bar dataKey="remaining" stackId="a" fill="#E5E7EB" name="Remaining" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Forecast Income by Site</h3>
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={chartData}>
+                <XAxis dataKey="name" />
+                <YAxis tickFormatter={(value) => `£${Math.round(value / 1000)}k`} />
+                <Tooltip formatter={(value) => formatMoney(value)} />
+                <Legend />
+                <Bar dataKey="laIncome" stackId="a" fill="#3B82F6" name="LA funding" />
+                <Bar dataKey="parentFees" stackId="a" fill="#8B5CF6" name="Parent fees" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        {/* Sites */}
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Sites</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200">
+                <th className="text-left py-2 px-2 font-medium text-gray-700">Site</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Children</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Funded Hours</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Used</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Utilisation</th>
+                <th className="text-right py-2 px-2 font-medium text-gray-700">Forecast Income</th>
+                <th className="py-2 px-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {siteSummaries.map(({ site, summary }) => (
+                <tr key={site.id} className="border-b border-gray-100">
+                  <td className="py-2 px-2">
+                    <input
+                      type="text"
+                      value={site.name}
+                      onChange={(e) => onRenameSite(site.id, e.target.value)}
+                      className="font-medium text-gray-900 border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+                    />
+                  </td>
+                  {summary ? (
+                    <>
+                      <td className="py-2 px-2 text-right">{summary.children}</td>
+                      <td className="py-2 px-2 text-right">{summary.fundedHours.toLocaleString()}</td>
+                      <td className="py-2 px-2 text-right">{summary.usedHours.toLocaleString()}</td>
+                      <td className="py-2 px-2 text-right">{summary.utilisation}%</td>
+                      <td className="py-2 px-2 text-right font-medium">{formatMoney(summary.income.total)}</td>
+                    </>
+                  ) : (
+                    <td colSpan={5} className="py-2 px-2 text-right text-gray-400">Open this site to set it up</td>
+                  )}
+                  <td className="py-2 px-2">
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={() => onOpenSite(site.id)}
+                        className="text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                      >
+                        Open
+                      </button>
+                      <button
+                        onClick={() => onRemoveSite(site)}
+                        disabled={siteSummaries.length === 1}
+                        className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex gap-2 mt-4">
+            <input
+              type="text"
+              value={newSiteName}
+              onChange={(e) => setNewSiteName(e.target.value)}
+              placeholder="New site name"
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+            <button
+              onClick={handleAdd}
+              className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+            >
+              <Plus size={16} />
+              Add Site
+            </button>
+          </div>
+        </div>
+
+        <FundingRulesEditor years={fundingYears} onChange={onChangeFundingYears} />
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { Wand2, CheckCircle } from 'lucide-react';
+import { WEEKDAYS, MAX_HOURS_PER_DAY } from './children';
+import { DEFAULT_PATTERN_CONSTRAINTS } from './patternOptimiser';
+
+export default function PatternOptimiser({ children, openingHours, suggest, onApply }) {
+  const [childId, setChildId] = useState(children[0]?.id ?? null);
+  const [constraints, setConstraints] = useState({
+    ...DEFAULT_PATTERN_CONSTRAINTS,
+    maxHoursPerDay: openingHours,
+    stretched: children[0]?.stretchedOption ?? false
+  });
+  const [applied, setApplied] = useState(null);
+
+  const child = children.find(c => c.id === childId);
+  const result = child ? suggest(child, constraints) : null;
+
+  const update = (changes) => {
+    setConstraints({ ...constraints, ...changes });
+    setApplied(null);
+  };
+
+  const selectChild = (id) => {
+    const selected = children.find(c => c.id === id);
+    setChildId(id);
+    update({ stretched: selected?.stretchedOption ?? false });
+  };
+
+  const toggleRequiredDay = (day) => {
+    update({
+      requiredDays: constraints.requiredDays.includes(day)
+        ? constraints.requiredDays.filter(d => d !== day)
+        : [...constraints.requiredDays, day]
+    });
+  };
+
+  const handleApply = (suggestion) => {
+    onApply(child.id, suggestion.pattern, constraints.stretched);
+    setApplied(suggestion);
+  };
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Pattern Optimiser</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Booking patterns that use all of a child's funded hours for the lowest weekly fee
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Child</label>
+          <select
+            value={childId ?? ''}
+            onChange={(e) => selectChild(parseInt(e.target.value))}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1"
+          >
+            {children.map(c => (
+              <option key={c.id} value={c.id}>{c.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Days per week</label>
+          <select
+            value={constraints.dayCount ?? ''}
+            onChange={(e) => update({ dayCount: e.target.value ? parseInt(e.target.value) : null })}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1"
+          >
+            <option value="">Any</option>
+            {[1, 2, 3, 4, 5].map(count => (
+              <option key={count} value={count}>{count} {count === 1 ? 'day' : 'days'}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Funding</label>
+          <select
+            value={constraints.stretched ? 'stretched' : 'term'}
+            onChange={(e) => update({ stretched: e.target.value === 'stretched' })}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1"
+          >
+            <option value="term">Term-time</option>
+            <option value="stretched">Stretched</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Must include</label>
+          <div className="flex gap-1">
+            {WEEKDAYS.map(day => (
+              <button
+                key={day}
+                onClick={() => toggleRequiredDay(day)}
+                className={`flex-1 text-xs py-1 rounded border ${
+                  constraints.requiredDays.includes(day)
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {day.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Minimum hours per day</label>
+          <input
+            type="number"
+            min="0.5"
+            max={constraints.maxHoursPerDay}
+            step="0.5"
+            value={constraints.minHoursPerDay}
+            onChange={(e) => update({ minHoursPerDay: parseFloat(e.target.value) || 0.5 })}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Opening hours per day</label>
+          <input
+            type="number"
+            min="1"
+            max={MAX_HOURS_PER_DAY}
+            step="0.5"
+            value={constraints.maxHoursPerDay}
+            onChange={(e) => update({ maxHoursPerDay: Math.min(MAX_HOURS_PER_DAY, parseFloat(e.target.value) || openingHours) })}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1"
+          />
+        </div>
+      </div>
+
+      {result && (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            {child.name} has {result.fundedWeekly.toFixed(1)} funded hours a week ({constraints.stretched ? 'stretched' : 'term-time'}).
+          </p>
+          {result.suggestions.length > 0 ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  {WEEKDAYS.map(day => (
+                    <th key={day} className="text-center py-2 px-1 font-medium text-gray-700">{day.toUpperCase()}</th>
+                  ))}
+                  <th className="text-right py-2 px-2 font-medium text-gray-700">Hours</th>
+                  <th className="text-right py-2 px-2 font-medium text-gray-700">Chargeable</th>
+                  <th className="text-right py-2 px-2 font-medium text-gray-700">Weekly Cost</th>
+                  <th className="py-2 px-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {result.suggestions.map((suggestion, index) => (
+                  <tr key={WEEKDAYS.map(day => suggestion.pattern[day]).join('/')} className={`border-b border-gray-100 ${index === 0 ? 'bg-green-50' : ''}`}>
+                    {WEEKDAYS.map(day => (
+                      <td key={day} className="text-center py-2 px-1 text-gray-700">{suggestion.pattern[day] || '–'}</td>
+                    ))}
+                    <td className="text-right py-2 px-2">{suggestion.weeklyHours}h</td>
+                    <td className="text-right py-2 px-2">{suggestion.chargeableHours}h</td>
+                    <td className="text-right py-2 px-2 font-medium">£{suggestion.weeklyCost.toFixed(2)}</td>
+                    <td className="text-right py-2 px-2">
+                      {applied === suggestion ? (
+                        <span className="flex items-center justify-end gap-1 text-xs text-green-700">
+                          <CheckCircle size={12} />
+                          Applied
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => handleApply(suggestion)}
+                          className="flex items-center gap-1 ml-auto text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                        >
+                          <Wand2 size={12} />
+                          Apply
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-gray-400">No patterns fit these limits. Try fewer required days or a wider range of hours.</p>
+          )}
+          {result.suggestions[0]?.unusedFunded > 0 && (
+            <p className="text-xs text-amber-700 mt-2">
+              No pattern within these limits uses all the funding; {result.suggestions[0].unusedFunded} funded hours a week would go unused.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import React from 'react';
+import { formatDate } from './dates';
+
+// Printable parent quotation; only shown when printing, so it can be saved as a PDF
+export default function QuotationDocument({ record, providerSettings }) {
+  return (
+    <div className="hidden print:block text-gray-900 text-sm">
+      <div className="flex justify-between items-start border-b-2 border-gray-900 pb-4">
+        <div className="flex items-start gap-4">
+          {providerSettings.logo && (
+            <img src={providerSettings.logo} alt="" className="h-16 w-auto object-contain" />
+          )}
+          <div>
+            <h1 className="text-2xl font-bold">{providerSettings.providerName || 'Childcare Provider'}</h1>
+            {providerSettings.providerAddress && (
+              <p className="whitespace-pre-line text-gray-600">{providerSettings.providerAddress}</p>
+            )}
+            {providerSettings.ofstedUrn && (
+              <p className="text-gray-600">Ofsted URN: {providerSettings.ofstedUrn}</p>
+            )}
+          </div>
+        </div>
+        <div className="text-right">
+          <h2 className="text-xl font-bold uppercase tracking-wide">Quotation</h2>
+          <p>Reference: <span className="font-medium">{record.reference}</span></p>
+          <p>Date: {formatDate(record.issuedAt)}</p>
+          <p>Valid until: {formatDate(record.validUntil)}</p>
+        </div>
+      </div>
+
+      <h3 className="font-semibold uppercase text-xs text-gray-500 mt-6 mb-1">Quotation For</h3>
+      <p className="font-medium">{record.familyName}</p>
+
+      {record.children.map(child => (
+        <div key={child.childId} className="mt-6 break-inside-avoid">
+          <div className="grid grid-cols-2 gap-6">
+            <div>
+              <h3 className="font-semibold uppercase text-xs text-gray-500 mb-1">Child</h3>
+              <p className="font-medium">{child.childName}</p>
+              <p>Date of birth: {formatDate(child.childDob)}</p>
+            </div>
+            <div>
+              <h3 className="font-semibold uppercase text-xs text-gray-500 mb-1">Funded Entitlement</h3>
+              <p className="font-medium">{child.schemeName}</p>
+              <p>{child.stretched ? 'Stretched across the year' : 'Term-time only'}</p>
+            </div>
+          </div>
+
+          <table className="w-full mt-3">
+            <tbody>
+              <tr className="border-b border-gray-200">
+                <td className="py-2">Weekly hours booked</td>
+                <td className="py-2 text-right">{child.weeklyBooked} hrs</td>
+              </tr>
+              <tr className="border-b border-gray-200">
+                <td className="py-2">Funded hours per week</td>
+                <td className="py-2 text-right">{child.fundedWeekly.toFixed(1)} hrs</td>
+              </tr>
+              <tr className="border-b border-gray-200">
+                <td className="py-2">Chargeable hours per week</td>
+                <td className="py-2 text-right">{child.chargeableHours.toFixed(1)} hrs</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <h4 className="font-semibold mt-3 mb-1">Weekly Charges</h4>
+          <table className="w-full">
+            <tbody>
+              {child.lines.map(line => (
+                <tr key={line.label} className="border-b border-gray-200">
+                  <td className="py-2">{line.label}</td>
+                  <td className="py-2 text-right">£{line.amount.toFixed(2)}</td>
+                </tr>
+              ))}
+              <tr className="font-medium">
+                <td className="py-2">Weekly total for {child.childName.split(' ')[0]}</td>
+                <td className="py-2 text-right">£{child.weeklyTotal.toFixed(2)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      ))}
+
+      <table className="w-full mt-6">
+        <tbody>
+          <tr className="font-medium">
+            <td className="py-2">Family weekly total</td>
+            <td className="py-2 text-right">£{record.weeklyTotal.toFixed(2)}</td>
+          </tr>
+          <tr className="font-bold text-lg border-t-2 border-gray-900">
+            <td className="py-2">Total for {record.weeks} weeks</td>
+            <td className="py-2 text-right">£{record.periodTotal.toFixed(2)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="mt-8 pt-4 border-t border-gray-200 text-xs text-gray-600">
+        <h3 className="font-semibold uppercase text-gray-500 mb-1">Terms</h3>
+        <p className="whitespace-pre-line">{providerSettings.quoteTerms}</p>
+        <p className="mt-2">
+          This quotation is valid until {formatDate(record.validUntil)}. Actual charges may vary based on attendance.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import React from 'react';
+import { Trash2 } from 'lucide-react';
+
+const MAX_LOGO_BYTES = 200 * 1024;
+
+// Provider details printed on parent quotations
+export default function QuoteBranding({ providerSettings, onChange }) {
+  const update = (changes) => onChange({ ...providerSettings, ...changes });
+
+  const handleLogo = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (file.size > MAX_LOGO_BYTES) {
+      window.alert('Please choose a logo smaller than 200KB.');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => update({ logo: reader.result });
+    reader.readAsDataURL(file);
+  };
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">Quotation Document</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-3">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Provider Name</label>
+            <input
+              type="text"
+              value={providerSettings.providerName}
+              onChange={(e) => update({ providerName: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Address</label>
+            <textarea
+              rows={3}
+              value={providerSettings.providerAddress}
+              onChange={(e) => update({ providerAddress: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1"
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Ofsted URN</label>
+              <input
+                type="text"
+                value={providerSettings.ofstedUrn}
+                onChange={(e) => update({ ofstedUrn: e.target.value })}
+                className="w-full border border-gray-300 rounded-lg px-2 py-1"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Quote Valid For (days)</label>
+              <input
+                type="number"
+                min="1"
+                value={providerSettings.quoteValidityDays}
+                onChange={(e) => update({ quoteValidityDays: parseInt(e.target.value) || 1 })}
+                className="w-full border border-gray-300 rounded-lg px-2 py-1"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Logo</label>
+            <div className="flex items-center gap-3">
+              {providerSettings.logo && (
+                <>
+                  <img src={providerSettings.logo} alt="Provider logo" className="h-10 w-auto object-contain" />
+                  <button onClick={() => update({ logo: '' })} className="text-gray-400 hover:text-red-600">
+                    <Trash2 size={14} />
+                  </button>
+                </>
+              )}
+              <input type="file" accept="image/*" onChange={handleLogo} className="text-sm" />
+            </div>
+          </div>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Terms &amp; Conditions</label>
+          <textarea
+            rows={9}
+            value={providerSettings.quoteTerms}
+            onChange={(e) => update({ quoteTerms: e.target.value })}
+            className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { WEEKDAYS } from './children';
+import { getSessionDuration } from './rates';
+
+export default function RateCardEditor({ rateCard, onChange }) {
+  const update = (changes) => onChange({ ...rateCard, ...changes });
+
+  const updateBand = (id, changes) => {
+    update({ ageBands: rateCard.ageBands.map(band => (band.id === id ? { ...band, ...changes } : band)) });
+  };
+
+  const addBand = () => {
+    const last = rateCard.ageBands[rateCard.ageBands.length - 1];
+    update({
+      ageBands: [
+        ...rateCard.ageBands,
+        { id: `band_${Date.now()}`, label: 'New band', maxAgeMonths: null, hourlyRate: last ? last.hourlyRate : 0 }
+      ]
+    });
+  };
+
+  const removeBand = (id) => {
+    update({ ageBands: rateCard.ageBands.filter(band => band.id !== id) });
+  };
+
+  const updateSession = (id, changes) => {
+    update({ sessions: rateCard.sessions.map(session => (session.id === id ? { ...session, ...changes } : session)) });
+  };
+
+  const addSession = () => {
+    update({
+      sessions: [
+        ...rateCard.sessions,
+        { id: `session_${Date.now()}`, name: 'New session', start: '09:00', end: '12:00', prices: {} }
+      ]
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Rate Card</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Chargeable hours are priced by the child's age band. Days matching a session's length use the session price.
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Age Bands */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-gray-700">Age Bands</h4>
+            <button onClick={addBand} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+              <Plus size={14} />
+              Add band
+            </button>
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500">
+                <th className="text-left font-normal pb-1">Band</th>
+                <th className="text-left font-normal pb-1">Under age (months)</th>
+                <th className="text-left font-normal pb-1">Hourly rate (£)</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rateCard.ageBands.map(band => (
+                <tr key={band.id}>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="text"
+                      value={band.label}
+                      onChange={(e) => updateBand(band.id, { label: e.target.value })}
+                      className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      value={band.maxAgeMonths ?? ''}
+                      placeholder="No limit"
+                      onChange={(e) => updateBand(band.id, { maxAgeMonths: e.target.value === '' ? null : parseInt(e.target.value) })}
+                      className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                    />
+                  </td>
+                  <td className="pr-2 py-1">
+                    <input
+                      type="number"
+                      step="0.50"
+                      min="0"
+                      value={band.hourlyRate}
+                      onChange={(e) => updateBand(band.id, { hourlyRate: parseFloat(e.target.value) || 0 })}
+                      className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                    />
+                  </td>
+                  <td className="py-1">
+                    <button
+                      onClick={() => removeBand(band.id)}
+                      disabled={rateCard.ageBands.length <= 1}
+                      className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4 className="text-sm font-medium text-gray-700 mt-6 mb-2">Day Premiums (%)</h4>
+          <div className="grid grid-cols-5 gap-2">
+            {WEEKDAYS.map(day => (
+              <div key={day}>
+                <label className="block text-xs text-gray-500 text-center mb-1">{day.toUpperCase()}</label>
+                <input
+                  type="number"
+                  step="5"
+                  value={rateCard.dayPremiums[day] || 0}
+                  onChange={(e) => update({ dayPremiums: {...rateCard.dayPremiums, [day]: parseFloat(e.target.value) || 0} })}
+                  className="w-full border border-gray-300 rounded-lg px-2 py-1 text-center"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Sessions */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-gray-700">Sessions</h4>
+            <button onClick={addSession} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+              <Plus size={14} />
+              Add session
+            </button>
+          </div>
+          <div className="space-y-3">
+            {rateCard.sessions.map(session => (
+              <div key={session.id} className="border border-gray-100 rounded-lg p-3">
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={session.name}
+                    onChange={(e) => updateSession(session.id, { name: e.target.value })}
+                    className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                  />
+                  <input
+                    type="time"
+                    value={session.start}
+                    onChange={(e) => updateSession(session.id, { start: e.target.value })}
+                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                  />
+                  <input
+                    type="time"
+                    value={session.end}
+                    onChange={(e) => updateSession(session.id, { end: e.target.value })}
+                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                  />
+                  <span className="text-xs text-gray-500 w-10">{getSessionDuration(session)}h</span>
+                  <button
+                    onClick={() => update({ sessions: rateCard.sessions.filter(s => s.id !== session.id) })}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+                <div className="flex flex-wrap gap-3 mt-2">
+                  {rateCard.ageBands.map(band => (
+                    <div key={band.id} className="flex items-center gap-1">
+                      <label className="text-xs text-gray-500">{band.label} £</label>
+                      <input
+                        type="number"
+                        step="0.50"
+                        min="0"
+                        value={session.prices[band.id] ?? ''}
+                        placeholder="Hourly"
+                        onChange={(e) => updateSession(session.id, {
+                          prices: {...session.prices, [band.id]: e.target.value === '' ? undefined : parseFloat(e.target.value) || 0}
+                        })}
+                        className="w-20 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+            {rateCard.sessions.length === 0 && (
+              <p className="text-sm text-gray-400">No sessions defined; all hours use the band's hourly rate.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, Plus, Trash2, AlertCircle } from 'lucide-react';
+import { getWeekStart, getWeekDates } from './attendance';
+import { getWeeklyOccupancy, getAvailabilityFor, getRoomFor, validateRooms } from './rooms';
+import { addDays, parseDate, todayISO, formatDate } from './dates';
+
+const dayLabel = (date) => parseDate(date).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric' });
+
+const occupancyColour = (slot, capacity) => {
+  if (slot.freePlaces <= 0) return 'bg-red-50 text-red-800';
+  if (slot.occupancy / capacity >= 0.8) return 'bg-amber-50 text-amber-800';
+  return 'bg-green-50 text-green-800';
+};
+
+export default function RoomPlanner({ children, rooms, onChangeRooms }) {
+  const [weekStart, setWeekStart] = useState(getWeekStart(todayISO()));
+  const [checkChildId, setCheckChildId] = useState(children.find(c => c.dob)?.id || null);
+
+  const weekDates = getWeekDates(weekStart);
+  const errors = validateRooms(rooms);
+  const occupancy = errors.length === 0 ? getWeeklyOccupancy(rooms, children, weekStart) : [];
+
+  const checkChild = children.find(c => c.id === checkChildId && c.dob);
+  const availability = checkChild && occupancy.length > 0 ? getAvailabilityFor(checkChild, rooms, occupancy, weekStart) : [];
+  const extraDays = availability.filter(day => !day.booked);
+
+  const updateRoom = (id, changes) => {
+    onChangeRooms(rooms.map(room => (room.id === id ? { ...room, ...changes } : room)));
+  };
+
+  // New rooms go before the catch-all last room so they take a younger age range
+  const addRoom = () => {
+    const room = { id: `room_${Date.now()}`, name: 'New room', maxAgeMonths: 24, capacity: 8, graduateLed: false };
+    onChangeRooms([...rooms.slice(0, -1), room, ...rooms.slice(-1)]);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">Rooms & Ratios</h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Occupancy is worked out from each child's booking pattern and the room for their age on the day
+        </p>
+      </div>
+
+      {/* Weekly Grid */}
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+        <div className="flex items-center gap-2 mb-4">
+          <button onClick={() => setWeekStart(addDays(weekStart, -7))} className="p-1 rounded hover:bg-gray-100">
+            <ChevronLeft size={18} />
+          </button>
+          <h3 className="text-lg font-semibold text-gray-900">Week commencing {formatDate(weekStart)}</h3>
+          <button onClick={() => setWeekStart(addDays(weekStart, 7))} className="p-1 rounded hover:bg-gray-100">
+            <ChevronRight size={18} />
+          </button>
+        </div>
+
+        {errors.length > 0 ? (
+          <div className="flex items-start gap-2 text-sm text-red-700 bg-red-50 rounded-lg p-3">
+            <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+            <div>
+              {errors.map(error => <p key={error}>{error}</p>)}
+            </div>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-2 px-2 font-medium text-gray-700">Room</th>
+                  {weekDates.map(date => (
+                    <th key={date} className="text-center py-2 px-2 font-medium text-gray-700">{dayLabel(date)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {occupancy.map(({ room, days }) => (
+                  <tr key={room.id} className="border-b border-gray-100 align-top">
+                    <td className="py-2 px-2">
+                      <p className="font-medium text-gray-900">{room.name}</p>
+                      <p className="text-xs text-gray-500">{room.capacity} places</p>
+                    </td>
+                    {days.map(slot => (
+                      <td key={slot.date} className="py-2 px-2">
+                        <div className={`rounded-lg p-2 text-center ${occupancyColour(slot, room.capacity)}`}>
+                          <p className="font-semibold">{slot.occupancy} / {room.capacity}</p>
+                          <p className="text-xs">{slot.staffRequired} staff</p>
+                          <p className="text-xs">
+                            {slot.freePlaces > 0 ? `${slot.freePlaces} free` : slot.freePlaces === 0 ? 'Full' : `${-slot.freePlaces} over`}
+                          </p>
+                        </div>
+                        {slot.children.length > 0 && (
+                          <p className="text-xs text-gray-400 mt-1 text-center">
+                            {slot.children.map(c => c.name.split(' ')[0]).join(', ')}
+                          </p>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-xs text-gray-500 mt-4">
+          Staff required uses EYFS ratios: 1:3 for under-2s, 1:4 for 2 year olds and 1:8 for 3-4 year olds (1:13 in a graduate-led room).
+          Children of different ages share staff in proportion.
+        </p>
+      </div>
+
+      {/* Extra Days Check */}
+      {checkChild && occupancy.length > 0 && (
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Can a Child Take More Hours?</h3>
+            <select
+              value={checkChildId || ''}
+              onChange={(e) => setCheckChildId(Number(e.target.value))}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              {children.filter(c => c.dob).map(child => (
+                <option key={child.id} value={child.id}>{child.name}</option>
+              ))}
+            </select>
+          </div>
+          <p className="text-sm text-gray-600 mb-3">
+            {checkChild.name} is in the {getRoomFor(rooms, checkChild.dob, weekStart).name.toLowerCase()} this week.{' '}
+            {extraDays.length === 0
+              ? 'They already attend every weekday.'
+              : `${extraDays.filter(day => day.available).length} of ${extraDays.length} days they don't attend have a free place.`}
+          </p>
+          <div className="grid grid-cols-5 gap-2">
+            {availability.map(day => (
+              <div
+                key={day.day}
+                className={`rounded-lg p-3 text-center text-sm ${
+                  day.booked ? 'bg-gray-100 text-gray-600' : day.available ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                }`}
+              >
+                <p className="font-medium capitalize">{day.day}</p>
+                <p className="text-xs">{day.booked ? 'Already booked' : day.available ? 'Space available' : 'Room full'}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Room Settings */}
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+        <div className="flex justify-between items-center mb-1">
+          <h3 className="text-lg font-semibold text-gray-900">Rooms</h3>
+          <button onClick={addRoom} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+            <Plus size={14} />
+            Add room
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Children go in the first room whose age limit they are under. The last room takes everyone older.
+        </p>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-gray-500">
+              <th className="text-left font-normal pb-1">Room</th>
+              <th className="text-left font-normal pb-1">Under (months)</th>
+              <th className="text-left font-normal pb-1">Places</th>
+              <th className="text-left font-normal pb-1">Graduate-led</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rooms.map((room, index) => (
+              <tr key={room.id}>
+                <td className="pr-2 py-1">
+                  <input
+                    type="text"
+                    value={room.name}
+                    onChange={(e) => updateRoom(room.id, { name: e.target.value })}
+                    className="w-full border border-gray-300 rounded-lg px-2 py-1"
+                  />
+                </td>
+                <td className="pr-2 py-1">
+                  {index === rooms.length - 1 ? (
+                    <span className="text-gray-400">Any older</span>
+                  ) : (
+                    <input
+                      type="number"
+                      min="1"
+                      value={room.maxAgeMonths ?? ''}
+                      onChange={(e) => updateRoom(room.id, { maxAgeMonths: parseInt(e.target.value, 10) || 0 })}
+                      className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+                    />
+                  )}
+                </td>
+                <td className="pr-2 py-1">
+                  <input
+                    type="number"
+                    min="1"
+                    value={room.capacity}
+                    onChange={(e) => updateRoom(room.id, { capacity: parseInt(e.target.value, 10) || 0 })}
+                    className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+                  />
+                </td>
+                <td className="pr-2 py-1">
+                  <input
+                    type="checkbox"
+                    checked={room.graduateLed}
+                    onChange={(e) => updateRoom(room.id, { graduateLed: e.target.checked })}
+                    className="rounded"
+                  />
+                </td>
+                <td className="py-1">
+                  <button
+                    onClick={() => onChangeRooms(rooms.filter(r => r.id !== room.id))}
+                    disabled={rooms.length === 1}
+                    className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { X, Upload, AlertCircle, CheckCircle } from 'lucide-react';
+import { getScheme } from './fundingSchemes';
+import { ROSTER_FIELDS, guessColumnMapping, parseRoster } from './roster';
+import { parseCsv } from './csv';
+import { todayISO } from './dates';
+import { getWeeklyHours } from './children';
+
+export default function RosterImport({ existingChildren, fundingYears, onImport, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [readError, setReadError] = useState('');
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const rows = parseCsv(reader.result);
+      if (rows.length < 2) {
+        setReadError('The file needs a header row and at least one child.');
+        setHeaders([]);
+        setDataRows([]);
+        return;
+      }
+      setReadError('');
+      setFileName(file.name);
+      setHeaders(rows[0]);
+      setDataRows(rows.slice(1));
+      setMapping(guessColumnMapping(rows[0]));
+    };
+    reader.onerror = () => setReadError('The file could not be read.');
+    reader.readAsText(file);
+  };
+
+  const parsed = headers.length > 0 ? parseRoster(dataRows, mapping, existingChildren, fundingYears) : [];
+  const importable = parsed.filter(row => row.errors.length === 0 && !row.duplicate);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl p-6 w-full max-w-5xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">Import Children from CSV</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        <label className="flex items-center justify-center gap-2 border-2 border-dashed border-gray-300 rounded-lg p-6 cursor-pointer hover:bg-gray-50">
+          <Upload className="text-gray-400" size={20} />
+          <span className="text-sm text-gray-600">{fileName || 'Choose a CSV file with a header row'}</span>
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+        </label>
+        {readError && <p className="text-sm text-red-700 mt-2">{readError}</p>}
+
+        {headers.length > 0 && (
+          <>
+            <h4 className="text-sm font-medium text-gray-700 mt-6 mb-2">Column Mapping</h4>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              {ROSTER_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-xs text-gray-500 mb-1">{field.label}</label>
+                  <select
+                    value={mapping[field.key]}
+                    onChange={(e) => setMapping({...mapping, [field.key]: parseInt(e.target.value)})}
+                    className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                  >
+                    <option value={-1}>Not imported</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <h4 className="text-sm font-medium text-gray-700 mt-6 mb-2">
+              Preview ({importable.length} of {parsed.length} rows ready to import)
+            </h4>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-2 px-2 font-medium text-gray-700">Row</th>
+                    <th className="text-left py-2 px-2 font-medium text-gray-700">Name</th>
+                    <th className="text-left py-2 px-2 font-medium text-gray-700">DOB</th>
+                    <th className="text-left py-2 px-2 font-medium text-gray-700">Scheme</th>
+                    <th className="text-center py-2 px-2 font-medium text-gray-700">Hrs/wk</th>
+                    <th className="text-center py-2 px-2 font-medium text-gray-700">Used</th>
+                    <th className="text-left py-2 px-2 font-medium text-gray-700">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {parsed.map(row => (
+                    <tr key={row.rowNumber} className="border-b border-gray-100 align-top">
+                      <td className="py-2 px-2 text-gray-400">{row.rowNumber}</td>
+                      <td className="py-2 px-2">{row.child.name}</td>
+                      <td className="py-2 px-2">{row.child.dob}</td>
+                      <td className="py-2 px-2">{getScheme(row.child.entitlement, todayISO(), fundingYears)?.name || row.child.entitlement}</td>
+                      <td className="py-2 px-2 text-center">{getWeeklyHours(row.child.weeklyPattern)}</td>
+                      <td className="py-2 px-2 text-center">{row.child.openingHoursUsed}</td>
+                      <td className="py-2 px-2">
+                        {row.errors.map(error => (
+                          <p key={error} className="flex items-center gap-1 text-red-700">
+                            <AlertCircle size={12} />
+                            {error}
+                          </p>
+                        ))}
+                        {row.errors.length === 0 && row.duplicate && (
+                          <p className="flex items-center gap-1 text-amber-700">
+                            <AlertCircle size={12} />
+                            Duplicate: {row.duplicate}
+                          </p>
+                        )}
+                        {row.errors.length === 0 && !row.duplicate && (
+                          <p className="flex items-center gap-1 text-green-700">
+                            <CheckCircle size={12} />
+                            Ready
+                          </p>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onImport(importable.map(row => row.child))}
+            disabled={importable.length === 0}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            Import {importable.length} {importable.length === 1 ? 'Child' : 'Children'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
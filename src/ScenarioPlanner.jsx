@@ -0,0 +1,260 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, RotateCcw, Layers } from 'lucide-react';
+import { getSchemes } from './fundingSchemes';
+import { WEEKDAYS, MAX_HOURS_PER_DAY, getWeeklyHours, formatFieldValue, TRACKED_FIELDS } from './children';
+import { SCENARIO_METRICS, createScenario, updateScenarioChild, getScenarioChanges } from './scenarios';
+import { todayISO } from './dates';
+
+const formatMetric = (metric, value) => (metric.unit === 'money'
+  ? `£${value.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+  : `${Math.round(value)} hrs`);
+
+const formatChange = (metric, change) => {
+  if (Math.abs(change) < 0.005) return '–';
+  const sign = change > 0 ? '+' : '−';
+  return `${sign}${formatMetric(metric, Math.abs(change))}`;
+};
+
+const changeClass = (metric, change) => {
+  if (Math.abs(change) < 0.005) return 'text-gray-400';
+  const improved = metric.better === 'higher' ? change > 0 : change < 0;
+  return improved ? 'text-green-600' : 'text-red-600';
+};
+
+export default function ScenarioPlanner({ children, scenarios, onChange, operatingWeeks, evaluate, fundingYears }) {
+  const [source, setSource] = useState('all');
+
+  const handleCreate = () => {
+    const child = children.find(c => String(c.id) === source);
+    const copies = child ? [child] : children;
+    const count = scenarios.filter(s => s.name.startsWith(child ? child.name : 'Whole setting')).length + 1;
+    const name = `${child ? child.name : 'Whole setting'} – option ${count}`;
+    onChange([createScenario(name, copies, operatingWeeks), ...scenarios]);
+  };
+
+  const update = (id, changes) => onChange(scenarios.map(s => (s.id === id ? { ...s, ...changes } : s)));
+
+  const updateChild = (scenario, childId, changes) => {
+    onChange(scenarios.map(s => (s.id === scenario.id ? updateScenarioChild(s, childId, changes) : s)));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Scenario Planner</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Try other booking patterns and funding arrangements side by side without changing any records
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2"
+          >
+            <option value="all">Whole setting</option>
+            {children.map(child => (
+              <option key={child.id} value={child.id}>{child.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleCreate}
+            disabled={children.length === 0}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Plus size={18} />
+            New Scenario
+          </button>
+        </div>
+      </div>
+
+      {scenarios.length === 0 && (
+        <div className="bg-white rounded-xl p-12 text-center">
+          <Layers size={48} className="mx-auto mb-4 text-gray-300" />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">No scenarios yet</h3>
+          <p className="text-sm text-gray-500">
+            Copy a child or the whole setting to compare funded hours, parent costs and income before a booking changes.
+          </p>
+        </div>
+      )}
+
+      {scenarios.map(scenario => {
+        // Children removed since the scenario was made drop out of the comparison
+        const copies = scenario.children.filter(copy => children.some(child => child.id === copy.id));
+        const current = evaluate({
+          children: copies.map(copy => children.find(child => child.id === copy.id)),
+          operatingWeeks
+        });
+        const projected = evaluate({ ...scenario, children: copies });
+        const changes = getScenarioChanges(scenario, children);
+
+        return (
+          <div key={scenario.id} className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+            <div className="flex justify-between items-start gap-4 mb-4">
+              <input
+                type="text"
+                value={scenario.name}
+                onChange={(e) => update(scenario.id, { name: e.target.value })}
+                className="flex-1 text-lg font-semibold text-gray-900 border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+              />
+              <div className="flex items-center gap-3">
+                <label className="text-sm text-gray-600">Operating weeks</label>
+                <input
+                  type="number"
+                  min="38"
+                  max="52"
+                  value={scenario.operatingWeeks}
+                  onChange={(e) => update(scenario.id, { operatingWeeks: parseInt(e.target.value) || operatingWeeks })}
+                  className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+                />
+                <button
+                  onClick={() => onChange(scenarios.filter(s => s.id !== scenario.id))}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {/* Scenario Children */}
+              <div className="space-y-3">
+                {copies.map(copy => {
+                  const original = children.find(child => child.id === copy.id);
+                  return (
+                    <div key={copy.id} className="border border-gray-100 rounded-lg p-3">
+                      <div className="flex justify-between items-center mb-2">
+                        <span className="font-medium text-gray-900">{copy.name}</span>
+                        <button
+                          onClick={() => updateChild(scenario, copy.id, {
+                            entitlement: original.entitlement,
+                            weeklyPattern: { ...original.weeklyPattern },
+                            stretchedOption: original.stretchedOption
+                          })}
+                          className="flex items-center gap-1 text-xs text-gray-500 hover:text-blue-600"
+                        >
+                          <RotateCcw size={12} />
+                          Reset
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-2 gap-2 mb-2">
+                        <select
+                          value={copy.entitlement}
+                          onChange={(e) => updateChild(scenario, copy.id, { entitlement: e.target.value })}
+                          className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                        >
+                          {Object.entries(getSchemes(todayISO(), fundingYears)).map(([key, scheme]) => (
+                            <option key={key} value={key}>{scheme.name}</option>
+                          ))}
+                        </select>
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={copy.stretchedOption}
+                            onChange={(e) => updateChild(scenario, copy.id, { stretchedOption: e.target.checked })}
+                            className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                          />
+                          Stretched funding
+                        </label>
+                      </div>
+                      <div className="grid grid-cols-6 gap-1 items-end">
+                        {WEEKDAYS.map(day => (
+                          <div key={day}>
+                            <label className="block text-xs text-gray-500 text-center">{day.toUpperCase()}</label>
+                            <input
+                              type="number"
+                              min="0"
+                              max={MAX_HOURS_PER_DAY}
+                              value={copy.weeklyPattern[day]}
+                              onChange={(e) => updateChild(scenario, copy.id, {
+                                weeklyPattern: {
+                                  ...copy.weeklyPattern,
+                                  [day]: Math.min(MAX_HOURS_PER_DAY, Math.max(0, parseFloat(e.target.value) || 0))
+                                }
+                              })}
+                              className="w-full border border-gray-300 rounded-lg px-1 py-1 text-center text-sm"
+                            />
+                          </div>
+                        ))}
+                        <p className="text-xs text-gray-500 text-center pb-1">{getWeeklyHours(copy.weeklyPattern)}h/wk</p>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Comparison */}
+              <div>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b border-gray-200">
+                      <th className="text-left py-2 px-2 font-medium text-gray-700" />
+                      <th className="text-right py-2 px-2 font-medium text-gray-700">Current</th>
+                      <th className="text-right py-2 px-2 font-medium text-gray-700">Scenario</th>
+                      <th className="text-right py-2 px-2 font-medium text-gray-700">Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {SCENARIO_METRICS.map(metric => {
+                      const change = projected.totals[metric.key] - current.totals[metric.key];
+                      return (
+                        <tr key={metric.key} className="border-b border-gray-100">
+                          <td className="py-2 px-2 text-gray-600">{metric.label}</td>
+                          <td className="py-2 px-2 text-right">{formatMetric(metric, current.totals[metric.key])}</td>
+                          <td className="py-2 px-2 text-right font-medium">{formatMetric(metric, projected.totals[metric.key])}</td>
+                          <td className={`py-2 px-2 text-right ${changeClass(metric, change)}`}>{formatChange(metric, change)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+
+                {copies.length > 1 && (
+                  <table className="w-full text-xs mt-4">
+                    <thead>
+                      <tr className="text-gray-500">
+                        <th className="text-left font-normal py-1">Child</th>
+                        {SCENARIO_METRICS.map(metric => (
+                          <th key={metric.key} className="text-right font-normal py-1">{metric.shortLabel}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {projected.rows.map((row, index) => (
+                        <tr key={row.child.id} className="border-t border-gray-100">
+                          <td className="py-1">{row.child.name}</td>
+                          {SCENARIO_METRICS.map(metric => {
+                            const change = row[metric.key] - current.rows[index][metric.key];
+                            return (
+                              <td key={metric.key} className={`py-1 text-right ${changeClass(metric, change)}`}>
+                                {formatMetric(metric, row[metric.key])}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                {(changes.length > 0 || scenario.operatingWeeks !== operatingWeeks) && (
+                  <div className="mt-4 bg-gray-50 rounded-lg p-3 text-xs text-gray-600 space-y-1">
+                    {scenario.operatingWeeks !== operatingWeeks && (
+                      <p>Operating weeks: {operatingWeeks} → {scenario.operatingWeeks}</p>
+                    )}
+                    {changes.map(change => (
+                      <p key={`${change.child.id}-${change.field}`}>
+                        {change.child.name} · {TRACKED_FIELDS[change.field]}: {formatFieldValue(change.field, change.from, fundingYears)} → {formatFieldValue(change.field, change.to, fundingYears)}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
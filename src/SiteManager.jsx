@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, X } from 'lucide-react';
+import FundingCalculator from './FundingCalculator';
+import OrganisationDashboard from './OrganisationDashboard';
+import SiteSwitcher from './SiteSwitcher';
+import { loadState, saveState } from './storage';
+import { DEFAULT_SITES, EMPTY_SITE_DATA, createSite, getSiteSummary } from './sites';
+import { mergeFundingYears, isPublishedYear } from './fundingSchemes';
+
+// Holds every site's saved data and shows either one site's calculator or the organisation dashboard
+export default function SiteManager() {
+  // Unreadable saved data is backed up by loadState before the first save, and the user is told
+  const [{ state: storedState, problem: loadProblem }] = useState(loadState);
+  const [sites, setSites] = useState(storedState?.sites ?? DEFAULT_SITES);
+  const [activeSiteId, setActiveSiteId] = useState(storedState?.activeSiteId ?? DEFAULT_SITES[0].id);
+  const [siteData, setSiteData] = useState(storedState?.siteData ?? {});
+  const [showOrganisation, setShowOrganisation] = useState(false);
+  const [showLoadProblem, setShowLoadProblem] = useState(Boolean(loadProblem));
+  // Funding rules are shared by every site; only years edited from the published rules are saved
+  const [fundingYears, setFundingYears] = useState(() => mergeFundingYears(storedState?.fundingYears));
+
+  useEffect(() => {
+    saveState({ sites, activeSiteId, siteData, fundingYears: fundingYears.filter(year => !isPublishedYear(year)) });
+  }, [sites, activeSiteId, siteData, fundingYears]);
+
+  const openSite = (id) => {
+    setActiveSiteId(id);
+    setShowOrganisation(false);
+  };
+
+  const handleSaveSite = (data) => setSiteData(current => ({ ...current, [activeSiteId]: data }));
+
+  const handleAddSite = (name) => {
+    const site = createSite(name);
+    setSites([...sites, site]);
+    setSiteData({ ...siteData, [site.id]: EMPTY_SITE_DATA });
+    openSite(site.id);
+  };
+
+  const handleRenameSite = (id, name) => {
+    setSites(sites.map(site => (site.id === id ? { ...site, name } : site)));
+  };
+
+  const handleRemoveSite = (site) => {
+    if (sites.length === 1) return;
+    if (!window.confirm(`Remove ${site.name} and all of its children, invoices and settings?`)) return;
+    const remaining = sites.filter(s => s.id !== site.id);
+    const { [site.id]: removed, ...otherData } = siteData;
+    setSites(remaining);
+    setSiteData(otherData);
+    if (activeSiteId === site.id) setActiveSiteId(remaining[0].id);
+  };
+
+  const siteSwitcher = (
+    <SiteSwitcher
+      sites={sites}
+      activeSiteId={activeSiteId}
+      showingOrganisation={showOrganisation}
+      onSelectSite={openSite}
+      onShowOrganisation={() => setShowOrganisation(true)}
+    />
+  );
+
+  const loadWarning = showLoadProblem && (
+    <div className="bg-amber-50 border-b border-amber-200 print:hidden">
+      <div className="max-w-7xl mx-auto px-4 py-3 flex items-center gap-3 text-sm text-amber-800">
+        <AlertCircle size={16} />
+        <p className="flex-1">{loadProblem} The calculator has started with sample data.</p>
+        <button onClick={() => setShowLoadProblem(false)} className="text-amber-600 hover:text-amber-800">
+          <X size={16} />
+        </button>
+      </div>
+    </div>
+  );
+
+  if (showOrganisation) {
+    return (
+      <>
+        {loadWarning}
+        <OrganisationDashboard
+          siteSummaries={sites.map(site => ({
+            site,
+            // Sites that have never been opened have no settings saved yet
+            summary: siteData[site.id]?.termCalendar ? getSiteSummary(siteData[site.id], fundingYears) : null
+          }))}
+          siteSwitcher={siteSwitcher}
+          onOpenSite={openSite}
+          onAddSite={handleAddSite}
+          onRenameSite={handleRenameSite}
+          onRemoveSite={handleRemoveSite}
+          fundingYears={fundingYears}
+          onChangeFundingYears={setFundingYears}
+        />
+      </>
+    );
+  }
+
+  return (
+    <>
+      {loadWarning}
+      <FundingCalculator
+        key={activeSiteId}
+        storedState={siteData[activeSiteId]}
+        onSave={handleSaveSite}
+        siteSwitcher={siteSwitcher}
+        fundingYears={fundingYears}
+      />
+    </>
+  );
+}
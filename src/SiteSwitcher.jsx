@@ -0,0 +1,20 @@
+import React from 'react';
+import { Building2 } from 'lucide-react';
+
+export default function SiteSwitcher({ sites, activeSiteId, showingOrganisation, onSelectSite, onShowOrganisation }) {
+  return (
+    <div className="flex items-center gap-2">
+      <Building2 className="text-gray-400" size={16} />
+      <select
+        value={showingOrganisation ? 'organisation' : activeSiteId}
+        onChange={(e) => (e.target.value === 'organisation' ? onShowOrganisation() : onSelectSite(Number(e.target.value)))}
+        className="border border-gray-300 rounded-lg px-2 py-1.5 text-sm font-medium text-gray-700"
+      >
+        <option value="organisation">All sites</option>
+        {sites.map(site => (
+          <option key={site.id} value={site.id}>{site.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
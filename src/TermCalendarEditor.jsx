@@ -0,0 +1,230 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Calendar, AlertCircle } from 'lucide-react';
+import {
+  TERM_KEYS, TERM_NAMES, CLOSURE_TYPES, getOpenDaysByTerm, getFundedWeeks, validateAcademicYear, createNextAcademicYear
+} from './termCalendar';
+import { formatDate } from './dates';
+
+const EMPTY_CLOSURE = { date: '', type: 'inset', label: '' };
+
+export default function TermCalendarEditor({ calendar, onChange, termStatus }) {
+  const [selectedYearId, setSelectedYearId] = useState(termStatus?.academicYear || calendar[0]?.id);
+  const [newClosure, setNewClosure] = useState(EMPTY_CLOSURE);
+
+  const year = calendar.find(y => y.id === selectedYearId) || calendar[0];
+  const errors = year ? validateAcademicYear(year) : [];
+  const openDays = year && errors.length === 0 ? getOpenDaysByTerm(year) : null;
+
+  const updateYear = (updated) => {
+    onChange(calendar.map(y => (y.id === updated.id ? updated : y)));
+  };
+
+  const updateTerm = (termKey, field, value) => {
+    updateYear({
+      ...year,
+      terms: { ...year.terms, [termKey]: { ...year.terms[termKey], [field]: value } }
+    });
+  };
+
+  const handleAddClosure = () => {
+    if (!newClosure.date) return;
+    const closures = [...year.closures, { ...newClosure, label: newClosure.label || CLOSURE_TYPES[newClosure.type] }]
+      .sort((a, b) => a.date.localeCompare(b.date));
+    updateYear({ ...year, closures });
+    setNewClosure(EMPTY_CLOSURE);
+  };
+
+  const handleRemoveClosure = (date) => {
+    updateYear({ ...year, closures: year.closures.filter(c => c.date !== date) });
+  };
+
+  const handleAddYear = () => {
+    const next = createNextAcademicYear(calendar);
+    onChange([...calendar, next]);
+    setSelectedYearId(next.id);
+  };
+
+  const handleRemoveYear = () => {
+    if (calendar.length <= 1 || !window.confirm(`Remove the ${year.id} term dates?`)) return;
+    const remaining = calendar.filter(y => y.id !== year.id);
+    onChange(remaining);
+    setSelectedYearId(remaining[0].id);
+  };
+
+  if (!year) return null;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Term Dates</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Open days drive the current term, week numbers and funded term-time weeks
+          </p>
+        </div>
+        <button
+          onClick={handleAddYear}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <Plus size={18} />
+          Add Academic Year
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        {calendar.map(y => (
+          <button
+            key={y.id}
+            onClick={() => setSelectedYearId(y.id)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              y.id === year.id
+                ? 'bg-blue-600 text-white'
+                : 'bg-white border border-gray-200 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            {y.id}
+          </button>
+        ))}
+      </div>
+
+      {errors.length > 0 && (
+        <div className="bg-amber-50 rounded-xl p-4 space-y-1">
+          {errors.map(error => (
+            <p key={error} className="flex items-center gap-2 text-sm text-amber-800">
+              <AlertCircle size={16} />
+              {error}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {TERM_KEYS.map(key => {
+          const term = year.terms[key];
+          return (
+            <div key={key} className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-gray-900">{TERM_NAMES[key]} Term</h3>
+                {openDays && (
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-700">
+                    {openDays[key]} open days
+                  </span>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                {[
+                  { field: 'start', label: 'Term starts' },
+                  { field: 'end', label: 'Term ends' },
+                  { field: 'halfTermStart', label: 'Half term from' },
+                  { field: 'halfTermEnd', label: 'Half term to' }
+                ].map(({ field, label }) => (
+                  <div key={field}>
+                    <label className="block text-xs text-gray-500 mb-1">{label}</label>
+                    <input
+                      type="date"
+                      value={term[field] || ''}
+                      onChange={(e) => updateTerm(key, field, e.target.value)}
+                      className="w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Closures */}
+        <div className="lg:col-span-2 bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Bank Holidays &amp; INSET Days</h3>
+          <div className="flex gap-2 mb-4">
+            <input
+              type="date"
+              value={newClosure.date}
+              onChange={(e) => setNewClosure({...newClosure, date: e.target.value})}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+            <select
+              value={newClosure.type}
+              onChange={(e) => setNewClosure({...newClosure, type: e.target.value})}
+              className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            >
+              {Object.entries(CLOSURE_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={newClosure.label}
+              onChange={(e) => setNewClosure({...newClosure, label: e.target.value})}
+              placeholder="Description (optional)"
+              className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+            <button
+              onClick={handleAddClosure}
+              className="text-sm px-3 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+            >
+              Add
+            </button>
+          </div>
+
+          {year.closures.length > 0 ? (
+            <div className="divide-y divide-gray-100">
+              {year.closures.map(closure => (
+                <div key={closure.date} className="flex items-center justify-between py-2 text-sm">
+                  <div className="flex items-center gap-3">
+                    <span className="font-medium w-28">{formatDate(closure.date)}</span>
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                      {CLOSURE_TYPES[closure.type]}
+                    </span>
+                    <span className="text-gray-600">{closure.label}</span>
+                  </div>
+                  <button
+                    onClick={() => handleRemoveClosure(closure.date)}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-400">No closures recorded for {year.id}.</p>
+          )}
+        </div>
+
+        {/* Year Summary */}
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+          <div className="flex items-center gap-2 mb-4">
+            <Calendar className="text-blue-600" size={20} />
+            <h3 className="text-lg font-semibold text-gray-900">{year.id} Summary</h3>
+          </div>
+          {openDays ? (
+            <div className="space-y-1 text-sm">
+              {TERM_KEYS.map(key => (
+                <div key={key} className="flex justify-between">
+                  <span className="text-gray-500">{TERM_NAMES[key]}:</span>
+                  <span className="font-medium">{openDays[key]} days</span>
+                </div>
+              ))}
+              <div className="flex justify-between pt-2 border-t border-gray-100">
+                <span className="text-gray-500">Funded term-time weeks:</span>
+                <span className="font-medium">{getFundedWeeks(year).toFixed(1)}</span>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-400">Fix the term dates to see open days.</p>
+          )}
+          <button
+            onClick={handleRemoveYear}
+            disabled={calendar.length <= 1}
+            className="mt-4 text-sm px-3 py-1 bg-red-100 text-red-700 rounded hover:bg-red-200 disabled:opacity-50"
+          >
+            Remove {year.id}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
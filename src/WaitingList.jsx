@@ -0,0 +1,342 @@
+import React, { useState } from 'react';
+import { Plus, Edit2, Trash2, X, UserPlus, ArrowRight, AlertCircle } from 'lucide-react';
+import { ELIGIBILITY_FLAGS, getScheme } from './fundingSchemes';
+import { WEEKDAYS, MAX_HOURS_PER_DAY, getWeeklyHours } from './children';
+import { ENQUIRY_STATUSES, EMPTY_ENQUIRY, validateEnquiry, createEnquiry, estimateFunding, sortEnquiries } from './enquiries';
+import { getAgeInMonths } from './rates';
+import { formatDate } from './dates';
+
+const formatAge = (months) => (months < 0 ? 'Not yet born' : `${Math.floor(months / 12)}y ${months % 12}m`);
+
+export default function WaitingList({ enquiries, onChange, operatingWeeks, quote, onConvert, onOpenChild, fundingYears }) {
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const waiting = sortEnquiries(enquiries.filter(e => e.status !== 'enrolled'));
+  const enrolled = enquiries.filter(e => e.status === 'enrolled');
+
+  const openForm = (enquiry = EMPTY_ENQUIRY) => {
+    setForm(enquiry);
+    setErrors([]);
+  };
+
+  const handleSave = () => {
+    const formErrors = validateEnquiry(form);
+    setErrors(formErrors);
+    if (formErrors.length > 0) return;
+    if (form.id) {
+      onChange(enquiries.map(e => (e.id === form.id ? { ...form, childName: form.childName.trim() } : e)));
+    } else {
+      onChange([...enquiries, createEnquiry(form)]);
+    }
+    setForm(null);
+  };
+
+  const setStatus = (id, status) => {
+    onChange(enquiries.map(e => (e.id === id ? { ...e, status } : e)));
+  };
+
+  const handleRemove = (enquiry) => {
+    if (!window.confirm(`Remove ${enquiry.childName} from the waiting list?`)) return;
+    onChange(enquiries.filter(e => e.id !== enquiry.id));
+  };
+
+  const updateForm = (changes) => setForm({ ...form, ...changes });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Waiting List</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Enquiries are estimated and quoted for their start date, then enrolled once a place is accepted
+          </p>
+        </div>
+        <button
+          onClick={() => openForm()}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <Plus size={18} />
+          Add Enquiry
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        {['enquiry', 'offered', 'accepted'].map(status => (
+          <span key={status} className={`text-sm px-3 py-1 rounded-full ${ENQUIRY_STATUSES[status].style}`}>
+            {ENQUIRY_STATUSES[status].label}: {enquiries.filter(e => e.status === status).length}
+          </span>
+        ))}
+      </div>
+
+      {/* Enquiry Form */}
+      {form && (
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">{form.id ? 'Edit Enquiry' : 'New Enquiry'}</h3>
+            <button onClick={() => setForm(null)} className="text-gray-400 hover:text-gray-600">
+              <X size={20} />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Child's Name</label>
+              <input
+                type="text"
+                value={form.childName}
+                onChange={(e) => updateForm({ childName: e.target.value })}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date of Birth</label>
+              <input
+                type="date"
+                value={form.dob}
+                onChange={(e) => updateForm({ dob: e.target.value })}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Desired Start Date</label>
+              <input
+                type="date"
+                value={form.startDate}
+                onChange={(e) => updateForm({ startDate: e.target.value })}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Parent's Name</label>
+              <input
+                type="text"
+                value={form.parentName}
+                onChange={(e) => updateForm({ parentName: e.target.value })}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+              <input
+                type="tel"
+                value={form.parentPhone}
+                onChange={(e) => updateForm({ parentPhone: e.target.value })}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                type="email"
+                value={form.parentEmail}
+                onChange={(e) => updateForm({ parentEmail: e.target.value })}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Requested Pattern (hours)</label>
+              <div className="grid grid-cols-5 gap-2">
+                {WEEKDAYS.map(day => (
+                  <div key={day}>
+                    <label className="block text-xs text-gray-500 text-center mb-1">{day.toUpperCase()}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max={MAX_HOURS_PER_DAY}
+                      value={form.weeklyPattern[day]}
+                      onChange={(e) => updateForm({ weeklyPattern: { ...form.weeklyPattern, [day]: parseFloat(e.target.value) || 0 } })}
+                      className="w-full border border-gray-300 rounded-lg px-2 py-1 text-center"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-sm text-gray-500 mt-1">Total: {getWeeklyHours(form.weeklyPattern)} hours/week</p>
+            </div>
+            <div className="space-y-1">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Parent Eligibility</label>
+              {Object.entries(ELIGIBILITY_FLAGS).map(([flag, label]) => (
+                <div key={flag} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    id={`enquiry_${flag}`}
+                    checked={form.eligibility[flag]}
+                    onChange={(e) => updateForm({ eligibility: { ...form.eligibility, [flag]: e.target.checked } })}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                  />
+                  <label htmlFor={`enquiry_${flag}`} className="text-sm text-gray-700">{label}</label>
+                </div>
+              ))}
+              <div className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  id="enquiry_stretched"
+                  checked={form.stretchedOption}
+                  onChange={(e) => updateForm({ stretchedOption: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                />
+                <label htmlFor="enquiry_stretched" className="text-sm text-gray-700">
+                  Stretched funding (spread over {operatingWeeks} weeks)
+                </label>
+              </div>
+            </div>
+          </div>
+
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea
+              value={form.notes}
+              onChange={(e) => updateForm({ notes: e.target.value })}
+              rows={2}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+
+          {errors.length > 0 && (
+            <div className="flex items-start gap-2 text-sm text-red-700 bg-red-50 rounded-lg p-3 mt-4">
+              <AlertCircle size={16} className="mt-0.5 flex-shrink-0" />
+              <div>
+                {errors.map(error => <p key={error}>{error}</p>)}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-2 mt-4">
+            <button onClick={() => setForm(null)} className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+              Cancel
+            </button>
+            <button onClick={handleSave} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+              {form.id ? 'Save Changes' : 'Add to Waiting List'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Waiting Enquiries */}
+      {waiting.length > 0 ? (
+        <div className="space-y-4">
+          {waiting.map(enquiry => {
+            const status = ENQUIRY_STATUSES[enquiry.status];
+            const estimate = estimateFunding(enquiry, fundingYears);
+            const childQuote = quote(enquiry, estimate.bestScheme);
+            return (
+              <div key={enquiry.id} className="bg-white rounded-xl p-5 shadow-sm border border-gray-100">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <h3 className="font-semibold text-gray-900">{enquiry.childName}</h3>
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${status.style}`}>{status.label}</span>
+                    </div>
+                    <p className="text-sm text-gray-500">
+                      Starting {formatDate(enquiry.startDate)} aged {formatAge(getAgeInMonths(enquiry.dob, enquiry.startDate))}
+                      {' · '}enquired {formatDate(enquiry.receivedOn)}
+                    </p>
+                    {enquiry.parentName && (
+                      <p className="text-sm text-gray-500">
+                        {[enquiry.parentName, enquiry.parentPhone, enquiry.parentEmail].filter(Boolean).join(' · ')}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {status.next && (
+                      <button
+                        onClick={() => setStatus(enquiry.id, status.next)}
+                        className="flex items-center gap-1 text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                      >
+                        <ArrowRight size={12} />
+                        {status.action}
+                      </button>
+                    )}
+                    {enquiry.status === 'accepted' && (
+                      <button
+                        onClick={() => onConvert(enquiry)}
+                        className="flex items-center gap-1 text-xs px-2 py-1 bg-green-100 text-green-700 rounded hover:bg-green-200"
+                      >
+                        <UserPlus size={12} />
+                        Enrol as child
+                      </button>
+                    )}
+                    <button onClick={() => openForm(enquiry)} className="text-gray-400 hover:text-blue-600">
+                      <Edit2 size={14} />
+                    </button>
+                    <button onClick={() => handleRemove(enquiry)} className="text-gray-400 hover:text-red-600">
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                  <div className="bg-gray-50 rounded-lg p-3 text-sm">
+                    <p className="font-medium text-gray-700 mb-1">Funding at start</p>
+                    {estimate.schemes.length > 0 ? (
+                      <ul className="space-y-0.5">
+                        {estimate.schemes.map(key => (
+                          <li key={key} className="flex items-center gap-2">
+                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getScheme(key, enquiry.startDate, fundingYears).color }} />
+                            <span className={key === estimate.bestScheme ? 'font-medium text-gray-900' : 'text-gray-500'}>
+                              {getScheme(key, enquiry.startDate, fundingYears).name}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="text-gray-500">No funded hours on the start date.</p>
+                    )}
+                    {estimate.upcoming.length > 0 && (
+                      <p className="text-xs text-gray-500 mt-2">
+                        Then {estimate.upcoming.map(period => `${getScheme(period.scheme, period.start, fundingYears).name} from ${formatDate(period.start)}`).join(', ')}
+                      </p>
+                    )}
+                  </div>
+                  <div className="bg-gray-50 rounded-lg p-3 text-sm">
+                    <p className="font-medium text-gray-700 mb-1">Prepared quotation</p>
+                    <div className="flex justify-between text-gray-600">
+                      <span>{childQuote.weeklyBooked} hrs booked, {childQuote.fundedWeekly.toFixed(1)} funded</span>
+                      <span>{childQuote.chargeableHours.toFixed(1)} hrs chargeable</span>
+                    </div>
+                    {childQuote.lines.map(line => (
+                      <div key={line.label} className="flex justify-between text-xs text-gray-500">
+                        <span>{line.label}</span>
+                        <span>£{line.amount.toFixed(2)}</span>
+                      </div>
+                    ))}
+                    <div className="flex justify-between font-medium text-gray-900 border-t border-gray-200 mt-1 pt-1">
+                      <span>Weekly / {childQuote.weeks} weeks</span>
+                      <span>£{childQuote.weeklyTotal.toFixed(2)} / £{childQuote.periodTotal.toFixed(2)}</span>
+                    </div>
+                  </div>
+                </div>
+                {enquiry.notes && <p className="text-sm text-gray-600 mt-3">{enquiry.notes}</p>}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl p-12 text-center text-sm text-gray-500">
+          No one is waiting for a place. Add an enquiry to estimate their funding and prepare a quote.
+        </div>
+      )}
+
+      {/* Enrolled Enquiries */}
+      {enrolled.length > 0 && (
+        <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+          <h3 className="text-lg font-semibold text-gray-900 mb-3">Enrolled from the Waiting List</h3>
+          <div className="divide-y divide-gray-100">
+            {enrolled.map(enquiry => (
+              <div key={enquiry.id} className="flex justify-between items-center py-2 text-sm">
+                <span className="text-gray-900">{enquiry.childName}</span>
+                <span className="text-gray-500">Enquired {formatDate(enquiry.receivedOn)}, starting {formatDate(enquiry.startDate)}</span>
+                <button onClick={() => onOpenChild(enquiry.childId)} className="text-blue-600 hover:text-blue-700">
+                  View child
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import { getScheme, getRulesDate } from './fundingSchemes';
+import { MAX_HOURS_PER_DAY, getAvailableEntitlement, isEnrolled } from './children';
+import { getWeekStart, getWeekDates, getBookedHours, getAttendedHours } from './attendance';
+import { isOpenDay } from './termCalendar';
+import { getFundingShare } from './sharedFunding';
+import { addDays, formatDate } from './dates';
+
+// A stretched child's funded hours can be allocated unevenly over the year, e.g. more in
+// term time and fewer in the holidays. Plans are stored on the child per academic year as
+// { [weekStart]: hours }.
+const round = (hours) => Math.round(hours * 100) / 100;
+
+export const getAllocationPlan = (child, academicYear) => {
+  if (!academicYear || !child.stretchedOption) return null;
+  return child.fundingAllocations?.[academicYear.id] ?? null;
+};
+
+// Weeks from the start of the autumn term to the end of August, flagged when they include
+// open days
+export const getAllocationWeeks = (academicYear) => {
+  const yearEnd = `${parseInt(academicYear.terms.autumn.start.slice(0, 4)) + 1}-08-31`;
+  const weeks = [];
+  for (let weekStart = getWeekStart(academicYear.terms.autumn.start); addDays(weekStart, 4) <= yearEnd; weekStart = addDays(weekStart, 7)) {
+    weeks.push({ weekStart, termTime: getWeekDates(weekStart).some(date => isOpenDay(academicYear, date)) });
+  }
+  return weeks;
+};
+
+// Funded hours can't go over the term-time weekly hours (less any share claimed at another
+// provider) in any week, or the booked hours (at most 10) on each day the child attends.
+// The setting is shut on the calendar's closure days, so nothing is booked on them.
+export const getWeekCaps = (child, weekStart, academicYear, fundingYears) => {
+  const date = getRulesDate(academicYear);
+  const scheme = getScheme(child.entitlement, date, fundingYears);
+  const bookedCap = getWeekDates(weekStart)
+    .filter(date => isEnrolled(child, date))
+    .filter(date => !academicYear.closures.some(closure => closure.date === date))
+    .reduce((sum, date) => sum + Math.min(MAX_HOURS_PER_DAY, getBookedHours(child, date)), 0);
+
+  return {
+    weekly: round(scheme.hoursPerYear * getFundingShare(child, date, fundingYears) / scheme.weeksTermTime),
+    booked: round(bookedCap)
+  };
+};
+
+// Every week of the year with the most hours the caps allow in it
+const getWeekLimits = (child, academicYear, fundingYears) => getAllocationWeeks(academicYear).map(week => {
+  const caps = getWeekCaps(child, week.weekStart, academicYear, fundingYears);
+  return { ...week, limit: Math.min(caps.weekly, caps.booked) };
+});
+
+// Shares the hours equally over the weeks, except that a week's limit caps its share and
+// the hours it can't take go to the weeks with room. The lowest limits are filled first, so
+// each week's share is what is left over the weeks still to fill.
+const spreadEvenly = (weeks, hours) => {
+  const plan = {};
+  let balance = hours;
+  const attending = weeks.filter(week => week.limit > 0).sort((a, b) => a.limit - b.limit);
+  attending.forEach((week, index) => {
+    plan[week.weekStart] = round(Math.min(week.limit, balance / (attending.length - index)));
+    balance -= plan[week.weekStart];
+  });
+  return Object.fromEntries(weeks.map(week => [week.weekStart, plan[week.weekStart] || 0]));
+};
+
+// The hours available this year that the weekly caps leave no room for, e.g. when the child
+// books too few hours to use all their funding
+export const getAllocationShortfall = (child, academicYear, fundingYears) => {
+  const room = getWeekLimits(child, academicYear, fundingYears).reduce((sum, week) => sum + week.limit, 0);
+  return round(Math.max(0, getAvailableEntitlement(child, academicYear, fundingYears) - room));
+};
+
+// The standard stretched offer: the same hours every week the child attends, topped up in
+// the other weeks where a week's caps clip it. Plans list every week of the year, so weeks
+// without funding are kept as 0.
+export const createEvenAllocation = (child, academicYear, fundingYears) => {
+  return spreadEvenly(getWeekLimits(child, academicYear, fundingYears), getAvailableEntitlement(child, academicYear, fundingYears));
+};
+
+// Term weeks take as many hours as the caps allow and the holidays share what is left
+export const createTermTimeAllocation = (child, academicYear, fundingYears) => {
+  const weeks = getWeekLimits(child, academicYear, fundingYears);
+  const plan = {};
+
+  let balance = getAvailableEntitlement(child, academicYear, fundingYears);
+  weeks.filter(week => week.termTime).forEach(week => {
+    plan[week.weekStart] = round(Math.min(week.limit, balance));
+    balance = round(balance - plan[week.weekStart]);
+  });
+
+  return { ...plan, ...spreadEvenly(weeks.filter(week => !week.termTime), balance) };
+};
+
+// One row per week with its caps, the hours attended and the entitlement left after it
+export const getAllocationRows = (child, plan, academicYear, records = {}, fundingYears) => {
+  let balance = getAvailableEntitlement(child, academicYear, fundingYears);
+
+  return getAllocationWeeks(academicYear).map(week => {
+    const allocated = plan[week.weekStart] || 0;
+    const used = getWeekDates(week.weekStart)
+      .reduce((sum, date) => sum + getAttendedHours(records[date], getBookedHours(child, date)), 0);
+    balance = round(balance - allocated);
+
+    return { ...week, caps: getWeekCaps(child, week.weekStart, academicYear, fundingYears), allocated, used: round(used), balance };
+  });
+};
+
+export const getAllocatedTotal = (plan) => round(Object.values(plan).reduce((sum, hours) => sum + hours, 0));
+
+export const validateAllocation = (child, plan, academicYear, fundingYears) => {
+  const errors = [];
+  const available = getAvailableEntitlement(child, academicYear, fundingYears);
+  const total = getAllocatedTotal(plan);
+
+  if (total > available) {
+    errors.push(`${total} hours are allocated but only ${available} are available this year.`);
+  }
+  Object.entries(plan).sort(([a], [b]) => a.localeCompare(b)).forEach(([weekStart, hours]) => {
+    if (hours < 0) {
+      errors.push(`Week of ${formatDate(weekStart)}: hours can't be negative.`);
+      return;
+    }
+    const caps = getWeekCaps(child, weekStart, academicYear, fundingYears);
+    if (hours > caps.weekly) {
+      errors.push(`Week of ${formatDate(weekStart)}: ${hours} hours is over the ${caps.weekly} hours a week limit.`);
+    } else if (hours > caps.booked) {
+      errors.push(`Week of ${formatDate(weekStart)}: ${hours} hours is more than the ${caps.booked} booked hours that week (at most ${MAX_HOURS_PER_DAY} a day).`);
+    }
+  });
+  return errors;
+};
+
+// Funded hours due on a day under the child's plans, shared over each week's weekdays. Weeks
+// are unique across years, so August finds its week in the plan for the year just ended.
+// Null when no plan covers the day.
+export const getAllocatedHoursOn = (child, date) => {
+  const weekStart = getWeekStart(date);
+  const plan = Object.values(child.fundingAllocations || {}).find(weeks => weekStart in weeks);
+  return plan ? (plan[weekStart] || 0) / 5 : null;
+};
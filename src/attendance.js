@@ -0,0 +1,103 @@
+import { addDays, isWeekday, parseDate, toISODate } from './dates';
+import { getChildOn, getDayKey, isEnrolled } from './children';
+import { isOpenDay } from './termCalendar';
+
+// Daily attendance register: { [childId]: { [date]: record } }
+export const ATTENDANCE_STATUSES = {
+  attended: 'Attended',
+  absent: 'Absent'
+};
+
+export const ABSENCE_REASONS = {
+  sickness: 'Sickness',
+  holiday: 'Family holiday',
+  appointment: 'Appointment',
+  other: 'Other'
+};
+
+export const getWeekStart = (date) => {
+  const day = parseDate(date).getDay();
+  return addDays(date, day === 0 ? -6 : 1 - day);
+};
+
+export const getWeekDates = (weekStart) => [0, 1, 2, 3, 4].map(offset => addDays(weekStart, offset));
+
+export const getMonthDates = (year, month) => {
+  const days = new Date(year, month + 1, 0).getDate();
+  return Array.from({ length: days }, (_, i) => toISODate(new Date(year, month, i + 1)));
+};
+
+// Hours between 'HH:MM' times, rounded to the nearest quarter hour
+export const getSessionHours = (arrival, departure) => {
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const minutes = toMinutes(departure) - toMinutes(arrival);
+  return minutes > 0 ? Math.round(minutes / 15) / 4 : 0;
+};
+
+export const getBookedHours = (child, date) => {
+  return getChildOn(child, date).weeklyPattern[getDayKey(date)] || 0;
+};
+
+// Attended hours use recorded times when given, otherwise the booked session
+export const getAttendedHours = (record, bookedHours) => {
+  if (!record || record.status !== 'attended') return 0;
+  if (record.arrival && record.departure) return getSessionHours(record.arrival, record.departure);
+  return bookedHours;
+};
+
+// Days the child is expected in: on roll, on an open day of the academic year or, when
+// stretched, on any weekday the setting isn't closed. Without a year every weekday counts.
+export const isSessionDay = (child, academicYear, date) => {
+  if (!isWeekday(date) || !isEnrolled(child, date)) return false;
+  if (!academicYear) return true;
+  if (getChildOn(child, date).stretchedOption) return !academicYear.closures.some(closure => closure.date === date);
+  return isOpenDay(academicYear, date);
+};
+
+// Register totals over the child's session days between two dates
+export const getRegisterTotals = (child, records = {}, from, to, academicYear = null) => {
+  const totals = { booked: 0, attended: 0, absentDays: 0, extraSessions: 0, byReason: {} };
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (!isSessionDay(child, academicYear, date)) continue;
+    const booked = getBookedHours(child, date);
+    const record = records[date];
+    totals.booked += booked;
+    totals.attended += getAttendedHours(record, booked);
+
+    if (record?.status === 'absent') {
+      totals.absentDays++;
+      const reason = record.absenceReason || 'other';
+      totals.byReason[reason] = (totals.byReason[reason] || 0) + 1;
+    } else if (record?.status === 'attended' && booked === 0) {
+      totals.extraSessions++;
+    }
+  }
+  return totals;
+};
+
+// Funded hours used this academic year: any opening balance plus attended register hours,
+// each week's capped at `fundedHoursIn(weekStart)` as hours over that are chargeable
+export const getHoursUsed = (child, records = {}, academicYear = null, fundedHoursIn) => {
+  const weeks = {};
+  Object.entries(records)
+    .filter(([date]) => !academicYear || (date >= academicYear.terms.autumn.start && date <= academicYear.terms.summer.end))
+    .forEach(([date, record]) => {
+      const weekStart = getWeekStart(date);
+      weeks[weekStart] = (weeks[weekStart] || 0) + getAttendedHours(record, getBookedHours(child, date));
+    });
+  const attended = Object.entries(weeks).reduce((sum, [weekStart, hours]) => sum + Math.min(hours, fundedHoursIn(weekStart)), 0);
+  return (child.openingHoursUsed || 0) + attended;
+};
+
+// Returns a new register with one day's record changed, or removed when cleared
+export const updateRecord = (attendance, childId, date, record) => {
+  const { [date]: previous, ...otherDays } = attendance[childId] || {};
+  return {
+    ...attendance,
+    [childId]: record ? { ...otherDays, [date]: { ...previous, ...record } } : otherDays
+  };
+};
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { getSessionHours, getAttendedHours, getRegisterTotals, updateRecord } from './attendance';
+import { DEFAULT_TERM_CALENDAR, getAcademicYear } from './termCalendar';
+
+// Checked in the 2026-27 academic year of the default term calendar
+const academicYear = getAcademicYear(DEFAULT_TERM_CALENDAR, '2026-10-19');
+
+const makeChild = (changes = {}) => ({
+  id: 1,
+  name: 'Ava Jones',
+  weeklyPattern: { mon: 6, tue: 6, wed: 3, thu: 0, fri: 0 },
+  stretchedOption: false,
+  startDate: '',
+  leaveDate: '',
+  history: [],
+  ...changes
+});
+
+describe('attended hours', () => {
+  it('rounds recorded times to the nearest quarter hour', () => {
+    expect(getSessionHours('08:00', '13:10')).toBe(5.25);
+    expect(getSessionHours('13:00', '08:00')).toBe(0);
+  });
+
+  it('uses the booked session unless times are recorded', () => {
+    expect(getAttendedHours({ status: 'attended' }, 6)).toBe(6);
+    expect(getAttendedHours({ status: 'attended', arrival: '09:00', departure: '12:30' }, 6)).toBe(3.5);
+    expect(getAttendedHours({ status: 'absent', absenceReason: 'sickness' }, 6)).toBe(0);
+  });
+});
+
+describe('getRegisterTotals', () => {
+  const records = {
+    '2026-10-19': { status: 'attended' },
+    '2026-10-20': { status: 'absent', absenceReason: 'sickness' },
+    '2026-10-22': { status: 'attended' }
+  };
+
+  it('totals booked and attended hours, absences and extra sessions', () => {
+    expect(getRegisterTotals(makeChild(), records, '2026-10-19', '2026-10-23', academicYear)).toEqual({
+      booked: 15, attended: 6, absentDays: 1, extraSessions: 1, byReason: { sickness: 1 }
+    });
+  });
+
+  it('books nothing for a term-time child in the holidays or on closure days', () => {
+    expect(getRegisterTotals(makeChild(), {}, '2026-10-26', '2026-10-30', academicYear).booked).toBe(0);
+    expect(getRegisterTotals(makeChild(), {}, '2027-01-04', '2027-01-08', academicYear).booked).toBe(9);
+  });
+
+  it('books a stretched child through the holidays but not on closure days', () => {
+    const stretched = makeChild({ stretchedOption: true });
+    expect(getRegisterTotals(stretched, {}, '2026-10-26', '2026-10-30', academicYear).booked).toBe(15);
+    expect(getRegisterTotals(stretched, {}, '2027-01-04', '2027-01-08', academicYear).booked).toBe(9);
+  });
+
+  it('leaves out days the child is not on roll', () => {
+    const leaver = makeChild({ leaveDate: '2026-10-20' });
+    expect(getRegisterTotals(leaver, records, '2026-10-19', '2026-10-23', academicYear)).toMatchObject({ booked: 12, extraSessions: 0 });
+  });
+});
+
+describe('updateRecord', () => {
+  it('changes one day and removes it when cleared', () => {
+    const attendance = { 1: { '2026-10-19': { status: 'absent', absenceReason: 'sickness' } } };
+    const changed = updateRecord(attendance, 1, '2026-10-19', { status: 'attended', absenceReason: undefined });
+    expect(changed[1]['2026-10-19'].status).toBe('attended');
+    expect(updateRecord(changed, 1, '2026-10-19', null)).toEqual({ 1: {} });
+    expect(attendance[1]['2026-10-19'].status).toBe('absent');
+  });
+});
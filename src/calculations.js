@@ -0,0 +1,188 @@
+import { getScheme, getRulesDate } from './fundingSchemes';
+import { getWeeklyHours, getEnrolledShare, getAvailableEntitlement } from './children';
+import { checkEntitlement } from './eligibility';
+import { getHoursUsed } from './attendance';
+import { getCodeStatus } from './eligibilityCodes';
+import { priceWeek } from './rates';
+import { getChildFundedWeeklyHours, getFundedHoursIn } from './pricing';
+import { getHoursClaimedElsewhere } from './sharedFunding';
+import { DEFAULT_FORECAST_SETTINGS } from './forecasting';
+import { formatDate, todayISO } from './dates';
+
+// The funding calculations behind the calculator, free of React so they can be run and
+// tested under Node. Every function takes plain data and, where today matters, a date. The
+// funding rules are data too: pass the organisation's `fundingYears`, or leave them out to
+// use the published rules.
+export { calculateFundedWeeklyHours, getChildFundedWeeklyHours, getFundedHoursIn, quoteChild, getAnnualFees } from './pricing';
+export { getHoursClaimedElsewhere, getFundingShare } from './sharedFunding';
+export { DEFAULT_FORECAST_SETTINGS, getWeeklyActuals, getSeasonalRates, forecastUsage, forecastSetting } from './forecasting';
+export {
+  getAllocationWeeks, getWeekCaps, createEvenAllocation, createTermTimeAllocation, getAllocationShortfall, getAllocationRows,
+  validateAllocation
+} from './allocation';
+
+// A child's scheme and the hours available this year under the year's rules, pro-rated for
+// joiners and leavers. `problem` explains why the scheme doesn't fit the child on the date, if
+// it doesn't.
+export const getEntitlement = (child, academicYear, date = todayISO(), fundingYears) => ({
+  scheme: child.entitlement,
+  hoursPerYear: getScheme(child.entitlement, getRulesDate(academicYear, date), fundingYears).hoursPerYear,
+  enrolledShare: getEnrolledShare(child, academicYear),
+  availableHours: getAvailableEntitlement(child, academicYear, fundingYears),
+  problem: checkEntitlement(child, date, fundingYears)
+});
+
+// Warns when the funded hours the booking here would use and those claimed at another
+// provider add up to more than the year's entitlement
+export const checkSharedFunding = (child, academicYear, fundingYears) => {
+  const date = getRulesDate(academicYear);
+  const elsewhere = getHoursClaimedElsewhere(child, date, fundingYears);
+  if (elsewhere === 0) return null;
+
+  const { provider } = child.sharedFunding;
+  const scheme = getScheme(child.entitlement, date, fundingYears);
+  if (elsewhere > scheme.hoursPerYear) {
+    return `${provider} claims ${elsewhere} hours a year, more than the ${scheme.hoursPerYear} hours of ${scheme.name}.`;
+  }
+
+  const schemeWeekly = scheme.hoursPerYear / scheme.weeksTermTime;
+  const weeklyHere = Math.min(getWeeklyHours(child.weeklyPattern), schemeWeekly);
+  const weeklyElsewhere = elsewhere / scheme.weeksTermTime;
+  if (weeklyHere + weeklyElsewhere > schemeWeekly + 0.01) {
+    return `${weeklyHere} hrs/week here and ${Math.round(weeklyElsewhere * 100) / 100} at ${provider} come to more than the ${Math.round(schemeWeekly * 100) / 100} funded hrs/week, so the extra hours here are chargeable.`;
+  }
+  return null;
+};
+
+// Adds funded hours used (register plus opening balance) and available hours to each child.
+// `operatingWeeks` sets a stretched child's funded hours a week.
+export const withUsage = (children, attendance, academicYear, { operatingWeeks, fundingYears } = {}) => children.map(child => {
+  const fundedHoursIn = getFundedHoursIn(child, academicYear, { operatingWeeks, fundingYears });
+  return {
+    ...child,
+    hoursUsed: getHoursUsed(child, attendance[child.id], academicYear, fundedHoursIn),
+    availableHours: getAvailableEntitlement(child, academicYear, fundingYears)
+  };
+});
+
+// Setting totals from children with usage. Leavers count towards this year's hours but not
+// the number of children.
+export const summariseFunding = (childrenWithUsage, academicYear) => {
+  const onRoll = childrenWithUsage.filter(child => getEnrolledShare(child, academicYear) > 0);
+  const totalFundedHours = onRoll.reduce((sum, child) => sum + child.availableHours, 0);
+  const totalUsedHours = onRoll.reduce((sum, child) => sum + child.hoursUsed, 0);
+  const totalRemainingHours = onRoll.reduce((sum, child) => sum + Math.max(0, child.availableHours - child.hoursUsed), 0);
+
+  return {
+    totalChildren: childrenWithUsage.filter(child => !child.archived).length,
+    totalFundedHours,
+    totalUsedHours,
+    totalRemainingHours,
+    averageUtilisation: totalFundedHours > 0 ? Math.round((totalUsedHours / totalFundedHours) * 100) : 0
+  };
+};
+
+// Optimisation suggestions for children with usage: forecast under-use and absence, chargeable
+// hours, lapsing eligibility codes, shared funding over the entitlement and where stretching would
+// cover the booking. `forecasts` are the children's usage forecasts, as from forecastSetting;
+// children without one get no forecast alerts.
+export const getSuggestions = (childrenWithUsage, {
+  providerSettings, termStatus, academicYear, fundedTermWeeks, forecasts = [], date = todayISO(), fundingYears
+}) => {
+  const suggestions = [];
+  const alerts = { ...DEFAULT_FORECAST_SETTINGS, ...providerSettings.forecast };
+  const weeksRemaining = termStatus ? termStatus.weeksRemaining : 0;
+  const yearEnd = academicYear?.terms.summer.end;
+  const rulesDate = getRulesDate(academicYear, date);
+
+  childrenWithUsage.forEach(child => {
+    const scheme = getScheme(child.entitlement, rulesDate, fundingYears);
+    const weeklyBooked = getWeeklyHours(child.weeklyPattern);
+    const fundedWeekly = getChildFundedWeeklyHours(
+      child, child.stretchedOption, providerSettings.operatingWeeks, fundedTermWeeks, rulesDate, fundingYears
+    );
+    const pricing = priceWeek(providerSettings.rateCard, child, date);
+    const forecast = forecasts.find(f => f.child.id === child.id);
+
+    // Under-utilisation warning, checked at the configured point of the forecast range
+    if (forecast && weeksRemaining > 0 && forecast[alerts.alertOn] < child.availableHours * alerts.threshold / 100) {
+      const shortfall = child.availableHours - forecast.expected;
+      const range = forecast.low < forecast.high ? `, likely between ${Math.round(forecast.low)} and ${Math.round(forecast.high)}` : '';
+      suggestions.push({
+        type: 'warning',
+        child: child.name,
+        title: 'Under-utilisation projected',
+        message: `${child.name} is on track to use only ${Math.round(forecast.expected)} of ${Math.round(child.availableHours)} funded hours (${Math.round(shortfall)} hours unused${range}).`,
+        recommendation: `Consider increasing weekly hours by ${Math.ceil(shortfall / weeksRemaining)} hours to maximise funding.`
+      });
+    }
+
+    // Absence is measured over the recent weeks of the register
+    const absence = forecast ? Math.round((1 - forecast.attendanceRate) * 100) : 0;
+    if (alerts.absenceAlert > 0 && forecast?.weeksOfHistory > 0 && absence > alerts.absenceAlert) {
+      suggestions.push({
+        type: 'warning',
+        child: child.name,
+        title: 'High absence',
+        message: `${child.name} has missed ${absence}% of booked hours in recent weeks, so the forecast assumes ${100 - absence}% attendance for the rest of the year.`,
+        recommendation: 'Check in with the family: funded hours missed through absence can\'t be carried over.'
+      });
+    }
+
+    // Over-booking warning
+    if (weeklyBooked > fundedWeekly + 2) {
+      suggestions.push({
+        type: 'info',
+        child: child.name,
+        title: 'Additional hours being used',
+        message: `${child.name} is booked for ${weeklyBooked}hrs/week but only ${fundedWeekly.toFixed(1)}hrs/week are funded.`,
+        recommendation: `Parent will be charged for ${(weeklyBooked - fundedWeekly).toFixed(1)} additional hours per week (£${((weeklyBooked - fundedWeekly) * pricing.hourlyRate).toFixed(2)} at ${pricing.band.label} rates).`
+      });
+    }
+
+    // Funding lapses once an unconfirmed code's grace period ends
+    const codeStatus = getCodeStatus(child, date, fundingYears);
+    if (codeStatus && ['grace', 'expired', 'missing'].includes(codeStatus.status) && yearEnd) {
+      const lapsesOn = codeStatus.status === 'grace' ? codeStatus.graceEnd : date;
+      if (lapsesOn < yearEnd) {
+        suggestions.push({
+          type: 'warning',
+          child: child.name,
+          title: 'Funding will lapse',
+          message: codeStatus.status === 'grace'
+            ? `${child.name}'s eligibility code wasn't reconfirmed by ${formatDate(codeStatus.reconfirmBy)}. ${scheme.name} funding ends after the grace period on ${formatDate(codeStatus.graceEnd)}.`
+            : `${child.name} has no valid eligibility code, so ${scheme.name} funding can't be claimed.`,
+          recommendation: 'Ask the parents to reconfirm their code with HMRC and update it on the child\'s record.'
+        });
+      }
+    }
+
+    // Shared funding over the entitlement
+    const sharedProblem = checkSharedFunding(child, academicYear, fundingYears);
+    if (sharedProblem) {
+      suggestions.push({
+        type: 'warning',
+        child: child.name,
+        title: 'Shared funding over the entitlement',
+        message: sharedProblem,
+        recommendation: `Agree the split with ${child.sharedFunding.provider} so the two claims add up to no more than the entitlement.`
+      });
+    }
+
+    // Stretching recommendation
+    if (!child.stretchedOption && weeklyBooked > fundedWeekly) {
+      const stretchedWeekly = getChildFundedWeeklyHours(child, true, providerSettings.operatingWeeks, undefined, rulesDate, fundingYears);
+      if (stretchedWeekly >= weeklyBooked * 0.9) {
+        suggestions.push({
+          type: 'success',
+          child: child.name,
+          title: 'Stretching recommended',
+          message: `Switching ${child.name} to stretched funding would provide ${stretchedWeekly.toFixed(1)}hrs/week over ${providerSettings.operatingWeeks} weeks.`,
+          recommendation: `This could reduce parent charges while maintaining the same booking pattern.`
+        });
+      }
+    }
+  });
+
+  return suggestions;
+};
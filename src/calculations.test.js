@@ -0,0 +1,448 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateFundedWeeklyHours, quoteChild, getEntitlement, withUsage, summariseFunding, getSuggestions,
+  getAllocationWeeks, getWeekCaps, createEvenAllocation, createTermTimeAllocation, getAllocationShortfall, getAllocationRows,
+  validateAllocation,
+  getChildFundedWeeklyHours, getHoursClaimedElsewhere, checkSharedFunding,
+  getWeeklyActuals, getSeasonalRates, forecastUsage, forecastSetting
+} from './calculations';
+import { DEFAULT_TERM_CALENDAR, getAcademicYear, getTermStatus } from './termCalendar';
+import { DEFAULT_RATE_CARD } from './rates';
+import { DEFAULT_SIBLING_DISCOUNT } from './families';
+import { DEFAULT_FUNDING_YEARS, getFundingYear, validateFundingYear } from './fundingSchemes';
+import { validateSharedFunding } from './sharedFunding';
+
+// Checked on a fixed date in the 2026-27 academic year of the default term calendar
+const DATE = '2026-10-19';
+const academicYear = getAcademicYear(DEFAULT_TERM_CALENDAR, DATE);
+const termStatus = getTermStatus(DEFAULT_TERM_CALENDAR, DATE);
+
+const providerSettings = {
+  rateCard: DEFAULT_RATE_CARD,
+  operatingWeeks: 51,
+  additionalCharges: [],
+  siblingDiscount: DEFAULT_SIBLING_DISCOUNT
+};
+
+const makeChild = (changes = {}) => ({
+  id: 1,
+  name: 'Ava Jones',
+  dob: '2023-01-15',
+  entitlement: 'universal_15',
+  weeklyPattern: { mon: 6, tue: 6, wed: 3, thu: 0, fri: 0 },
+  openingHoursUsed: 0,
+  stretchedOption: false,
+  eligibility: { workingParents: false, meetsTwoYearCriteria: false },
+  laSupplements: [],
+  eligibilityCode: { code: '', validFrom: '', reconfirmBy: '' },
+  startDate: '',
+  leaveDate: '',
+  archived: false,
+  history: [],
+  ...changes
+});
+
+const fullDays = { mon: 10, tue: 10, wed: 10, thu: 0, fri: 0 };
+const quote = (child, changes = {}) => quoteChild(child, {
+  providerSettings,
+  fundedTermWeeks: termStatus.fundedWeeks,
+  options: { charges: {}, weeksToQuote: 4 },
+  date: DATE,
+  ...changes
+});
+
+describe('calculateFundedWeeklyHours', () => {
+  it('spreads term-time funding over 38 weeks', () => {
+    expect(termStatus.fundedWeeks).toBe(38);
+    expect(calculateFundedWeeklyHours('universal_15', false, 51, 38)).toBe(15);
+    expect(calculateFundedWeeklyHours('extended_30', false, 51, 38)).toBe(30);
+  });
+
+  it('stretches the annual hours over 51 operating weeks', () => {
+    expect(calculateFundedWeeklyHours('universal_15', true, 51)).toBe(11.18);
+    expect(calculateFundedWeeklyHours('extended_30', true, 51)).toBe(22.35);
+  });
+
+  it('stretches over a shorter operating year', () => {
+    expect(calculateFundedWeeklyHours('universal_15', true, 48)).toBe(11.88);
+  });
+});
+
+describe('funding years', () => {
+  const under2 = makeChild({ dob: '2024-06-10', entitlement: 'expanded_under2', eligibility: { workingParents: true } });
+
+  it('picks the rules in effect on the date', () => {
+    expect(getFundingYear('2025-08-31').fundingYear).toBe('2024-25');
+    expect(getFundingYear('2025-09-01').fundingYear).toBe('2025-26');
+    expect(getFundingYear('2030-01-01').fundingYear).toBe('2026-27');
+  });
+
+  it('funds the expanded offer for under 2s at 15 hours before September 2025 and 30 hours after', () => {
+    expect(calculateFundedWeeklyHours('expanded_under2', false, 51, 38, '2025-06-01')).toBe(15);
+    expect(calculateFundedWeeklyHours('expanded_under2', false, 51, 38, '2025-10-01')).toBe(30);
+    expect(getEntitlement(under2, academicYear, DATE).availableHours).toBe(1140);
+  });
+
+  it('uses edited rules when they are passed in', () => {
+    const edited = DEFAULT_FUNDING_YEARS.map(year => (year.fundingYear !== '2026-27' ? year : {
+      ...year,
+      schemes: { ...year.schemes, universal_15: { ...year.schemes.universal_15, hoursPerYear: 600 } }
+    }));
+    expect(getEntitlement(makeChild(), academicYear, DATE, edited).availableHours).toBe(600);
+    expect(calculateFundedWeeklyHours('universal_15', false, 51, 40, DATE, edited)).toBe(15);
+    expect(getEntitlement(makeChild(), academicYear, DATE).availableHours).toBe(570);
+  });
+
+  it('rejects edits the calculations could not run on', () => {
+    const [, , year] = DEFAULT_FUNDING_YEARS;
+    const noWeeks = { ...year, schemes: { ...year.schemes, universal_15: { ...year.schemes.universal_15, weeksTermTime: 0 } } };
+    expect(validateFundingYear(year, DEFAULT_FUNDING_YEARS)).toEqual([]);
+    expect(validateFundingYear(noWeeks, DEFAULT_FUNDING_YEARS)).toContain('15 Hours Universal: term-time weeks must be between 1 and 52.');
+    expect(validateFundingYear({ ...year, effectiveFrom: '' }, DEFAULT_FUNDING_YEARS)).toContain('The year must end after it starts.');
+  });
+});
+
+describe('getEntitlement', () => {
+  it('gives a child on roll all year the full entitlement', () => {
+    expect(getEntitlement(makeChild(), academicYear, DATE)).toEqual({
+      scheme: 'universal_15',
+      hoursPerYear: 570,
+      enrolledShare: 1,
+      availableHours: 570,
+      problem: null
+    });
+  });
+
+  it('pro-rates a mid-year joiner to the open days they are on roll', () => {
+    const joiner = makeChild({ entitlement: 'extended_30', eligibility: { workingParents: true }, startDate: '2027-01-04' });
+    const entitlement = getEntitlement(joiner, academicYear, DATE);
+    expect(entitlement.enrolledShare).toBeCloseTo(0.626, 3);
+    expect(entitlement.availableHours).toBe(714);
+  });
+
+  it('pro-rates a leaver at Christmas', () => {
+    expect(getEntitlement(makeChild({ leaveDate: '2026-12-18' }), academicYear, DATE).availableHours).toBe(213);
+  });
+
+  it('explains when the chosen scheme does not fit the family', () => {
+    expect(getEntitlement(makeChild({ entitlement: 'extended_30' }), academicYear, DATE).problem)
+      .toBe('30 Hours Extended requires working parents.');
+  });
+});
+
+describe('quoteChild', () => {
+  it('charges booked hours over the term-time funding', () => {
+    const childQuote = quote(makeChild({ weeklyPattern: fullDays }));
+    expect(childQuote.weeklyBooked).toBe(30);
+    expect(childQuote.fundedWeekly).toBe(15);
+    expect(childQuote.chargeableHours).toBe(15);
+    expect(childQuote.pricing.hourlyRate).toBe(7);
+    expect(childQuote.weeklyTotal).toBe(105);
+    expect(childQuote.periodTotal).toBe(420);
+  });
+
+  it('charges more hours a week when funding is stretched over 51 weeks', () => {
+    const childQuote = quote(makeChild({ weeklyPattern: fullDays, stretchedOption: true }));
+    expect(childQuote.fundedWeekly).toBe(11.18);
+    expect(childQuote.chargeableHours).toBeCloseTo(18.82, 2);
+    expect(childQuote.weeklyTotal).toBeCloseTo(131.74, 2);
+  });
+
+  it('charges nothing when the booking is within the funded hours', () => {
+    const childQuote = quote(makeChild({ weeklyPattern: { mon: 5, tue: 5, wed: 5, thu: 0, fri: 0 } }));
+    expect(childQuote.chargeableHours).toBe(0);
+    expect(childQuote.weeklyTotal).toBe(0);
+  });
+
+  it('takes the sibling discount off a second child\'s chargeable hours', () => {
+    const childQuote = quote(makeChild({ weeklyPattern: fullDays }), { siblingPosition: 2 });
+    expect(childQuote.siblingDiscount).toBe(10.5);
+    expect(childQuote.weeklyTotal).toBe(94.5);
+  });
+
+  it('charges every hour for a child with no funding yet', () => {
+    const childQuote = quote(makeChild({ weeklyPattern: fullDays, entitlement: null }));
+    expect(childQuote.fundedWeekly).toBe(0);
+    expect(childQuote.weeklyTotal).toBe(210);
+  });
+});
+
+describe('usage and summary', () => {
+  const children = [
+    makeChild(),
+    makeChild({ id: 2, name: 'Noah Patel', entitlement: 'extended_30', eligibility: { workingParents: true }, startDate: '2027-01-04' }),
+    makeChild({ id: 3, name: 'Leo Smith', leaveDate: '2026-12-18', archived: true, openingHoursUsed: 100 })
+  ];
+  const attendance = { 1: { '2026-10-12': { status: 'attended' } } };
+  const usage = withUsage(children, attendance, academicYear);
+
+  it('adds register and opening hours to each child', () => {
+    expect(usage.map(child => [child.hoursUsed, child.availableHours])).toEqual([[6, 570], [0, 714], [100, 213]]);
+  });
+
+  it('counts an over-booked child\'s attendance only up to their funded hours a week', () => {
+    const overBooked = makeChild({ weeklyPattern: fullDays });
+    const week = { '2026-10-12': { status: 'attended' }, '2026-10-13': { status: 'attended' }, '2026-10-14': { status: 'attended' } };
+    expect(withUsage([overBooked], { 1: week }, academicYear)[0].hoursUsed).toBe(15);
+    expect(withUsage([{ ...overBooked, stretchedOption: true }], { 1: week }, academicYear)[0].hoursUsed).toBe(11.18);
+  });
+
+  it('counts leavers in the year\'s hours but not the number of children', () => {
+    expect(summariseFunding(usage, academicYear)).toEqual({
+      totalChildren: 2,
+      totalFundedHours: 1497,
+      totalUsedHours: 106,
+      totalRemainingHours: 1391,
+      averageUtilisation: 7
+    });
+  });
+});
+
+describe('getSuggestions', () => {
+  const suggest = (child) => {
+    const childrenWithUsage = withUsage([child], {}, academicYear);
+    const { forecasts } = forecastSetting(childrenWithUsage, {}, { termCalendar: DEFAULT_TERM_CALENDAR, academicYear, date: DATE });
+    return getSuggestions(childrenWithUsage, {
+      providerSettings, termStatus, academicYear, fundedTermWeeks: termStatus.fundedWeeks, forecasts, date: DATE
+    });
+  };
+
+  it('warns about chargeable hours when a child is over-booked', () => {
+    const [suggestion] = suggest(makeChild({ weeklyPattern: fullDays }));
+    expect(suggestion.title).toBe('Additional hours being used');
+    expect(suggestion.message).toBe('Ava Jones is booked for 30hrs/week but only 15.0hrs/week are funded.');
+    expect(suggestion.recommendation).toContain('15.0 additional hours per week (£105.00 at 3-4 year olds rates)');
+  });
+
+  it('projects under-use when the booking is below the funded hours', () => {
+    const [suggestion] = suggest(makeChild());
+    expect(suggestion.title).toBe('Under-utilisation projected');
+    expect(suggestion.message).toBe('Ava Jones is on track to use only 477 of 570 funded hours (93 hours unused).');
+  });
+
+  it('warns that working parent funding lapses without an eligibility code', () => {
+    const child = makeChild({
+      entitlement: 'extended_30', eligibility: { workingParents: true }, weeklyPattern: fullDays, openingHoursUsed: 180
+    });
+    expect(suggest(child).map(suggestion => suggestion.title)).toEqual(['Funding will lapse']);
+  });
+
+  // 30 hours a week from today plus the hours used before the register was started
+  it('has nothing to suggest for a booking that uses the funding exactly', () => {
+    const child = makeChild({
+      openingHoursUsed: 180,
+      entitlement: 'extended_30',
+      eligibility: { workingParents: true },
+      eligibilityCode: { code: '50012345678', validFrom: '2026-06-01', reconfirmBy: '2027-03-01' },
+      weeklyPattern: fullDays
+    });
+    expect(suggest(child)).toEqual([]);
+  });
+});
+
+describe('stretched allocation plans', () => {
+  const stretched = makeChild({ weeklyPattern: fullDays, stretchedOption: true });
+  const weeks = getAllocationWeeks(academicYear);
+  const total = (plan) => Math.round(Object.values(plan).reduce((sum, hours) => sum + hours, 0));
+
+  it('lists the weeks from the autumn term to the end of August', () => {
+    expect(weeks).toHaveLength(52);
+    expect(weeks[0]).toEqual({ weekStart: '2026-08-31', termTime: true });
+    expect(weeks[weeks.length - 1]).toEqual({ weekStart: '2027-08-23', termTime: false });
+    expect(weeks.filter(week => week.termTime)).toHaveLength(40);
+  });
+
+  it('caps a week at the term-time weekly hours and the booked hours', () => {
+    expect(getWeekCaps(stretched, '2026-11-02', academicYear)).toEqual({ weekly: 15, booked: 30 });
+    expect(getWeekCaps(makeChild(), '2026-11-02', academicYear)).toEqual({ weekly: 15, booked: 15 });
+  });
+
+  it('leaves every closure day out of the booked hours', () => {
+    expect(getWeekCaps(stretched, '2026-08-31', academicYear).booked).toBe(20);
+    expect(getWeekCaps(stretched, '2027-01-04', academicYear).booked).toBe(20);
+    expect(getWeekCaps(stretched, '2027-05-03', academicYear).booked).toBe(20);
+  });
+
+  it('spreads the entitlement evenly over every week by default', () => {
+    const plan = createEvenAllocation(stretched, academicYear);
+    expect(plan['2026-11-02']).toBe(10.96);
+    expect(total(plan)).toBe(570);
+    expect(validateAllocation(stretched, plan, academicYear)).toEqual([]);
+    expect(getAllocationShortfall(stretched, academicYear)).toBe(0);
+  });
+
+  it('moves the hours a week can\'t take to the weeks with room', () => {
+    const child = makeChild({ weeklyPattern: { mon: 10, tue: 2, wed: 0, thu: 0, fri: 0 }, stretchedOption: true });
+    const plan = createEvenAllocation(child, academicYear);
+    expect(plan['2027-01-04']).toBe(2);
+    expect(plan['2027-04-12']).toBe(2);
+    expect(plan['2027-05-03']).toBe(2);
+    expect(plan['2026-11-02']).toBe(11.51);
+    expect(total(plan)).toBe(570);
+    expect(validateAllocation(child, plan, academicYear)).toEqual([]);
+  });
+
+  it('reports the hours the bookings leave no room for', () => {
+    const child = makeChild({ weeklyPattern: { mon: 6, tue: 0, wed: 0, thu: 0, fri: 0 }, stretchedOption: true });
+    const plan = createEvenAllocation(child, academicYear);
+    expect(plan['2026-11-02']).toBe(6);
+    expect(total(plan)).toBe(294);
+    expect(getAllocationShortfall(child, academicYear)).toBe(276);
+  });
+
+  it('fills term weeks first and shares what is left over the holidays', () => {
+    const plan = createTermTimeAllocation(stretched, academicYear);
+    expect(plan['2026-11-02']).toBe(15);
+    expect(plan['2027-07-05']).toBe(15);
+    expect(plan['2027-07-12']).toBe(0);
+    expect(plan['2027-08-02']).toBe(0);
+    expect(total(plan)).toBe(570);
+
+    const mondays = makeChild({ weeklyPattern: { mon: 8, tue: 0, wed: 0, thu: 0, fri: 0 }, stretchedOption: true });
+    const holidayPlan = createTermTimeAllocation(mondays, academicYear);
+    expect(holidayPlan['2026-11-02']).toBe(8);
+    expect(holidayPlan['2027-08-02']).toBe(8);
+    expect(validateAllocation(mondays, holidayPlan, academicYear)).toEqual([]);
+  });
+
+  it('blocks weeks over the caps and plans over the entitlement', () => {
+    const plan = { ...createEvenAllocation(stretched, academicYear), '2026-11-02': 16 };
+    expect(validateAllocation(stretched, plan, academicYear)).toEqual([
+      '575.04 hours are allocated but only 570 are available this year.',
+      'Week of 2 Nov 2026: 16 hours is over the 15 hours a week limit.'
+    ]);
+    expect(validateAllocation(makeChild({ stretchedOption: true }), { '2026-11-02': 15.5 }, academicYear)[0])
+      .toBe('Week of 2 Nov 2026: 15.5 hours is over the 15 hours a week limit.');
+    expect(validateAllocation(makeChild({ weeklyPattern: { mon: 4, tue: 4, wed: 0, thu: 0, fri: 0 } }), { '2026-11-02': 9 }, academicYear))
+      .toEqual(['Week of 2 Nov 2026: 9 hours is more than the 8 booked hours that week (at most 10 a day).']);
+  });
+
+  it('keeps a running balance with the hours used each week', () => {
+    const attendance = { '2026-09-07': { status: 'attended' }, '2026-09-08': { status: 'absent', absenceReason: 'sickness' } };
+    const rows = getAllocationRows(stretched, createEvenAllocation(stretched, academicYear), academicYear, attendance);
+    expect(rows[1]).toMatchObject({ weekStart: '2026-09-07', allocated: 10.96, used: 10, balance: 548.08 });
+  });
+});
+
+describe('shared funding', () => {
+  const sharedFunding = { provider: 'Little Acorns', hours: 5, per: 'week' };
+  const shared = makeChild({ sharedFunding });
+
+  it('takes the hours claimed at the other provider off the entitlement', () => {
+    expect(getHoursClaimedElsewhere(shared, DATE)).toBe(190);
+    expect(getEntitlement(shared, academicYear, DATE).availableHours).toBe(380);
+    expect(getHoursClaimedElsewhere(makeChild({ sharedFunding: { ...sharedFunding, hours: 60, per: 'term' } }), DATE)).toBe(180);
+  });
+
+  it('counts a weekly claim over the other provider\'s weeks, or a yearly claim as it is', () => {
+    const stretchedElsewhere = makeChild({ sharedFunding: { ...sharedFunding, weeks: 50 } });
+    expect(getHoursClaimedElsewhere(stretchedElsewhere, DATE)).toBe(250);
+    expect(getEntitlement(stretchedElsewhere, academicYear, DATE).availableHours).toBe(320);
+    expect(getHoursClaimedElsewhere(makeChild({ sharedFunding: { ...sharedFunding, hours: 200, per: 'year' } }), DATE)).toBe(200);
+    expect(validateSharedFunding({ ...sharedFunding, weeks: 60 }))
+      .toEqual(['The other provider\'s weeks a year must be between 1 and 52.']);
+  });
+
+  it('funds only this setting\'s share of the weekly hours', () => {
+    expect(getChildFundedWeeklyHours(shared, false, 51, 38, DATE)).toBe(10);
+    expect(getChildFundedWeeklyHours(shared, true, 51, 38, DATE)).toBe(7.45);
+    const childQuote = quote(makeChild({ weeklyPattern: fullDays, sharedFunding }));
+    expect(childQuote.fundedWeekly).toBe(10);
+    expect(childQuote.weeklyTotal).toBe(140);
+  });
+
+  it('works out utilisation on this setting\'s share', () => {
+    const usage = withUsage([shared], { 1: { '2026-10-12': { status: 'attended' } } }, academicYear);
+    expect(summariseFunding(usage, academicYear)).toMatchObject({ totalFundedHours: 380, totalUsedHours: 6, averageUtilisation: 2 });
+  });
+
+  it('warns when the hours here and elsewhere come to more than the entitlement', () => {
+    expect(checkSharedFunding(shared, academicYear))
+      .toBe('15 hrs/week here and 5 at Little Acorns come to more than the 15 funded hrs/week, so the extra hours here are chargeable.');
+    expect(checkSharedFunding(makeChild({ sharedFunding, weeklyPattern: { mon: 5, tue: 5, wed: 0, thu: 0, fri: 0 } }), academicYear)).toBeNull();
+    expect(checkSharedFunding(makeChild({ sharedFunding: { ...sharedFunding, hours: 20 } }), academicYear))
+      .toBe('Little Acorns claims 760 hours a year, more than the 570 hours of 15 Hours Universal.');
+  });
+});
+
+describe('forecasting', () => {
+  const attended = { status: 'attended' };
+  const absent = { status: 'absent', absenceReason: 'sickness' };
+  // Four weeks of Monday to Wednesday sessions, with one Monday (6 of 15 hours) missed
+  const records = Object.fromEntries([
+    '2026-09-21', '2026-09-22', '2026-09-23', '2026-09-28', '2026-09-29', '2026-09-30',
+    '2026-10-05', '2026-10-06', '2026-10-07', '2026-10-12', '2026-10-13', '2026-10-14'
+  ].map(date => [date, date === '2026-10-05' ? absent : attended]));
+  const options = { termCalendar: DEFAULT_TERM_CALENDAR, academicYear, date: DATE };
+  const [child] = withUsage([makeChild()], { 1: records }, academicYear);
+
+  it('groups the register into weekly actuals', () => {
+    const actuals = getWeeklyActuals(child, records, academicYear, DATE);
+    expect(actuals.map(week => [week.weekStart, week.booked, week.attended])).toEqual([
+      ['2026-09-21', 15, 15], ['2026-09-28', 15, 15], ['2026-10-05', 15, 9], ['2026-10-12', 15, 15]
+    ]);
+  });
+
+  it('forecasts the booking pattern with no range when there is no register', () => {
+    const [unrecorded] = withUsage([makeChild()], {}, academicYear);
+    expect(forecastUsage(unrecorded, {}, options)).toMatchObject({ expected: 477, low: 477, high: 477, weeksOfHistory: 0 });
+  });
+
+  it('counts today once when it is already on the register', () => {
+    const today = { [DATE]: attended };
+    const [recorded] = withUsage([makeChild()], { 1: today }, academicYear);
+    expect(recorded.hoursUsed).toBe(6);
+    expect(forecastUsage(recorded, today, options).expected).toBe(477);
+  });
+
+  it('forecasts only the hours used without an academic year', () => {
+    expect(forecastUsage(child, records, { date: DATE, academicYear: null })).toMatchObject({ expected: 54, low: 54, high: 54 });
+  });
+
+  it('applies the recent attendance rate and its spread to the rest of the year', () => {
+    const forecast = forecastUsage(child, records, options);
+    expect(forecast.attendanceRate).toBe(0.9);
+    // 54 hours used, then 477 booked hours at 90% attendance, give or take 20%
+    expect(forecast.expected).toBe(483.3);
+    expect(forecast.low).toBe(387.9);
+    expect(forecast.high).toBe(531);
+    expect(forecast.utilisation).toEqual({ expected: 85, low: 68, high: 93 });
+  });
+
+  it('uses last year\'s attendance for the terms still to come', () => {
+    const lastSpring = Object.fromEntries([
+      '2026-01-12', '2026-01-13', '2026-01-14', '2026-01-19', '2026-01-20', '2026-01-21',
+      '2026-01-26', '2026-01-27', '2026-01-28', '2026-02-02', '2026-02-03', '2026-02-04'
+    ].map(date => [date, date < '2026-01-26' ? absent : attended]));
+    expect(getSeasonalRates(child, lastSpring, DEFAULT_TERM_CALENDAR, DATE)).toEqual({ spring: 0.5 });
+    expect(forecastUsage(child, { ...records, ...lastSpring }, options).expected).toBeLessThan(forecastUsage(child, records, options).expected);
+  });
+
+  it('forecasts an over-booked child\'s usage only up to their funded hours', () => {
+    const week = { '2026-10-12': attended, '2026-10-13': attended, '2026-10-14': attended };
+    const [overBooked] = withUsage([makeChild({ weeklyPattern: fullDays })], { 1: week }, academicYear);
+    // 15 funded hours a week for the 33 weeks left, not the 30 booked
+    expect(forecastUsage(overBooked, week, options)).toMatchObject({ expected: 510, low: 510, high: 510 });
+
+    const [nearlyUsed] = withUsage([makeChild({ weeklyPattern: fullDays, openingHoursUsed: 500 })], { 1: week }, academicYear);
+    expect(forecastUsage(nearlyUsed, week, options)).toMatchObject({ expected: 570, utilisation: { expected: 100, low: 100, high: 100 } });
+  });
+
+  it('adds the children up for the setting', () => {
+    const [other] = withUsage([makeChild({ id: 2 })], {}, academicYear);
+    expect(forecastSetting([child, other], { 1: records }, options)).toMatchObject({
+      availableHours: 1140, expected: 960.3, low: 864.9, high: 1008, utilisation: { expected: 84, low: 76, high: 88 }
+    });
+  });
+
+  it('flags under-use and absence by the configured rules', () => {
+    const suggest = (forecast) => getSuggestions([child], {
+      providerSettings: { ...providerSettings, forecast }, termStatus, academicYear, fundedTermWeeks: termStatus.fundedWeeks,
+      forecasts: forecastSetting([child], { 1: records }, options).forecasts, date: DATE
+    }).map(suggestion => suggestion.title);
+
+    expect(suggest(undefined)).toEqual(['Under-utilisation projected']);
+    expect(suggest({ threshold: 85, alertOn: 'high', absenceAlert: 20 })).toEqual([]);
+    expect(suggest({ threshold: 70, alertOn: 'low', absenceAlert: 5 })).toEqual(['Under-utilisation projected', 'High absence']);
+  });
+});
@@ -0,0 +1,45 @@
+import { WEEKDAYS } from './children';
+
+// How the weekly quantity of an additional charge is worked out from the booking pattern
+export const CHARGE_RULES = {
+  per_day: 'Per attended day',
+  per_long_day: 'Per day over N hours',
+  optional: 'Optional (per day, opt-in)'
+};
+
+export const DEFAULT_ADDITIONAL_CHARGES = [
+  { id: 'breakfast', name: 'Breakfast', price: 2.00, rule: 'optional', minHours: 0 },
+  { id: 'lunch', name: 'Lunch', price: 3.50, rule: 'per_long_day', minHours: 4 },
+  { id: 'tea', name: 'Tea', price: 2.50, rule: 'per_long_day', minHours: 7 },
+  { id: 'consumables', name: 'Consumables', price: 1.50, rule: 'per_day', minHours: 0 },
+  { id: 'trips', name: 'Trips & outings', price: 2.00, rule: 'optional', minHours: 0 },
+  { id: 'nappies', name: 'Nappies & wipes', price: 1.00, rule: 'optional', minHours: 0 }
+];
+
+// Optional charges are off unless the parent opts in; the others apply unless declined
+export const isChargeSelected = (charge, selections = {}) => {
+  return selections[charge.id] ?? charge.rule !== 'optional';
+};
+
+export const getChargeQuantity = (charge, weeklyPattern) => {
+  const days = WEEKDAYS.map(day => weeklyPattern[day] || 0).filter(hours => hours > 0);
+  if (charge.rule === 'per_long_day') {
+    return days.filter(hours => hours > charge.minHours).length;
+  }
+  return days.length;
+};
+
+// The charges on a week's booking, one line per item with a quantity
+export const getWeeklyCharges = (charges, weeklyPattern, selections = {}) => {
+  return charges
+    .filter(charge => isChargeSelected(charge, selections))
+    .map(charge => {
+      const quantity = getChargeQuantity(charge, weeklyPattern);
+      return { charge, quantity, amount: Math.round(quantity * charge.price * 100) / 100 };
+    })
+    .filter(line => line.quantity > 0);
+};
+
+export const describeChargeRule = (charge) => {
+  return charge.rule === 'per_long_day' ? `Per day over ${charge.minHours} hours` : CHARGE_RULES[charge.rule];
+};
@@ -0,0 +1,158 @@
+import { ELIGIBILITY_FLAGS, getScheme, getRulesDate } from './fundingSchemes';
+import { parseDate, addDays, todayISO, formatDate } from './dates';
+import { isOpenDay } from './termCalendar';
+import { requiresEligibilityCode, isValidCodeFormat } from './eligibilityCodes';
+import { getFundingShare, validateSharedFunding, describeSharedFunding } from './sharedFunding';
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+export const MAX_HOURS_PER_DAY = 10;
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const getWeeklyHours = (pattern) => {
+  return Object.values(pattern).reduce((sum, hours) => sum + hours, 0);
+};
+
+export const getDayKey = (date) => DAY_KEYS[parseDate(date).getDay()];
+
+// Changes to these fields apply from an effective date; other edits are corrections
+const EFFECTIVE_DATED_FIELDS = ['entitlement', 'weeklyPattern', 'stretchedOption', 'eligibility', 'laSupplements', 'sharedFunding'];
+
+export const TRACKED_FIELDS = {
+  name: 'Name',
+  dob: 'Date of birth',
+  entitlement: 'Entitlement',
+  weeklyPattern: 'Weekly pattern',
+  stretchedOption: 'Stretched funding',
+  eligibility: 'Parent eligibility',
+  laSupplements: 'LA supplements',
+  sharedFunding: 'Shared funding',
+  eligibilityCode: 'Eligibility code',
+  startDate: 'Start date',
+  leaveDate: 'Leave date'
+};
+
+// On roll between the start and leave dates; either may be left blank
+export const isEnrolled = (child, date) => {
+  return (!child.startDate || date >= child.startDate) && (!child.leaveDate || date <= child.leaveDate);
+};
+
+export const validateChild = (child, effectiveFrom, fundingYears) => {
+  const errors = [];
+  if (!child.name.trim()) {
+    errors.push('Enter the child\'s name.');
+  }
+  if (!child.dob || isNaN(parseDate(child.dob))) {
+    errors.push('Enter a valid date of birth.');
+  } else if (child.dob > todayISO()) {
+    errors.push('Date of birth cannot be in the future.');
+  }
+  if (!getScheme(child.entitlement, todayISO(), fundingYears)) {
+    errors.push('Choose a funding entitlement.');
+  }
+  if (WEEKDAYS.some(day => child.weeklyPattern[day] < 0 || child.weeklyPattern[day] > MAX_HOURS_PER_DAY)) {
+    errors.push(`Daily hours must be between 0 and ${MAX_HOURS_PER_DAY}.`);
+  }
+  const eligibilityCode = child.eligibilityCode;
+  if (requiresEligibilityCode(child.entitlement, todayISO(), fundingYears) && eligibilityCode?.code) {
+    if (!isValidCodeFormat(eligibilityCode.code)) {
+      errors.push('Eligibility codes are 11 digits.');
+    }
+    if (!eligibilityCode.validFrom || !eligibilityCode.reconfirmBy) {
+      errors.push('Enter the code\'s validity start and reconfirmation dates.');
+    } else if (eligibilityCode.reconfirmBy < eligibilityCode.validFrom) {
+      errors.push('The reconfirmation date must be after the validity start date.');
+    }
+  }
+  errors.push(...validateSharedFunding(child.sharedFunding));
+  if (child.startDate && child.leaveDate && child.leaveDate < child.startDate) {
+    errors.push('The leave date must be after the start date.');
+  }
+  if (effectiveFrom !== undefined && !effectiveFrom) {
+    errors.push('Enter the date the changes take effect from.');
+  }
+  return errors;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Applies edits to a child, logging each changed field to its history
+export const recordChanges = (child, updates, effectiveFrom, recordedAt = todayISO()) => {
+  const entries = Object.keys(TRACKED_FIELDS)
+    .filter(field => !isEqual(child[field], updates[field]))
+    .map(field => ({
+      field,
+      oldValue: child[field],
+      newValue: updates[field],
+      effectiveFrom: EFFECTIVE_DATED_FIELDS.includes(field) ? effectiveFrom : null,
+      recordedAt
+    }));
+
+  if (entries.length === 0) return child;
+
+  return {
+    ...child,
+    ...Object.fromEntries(entries.map(entry => [entry.field, entry.newValue])),
+    history: [...(child.history || []), ...entries]
+  };
+};
+
+// The child as they were on a date, undoing changes that only take effect later
+export const getChildOn = (child, date) => {
+  const pending = (child.history || [])
+    .map((entry, index) => ({ ...entry, index }))
+    .filter(entry => entry.effectiveFrom && entry.effectiveFrom > date)
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.index - a.index);
+
+  return pending.reduce((snapshot, entry) => ({ ...snapshot, [entry.field]: entry.oldValue }), child);
+};
+
+// Fraction of the year's open days the child is on roll, for joiners and leavers
+export const getEnrolledShare = (child, academicYear) => {
+  if (!academicYear || (!child.startDate && !child.leaveDate)) return 1;
+
+  let openDays = 0;
+  let enrolledDays = 0;
+  for (let date = academicYear.terms.autumn.start; date <= academicYear.terms.summer.end; date = addDays(date, 1)) {
+    if (!isOpenDay(academicYear, date)) continue;
+    openDays++;
+    if (isEnrolled(child, date)) enrolledDays++;
+  }
+  return openDays > 0 ? enrolledDays / openDays : 1;
+};
+
+// The part of the annual entitlement available while the child is on roll this year, under
+// that funding year's rules, less any hours claimed at another provider
+export const getAvailableEntitlement = (child, academicYear, fundingYears) => {
+  const date = getRulesDate(academicYear);
+  const hoursPerYear = getScheme(child.entitlement, date, fundingYears).hoursPerYear;
+  return Math.round(hoursPerYear * getEnrolledShare(child, academicYear) * getFundingShare(child, date, fundingYears) * 100) / 100;
+};
+
+export const formatFieldValue = (field, value, fundingYears) => {
+  switch (field) {
+    case 'dob':
+      return formatDate(value);
+    case 'startDate':
+    case 'leaveDate':
+      return value ? formatDate(value) : 'None';
+    case 'entitlement':
+      return getScheme(value, todayISO(), fundingYears)?.name || value;
+    case 'weeklyPattern':
+      return `${getWeeklyHours(value)}h/wk (${WEEKDAYS.map(day => value[day] || 0).join('/')})`;
+    case 'stretchedOption':
+      return value ? 'Stretched' : 'Term-time';
+    case 'eligibility': {
+      const flags = Object.keys(ELIGIBILITY_FLAGS).filter(flag => value?.[flag]);
+      return flags.length > 0 ? flags.map(flag => ELIGIBILITY_FLAGS[flag].split(' (')[0]).join(', ') : 'None';
+    }
+    case 'eligibilityCode':
+      return value?.code ? `${value.code} (reconfirm by ${value.reconfirmBy ? formatDate(value.reconfirmBy) : '?'})` : 'None';
+    case 'laSupplements':
+      return value?.length > 0 ? value.map(id => id.replace(/_/g, ' ')).join(', ') : 'None';
+    case 'sharedFunding':
+      return describeSharedFunding(value);
+    default:
+      return String(value);
+  }
+};
@@ -0,0 +1,41 @@
+// Helpers for local-time 'YYYY-MM-DD' date strings, which compare correctly as strings
+const pad = (value) => String(value).padStart(2, '0');
+
+export const parseDate = (iso) => {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const toISODate = (date) => {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const todayISO = () => toISODate(new Date());
+
+export const addDays = (iso, days) => {
+  const date = parseDate(iso);
+  return toISODate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+};
+
+// Clamps to the end of shorter months, so 31 Jan + 1 month is 28/29 Feb
+export const addMonths = (iso, months) => {
+  const date = parseDate(iso);
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return toISODate(target);
+};
+
+export const isWeekday = (iso) => {
+  const day = parseDate(iso).getDay();
+  return day >= 1 && day <= 5;
+};
+
+export const formatDate = (iso) => {
+  return parseDate(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+// 'YYYY-MM' month keys, e.g. 'Sept 2025'
+export const formatMonth = (month) => {
+  return parseDate(`${month}-01`).toLocaleDateString('en-GB', { month: 'short', year: 'numeric' });
+};
@@ -0,0 +1,77 @@
+import { getScheme, getSchemes } from './fundingSchemes';
+import { addDays, addMonths, todayISO, formatDate } from './dates';
+
+// Funding starts from the term after a child reaches the qualifying age:
+// 1 January, 1 April or 1 September, whichever comes first after the birthday
+export const getTermStartAfter = (date) => {
+  const year = parseInt(date.slice(0, 4));
+  const candidates = [`${year}-01-01`, `${year}-04-01`, `${year}-09-01`, `${year + 1}-01-01`];
+  return candidates.find(start => start > date);
+};
+
+// Children normally start reception in the September after their 4th birthday
+export const getSchoolStartDate = (dob) => {
+  const fourthBirthday = addMonths(dob, 48);
+  const year = parseInt(fourthBirthday.slice(0, 4));
+  const september = `${year}-09-01`;
+  return september > fourthBirthday ? september : `${year + 1}-09-01`;
+};
+
+// Start and end dates of a scheme for a child, ignoring parent eligibility. Age bounds come
+// from the funding year's rules on `date`.
+export const getEntitlementPeriod = (dob, schemeKey, date = todayISO(), fundingYears) => {
+  const scheme = getScheme(schemeKey, date, fundingYears);
+  const start = getTermStartAfter(addMonths(dob, Math.round(scheme.ageMin * 12)));
+  const endsAt = scheme.ageMax >= 4
+    ? getSchoolStartDate(dob)
+    : getTermStartAfter(addMonths(dob, (scheme.ageMax + 1) * 12));
+  return { scheme: schemeKey, start, end: addDays(endsAt, -1) };
+};
+
+export const meetsRequirements = (schemeKey, flags = {}, date = todayISO(), fundingYears) => {
+  const { requires } = getScheme(schemeKey, date, fundingYears);
+  return !requires || Boolean(flags[requires]);
+};
+
+// All entitlement periods the child qualifies for, in the order they start
+export const getEntitlementTimeline = (dob, flags = {}, date = todayISO(), fundingYears) => {
+  if (!dob) return [];
+  const schemes = getSchemes(date, fundingYears);
+  return Object.keys(schemes)
+    .filter(key => meetsRequirements(key, flags, date, fundingYears))
+    .map(key => getEntitlementPeriod(dob, key, date, fundingYears))
+    .sort((a, b) => a.start.localeCompare(b.start) || schemes[b.scheme].hoursPerYear - schemes[a.scheme].hoursPerYear);
+};
+
+export const getEligibleSchemes = (dob, flags = {}, date = todayISO(), fundingYears) => {
+  return getEntitlementTimeline(dob, flags, date, fundingYears)
+    .filter(period => period.start <= date && date <= period.end)
+    .map(period => period.scheme);
+};
+
+// The most generous scheme available on the date, or null if none apply yet
+export const getBestScheme = (dob, flags = {}, date = todayISO(), fundingYears) => {
+  const eligible = getEligibleSchemes(dob, flags, date, fundingYears);
+  if (eligible.length === 0) return null;
+  return eligible.reduce((best, key) => (
+    getScheme(key, date, fundingYears).hoursPerYear > getScheme(best, date, fundingYears).hoursPerYear ? key : best
+  ));
+};
+
+// Entitlements still to come, e.g. eligible_2yr -> universal_15 -> extended_30
+export const getUpcomingTransitions = (dob, flags = {}, date = todayISO(), fundingYears) => {
+  return getEntitlementTimeline(dob, flags, date, fundingYears).filter(period => period.start > date);
+};
+
+// Explains why a chosen scheme does not fit the child on the date, if it doesn't
+export const checkEntitlement = (child, date = todayISO(), fundingYears) => {
+  if (!child.dob) return null;
+  const scheme = getScheme(child.entitlement, date, fundingYears);
+  if (!meetsRequirements(child.entitlement, child.eligibility, date, fundingYears)) {
+    return `${scheme.name} requires ${scheme.requires === 'workingParents' ? 'working parents' : 'the 2-year-old criteria'}.`;
+  }
+  const { start, end } = getEntitlementPeriod(child.dob, child.entitlement, date, fundingYears);
+  if (date < start) return `Not eligible for ${scheme.name} until ${formatDate(start)}.`;
+  if (date > end) return `${scheme.name} ended on ${formatDate(end)}.`;
+  return null;
+};
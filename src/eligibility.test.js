@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getTermStartAfter, getSchoolStartDate, getEntitlementPeriod, meetsRequirements,
+  getEntitlementTimeline, getEligibleSchemes, getBestScheme, getUpcomingTransitions, checkEntitlement
+} from './eligibility';
+
+const today = '2026-10-19';
+const dob = '2024-03-10';
+
+describe('entitlement dates', () => {
+  it('starts funding from the next 1 January, 1 April or 1 September', () => {
+    expect(getTermStartAfter('2025-01-01')).toBe('2025-04-01');
+    expect(getTermStartAfter('2025-03-15')).toBe('2025-04-01');
+    expect(getTermStartAfter('2025-10-10')).toBe('2026-01-01');
+  });
+
+  it('starts school in the September after the fourth birthday', () => {
+    expect(getSchoolStartDate('2022-08-31')).toBe('2026-09-01');
+    expect(getSchoolStartDate('2022-09-01')).toBe('2027-09-01');
+    expect(getSchoolStartDate('2022-10-01')).toBe('2027-09-01');
+  });
+
+  it('runs each scheme from the term after the minimum age to the end of its age band', () => {
+    expect(getEntitlementPeriod(dob, 'expanded_under2', today)).toEqual({ scheme: 'expanded_under2', start: '2025-01-01', end: '2027-03-31' });
+    expect(getEntitlementPeriod(dob, 'universal_15', today)).toEqual({ scheme: 'universal_15', start: '2027-04-01', end: '2028-08-31' });
+  });
+});
+
+describe('schemes', () => {
+  it('checks each scheme\'s requirement against the family\'s flags', () => {
+    expect(meetsRequirements('universal_15', {}, today)).toBe(true);
+    expect(meetsRequirements('extended_30', {}, today)).toBe(false);
+    expect(meetsRequirements('extended_30', { workingParents: true }, today)).toBe(true);
+    expect(meetsRequirements('eligible_2yr', { workingParents: true }, today)).toBe(false);
+  });
+
+  it('lists the schemes a child will move through', () => {
+    expect(getEntitlementTimeline(dob, { workingParents: true }, today)).toEqual([
+      { scheme: 'expanded_under2', start: '2025-01-01', end: '2027-03-31' },
+      { scheme: 'extended_30', start: '2027-04-01', end: '2028-08-31' },
+      { scheme: 'universal_15', start: '2027-04-01', end: '2028-08-31' }
+    ]);
+    expect(getEntitlementTimeline(dob, {}, today).map(period => period.scheme)).toEqual(['universal_15']);
+  });
+
+  it('picks the best scheme the child is eligible for today', () => {
+    expect(getEligibleSchemes(dob, { workingParents: true }, today)).toEqual(['expanded_under2']);
+    expect(getBestScheme(dob, { workingParents: true }, today)).toBe('expanded_under2');
+    expect(getBestScheme(dob, {}, today)).toBeNull();
+  });
+
+  it('lists the schemes still to start', () => {
+    expect(getUpcomingTransitions(dob, { workingParents: true }, today).map(period => period.scheme))
+      .toEqual(['extended_30', 'universal_15']);
+  });
+});
+
+describe('checkEntitlement', () => {
+  it('passes a child on a scheme they are eligible for', () => {
+    expect(checkEntitlement({ dob, entitlement: 'expanded_under2', eligibility: { workingParents: true } }, today)).toBeNull();
+  });
+
+  it('explains why a child is not eligible for their scheme', () => {
+    expect(checkEntitlement({ dob, entitlement: 'extended_30', eligibility: {} }, today))
+      .toBe('30 Hours Extended requires working parents.');
+    expect(checkEntitlement({ dob, entitlement: 'universal_15', eligibility: {} }, today))
+      .toBe('Not eligible for 15 Hours Universal until 1 Apr 2027.');
+    expect(checkEntitlement({ dob: '2021-01-01', entitlement: 'universal_15', eligibility: {} }, today))
+      .toBe('15 Hours Universal ended on 31 Aug 2025.');
+  });
+});
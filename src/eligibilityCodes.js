@@ -0,0 +1,73 @@
+import { getScheme } from './fundingSchemes';
+import { addMonths, parseDate, todayISO } from './dates';
+
+// Working-parent schemes need an HMRC eligibility code that parents reconfirm every three months
+export const EMPTY_ELIGIBILITY_CODE = { code: '', validFrom: '', reconfirmBy: '' };
+
+export const CODE_STATUSES = {
+  valid: 'Valid',
+  expiring: 'Reconfirmation due',
+  grace: 'In grace period',
+  expired: 'Expired',
+  missing: 'No code'
+};
+
+const EXPIRY_WARNING_DAYS = 28;
+
+export const requiresEligibilityCode = (entitlement, date, fundingYears) => (
+  getScheme(entitlement, date, fundingYears)?.requires === 'workingParents'
+);
+
+export const isValidCodeFormat = (code) => /^\d{11}$/.test(code.replace(/\s/g, ''));
+
+export const getReconfirmationDeadline = (validFrom) => (validFrom ? addMonths(validFrom, 3) : '');
+
+// DfE grace periods: a code that isn't reconfirmed by its validity end date keeps
+// funding until the end of a later term
+export const getGracePeriodEnd = (lapseDate) => {
+  const year = parseInt(lapseDate.slice(0, 4));
+  const monthDay = lapseDate.slice(5);
+  if (monthDay >= '09-01' && monthDay <= '10-10') return `${year}-12-31`;
+  if (monthDay >= '10-11') return `${year + 1}-03-31`;
+  if (monthDay <= '02-10') return `${year}-03-31`;
+  if (monthDay <= '05-19') return `${year}-08-31`;
+  return `${year}-12-31`;
+};
+
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / 86400000);
+
+// Where a child's code stands on a date. Funding continues until the grace period ends.
+export const getCodeStatus = (child, date = todayISO(), fundingYears) => {
+  if (!requiresEligibilityCode(child.entitlement, date, fundingYears)) return null;
+
+  const { code, reconfirmBy } = child.eligibilityCode || EMPTY_ELIGIBILITY_CODE;
+  if (!code || !reconfirmBy) return { status: 'missing', reconfirmBy: null, graceEnd: null, daysLeft: null };
+
+  const graceEnd = getGracePeriodEnd(reconfirmBy);
+  let status = 'valid';
+  if (date > graceEnd) status = 'expired';
+  else if (date > reconfirmBy) status = 'grace';
+  else if (daysBetween(date, reconfirmBy) <= EXPIRY_WARNING_DAYS) status = 'expiring';
+
+  return {
+    status,
+    reconfirmBy,
+    graceEnd,
+    daysLeft: daysBetween(date, status === 'grace' ? graceEnd : reconfirmBy)
+  };
+};
+
+// Codes due for reconfirmation within four weeks, in their grace period, lapsed or missing
+export const getCodeAlerts = (children, date = todayISO(), fundingYears) => {
+  const priority = { expired: 0, missing: 1, grace: 2, expiring: 3 };
+  return children
+    .map(child => ({ child, ...getCodeStatus(child, date, fundingYears) }))
+    .filter(alert => alert.status && alert.status !== 'valid')
+    .sort((a, b) => priority[a.status] - priority[b.status] || (a.daysLeft ?? 0) - (b.daysLeft ?? 0));
+};
+
+// Reconfirming gives the parent another three months from the day they reconfirm
+export const reconfirmCode = (eligibilityCode, date = todayISO()) => ({
+  ...eligibilityCode,
+  reconfirmBy: addMonths(date, 3)
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  requiresEligibilityCode, isValidCodeFormat, getReconfirmationDeadline, getGracePeriodEnd,
+  getCodeStatus, getCodeAlerts, reconfirmCode
+} from './eligibilityCodes';
+
+const today = '2026-10-19';
+
+const makeChild = (reconfirmBy, changes = {}) => ({
+  id: 1,
+  name: 'Ava Jones',
+  entitlement: 'extended_30',
+  eligibilityCode: { code: '12345678901', validFrom: '', reconfirmBy },
+  ...changes
+});
+
+describe('eligibility codes', () => {
+  it('is needed only for working-parent schemes', () => {
+    expect(requiresEligibilityCode('extended_30', today)).toBe(true);
+    expect(requiresEligibilityCode('expanded_under2', today)).toBe(true);
+    expect(requiresEligibilityCode('universal_15', today)).toBe(false);
+  });
+
+  it('checks the code has eleven digits', () => {
+    expect(isValidCodeFormat('123 4567 8901')).toBe(true);
+    expect(isValidCodeFormat('1234567890')).toBe(false);
+    expect(isValidCodeFormat('1234567890A')).toBe(false);
+  });
+
+  it('is reconfirmed every three months', () => {
+    expect(getReconfirmationDeadline('2026-09-15')).toBe('2026-12-15');
+    expect(getReconfirmationDeadline('')).toBe('');
+    expect(reconfirmCode({ code: '12345678901', validFrom: '2026-07-01', reconfirmBy: '2026-10-01' }, today))
+      .toEqual({ code: '12345678901', validFrom: '2026-07-01', reconfirmBy: '2027-01-19' });
+  });
+
+  it('keeps funding until the end of the grace period for a lapsed code', () => {
+    expect(getGracePeriodEnd('2026-09-20')).toBe('2026-12-31');
+    expect(getGracePeriodEnd('2026-10-11')).toBe('2027-03-31');
+    expect(getGracePeriodEnd('2027-02-10')).toBe('2027-03-31');
+    expect(getGracePeriodEnd('2027-05-19')).toBe('2027-08-31');
+    expect(getGracePeriodEnd('2027-06-01')).toBe('2027-12-31');
+  });
+});
+
+describe('getCodeStatus', () => {
+  it('tracks the code through reconfirmation, grace and expiry', () => {
+    expect(getCodeStatus(makeChild('2027-01-10'), today)).toEqual({ status: 'valid', reconfirmBy: '2027-01-10', graceEnd: '2027-03-31', daysLeft: 83 });
+    expect(getCodeStatus(makeChild('2026-11-10'), today)).toMatchObject({ status: 'expiring', daysLeft: 22 });
+    expect(getCodeStatus(makeChild('2026-10-01'), today)).toMatchObject({ status: 'grace', graceEnd: '2026-12-31', daysLeft: 73 });
+    expect(getCodeStatus(makeChild('2026-05-01'), today)).toMatchObject({ status: 'expired', graceEnd: '2026-08-31', daysLeft: -171 });
+  });
+
+  it('reports a missing code and ignores children who do not need one', () => {
+    expect(getCodeStatus(makeChild('', { eligibilityCode: undefined }), today)).toEqual({ status: 'missing', reconfirmBy: null, graceEnd: null, daysLeft: null });
+    expect(getCodeStatus(makeChild('2026-05-01', { entitlement: 'universal_15' }), today)).toBeNull();
+  });
+});
+
+describe('getCodeAlerts', () => {
+  it('lists the codes needing attention, most urgent first', () => {
+    const children = [
+      makeChild('2026-11-10', { id: 1 }),
+      makeChild('2027-01-10', { id: 2 }),
+      makeChild('2026-10-01', { id: 3 }),
+      makeChild('', { id: 4 }),
+      makeChild('2026-05-01', { id: 5 }),
+      makeChild('2026-11-01', { id: 6 })
+    ];
+    const alerts = getCodeAlerts(children, today);
+    expect(alerts.map(alert => [alert.child.id, alert.status])).toEqual([
+      [5, 'expired'], [4, 'missing'], [3, 'grace'], [6, 'expiring'], [1, 'expiring']
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+import { getBestScheme, getEligibleSchemes, getUpcomingTransitions } from './eligibility';
+import { WEEKDAYS, MAX_HOURS_PER_DAY } from './children';
+import { parseDate, todayISO } from './dates';
+
+// Enquiries move through the waiting list until they are enrolled as a child
+export const ENQUIRY_STATUSES = {
+  enquiry: { label: 'Enquiry', next: 'offered', action: 'Offer place', style: 'bg-gray-100 text-gray-700' },
+  offered: { label: 'Offered', next: 'accepted', action: 'Mark accepted', style: 'bg-blue-100 text-blue-700' },
+  accepted: { label: 'Accepted', next: null, action: null, style: 'bg-green-100 text-green-700' },
+  enrolled: { label: 'Enrolled', next: null, action: null, style: 'bg-purple-100 text-purple-700' }
+};
+
+export const EMPTY_ENQUIRY = {
+  childName: '',
+  dob: '',
+  parentName: '',
+  parentPhone: '',
+  parentEmail: '',
+  startDate: '',
+  weeklyPattern: { mon: 0, tue: 0, wed: 0, thu: 0, fri: 0 },
+  stretchedOption: false,
+  eligibility: { workingParents: false, meetsTwoYearCriteria: false },
+  notes: '',
+  status: 'enquiry',
+  receivedOn: '',
+  childId: null
+};
+
+// Children due to be born can go on the list, so only the start date is checked against the DOB
+export const validateEnquiry = (enquiry) => {
+  const errors = [];
+  if (!enquiry.childName.trim()) {
+    errors.push('Enter the child\'s name.');
+  }
+  if (!enquiry.dob || isNaN(parseDate(enquiry.dob))) {
+    errors.push('Enter a valid date of birth.');
+  }
+  if (!enquiry.startDate || isNaN(parseDate(enquiry.startDate))) {
+    errors.push('Enter the date the family would like to start.');
+  } else if (enquiry.dob && enquiry.startDate < enquiry.dob) {
+    errors.push('The start date must be after the date of birth.');
+  }
+  if (WEEKDAYS.some(day => enquiry.weeklyPattern[day] < 0 || enquiry.weeklyPattern[day] > MAX_HOURS_PER_DAY)) {
+    errors.push(`Daily hours must be between 0 and ${MAX_HOURS_PER_DAY}.`);
+  }
+  return errors;
+};
+
+export const createEnquiry = (enquiry, date = todayISO()) => ({
+  ...enquiry,
+  childName: enquiry.childName.trim(),
+  id: Date.now(),
+  status: 'enquiry',
+  receivedOn: date
+});
+
+// Schemes the child will qualify for on their start date, and those that follow
+export const estimateFunding = (enquiry, fundingYears) => {
+  if (!enquiry.dob || !enquiry.startDate) {
+    return { schemes: [], bestScheme: null, upcoming: [] };
+  }
+  return {
+    schemes: getEligibleSchemes(enquiry.dob, enquiry.eligibility, enquiry.startDate, fundingYears),
+    bestScheme: getBestScheme(enquiry.dob, enquiry.eligibility, enquiry.startDate, fundingYears),
+    upcoming: getUpcomingTransitions(enquiry.dob, enquiry.eligibility, enquiry.startDate, fundingYears)
+  };
+};
+
+// The child record's details; a child not yet funded at the start gets their first scheme
+export const getEnquiryChild = (enquiry, fundingYears) => {
+  const estimate = estimateFunding(enquiry, fundingYears);
+  return {
+    name: enquiry.childName,
+    dob: enquiry.dob,
+    entitlement: estimate.bestScheme || estimate.upcoming[0]?.scheme || 'universal_15',
+    weeklyPattern: enquiry.weeklyPattern,
+    stretchedOption: enquiry.stretchedOption,
+    eligibility: enquiry.eligibility,
+    startDate: enquiry.startDate
+  };
+};
+
+// Earliest start first, so the list reads in the order places are needed
+export const sortEnquiries = (enquiries) => {
+  return [...enquiries].sort((a, b) => a.startDate.localeCompare(b.startDate) || a.id - b.id);
+};
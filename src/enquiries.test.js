@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ENQUIRY_STATUSES, EMPTY_ENQUIRY, validateEnquiry, createEnquiry, estimateFunding, getEnquiryChild, sortEnquiries
+} from './enquiries';
+
+const makeEnquiry = (changes = {}) => ({
+  ...EMPTY_ENQUIRY,
+  childName: 'Ava Jones',
+  dob: '2024-03-10',
+  startDate: '2026-11-02',
+  weeklyPattern: { mon: 8, tue: 8, wed: 0, thu: 0, fri: 0 },
+  eligibility: { workingParents: true, meetsTwoYearCriteria: false },
+  ...changes
+});
+
+describe('enquiries', () => {
+  it('moves from enquiry to offered to accepted', () => {
+    expect(ENQUIRY_STATUSES.enquiry.next).toBe('offered');
+    expect(ENQUIRY_STATUSES.offered.next).toBe('accepted');
+    expect(ENQUIRY_STATUSES.accepted.next).toBeNull();
+  });
+
+  it('accepts an enquiry for a child not yet born', () => {
+    expect(validateEnquiry(makeEnquiry())).toEqual([]);
+    expect(validateEnquiry(makeEnquiry({ dob: '2027-01-15', startDate: '2027-11-01' }))).toEqual([]);
+  });
+
+  it('lists each problem with an enquiry', () => {
+    expect(validateEnquiry(makeEnquiry({ childName: ' ', dob: '', startDate: '', weeklyPattern: { mon: 11 } }))).toEqual([
+      'Enter the child\'s name.',
+      'Enter a valid date of birth.',
+      'Enter the date the family would like to start.',
+      'Daily hours must be between 0 and 10.'
+    ]);
+    expect(validateEnquiry(makeEnquiry({ startDate: '2024-01-01' }))).toEqual(['The start date must be after the date of birth.']);
+  });
+
+  it('records a new enquiry on the waiting list', () => {
+    const enquiry = createEnquiry(makeEnquiry({ childName: ' Ava Jones ', status: 'offered' }), '2026-10-19');
+    expect(enquiry).toMatchObject({ childName: 'Ava Jones', status: 'enquiry', receivedOn: '2026-10-19' });
+    expect(typeof enquiry.id).toBe('number');
+  });
+
+  it('lists earliest starts first', () => {
+    const enquiries = [
+      makeEnquiry({ id: 3, startDate: '2027-01-04' }),
+      makeEnquiry({ id: 2, startDate: '2026-11-02' }),
+      makeEnquiry({ id: 1, startDate: '2026-11-02' })
+    ];
+    expect(sortEnquiries(enquiries).map(enquiry => enquiry.id)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('funding for an enquiry', () => {
+  it('estimates the schemes from the start date', () => {
+    expect(estimateFunding(makeEnquiry())).toEqual({
+      schemes: ['expanded_under2'],
+      bestScheme: 'expanded_under2',
+      upcoming: [
+        { scheme: 'extended_30', start: '2027-04-01', end: '2028-08-31' },
+        { scheme: 'universal_15', start: '2027-04-01', end: '2028-08-31' }
+      ]
+    });
+    expect(estimateFunding(makeEnquiry({ startDate: '' }))).toEqual({ schemes: [], bestScheme: null, upcoming: [] });
+  });
+
+  it('enrols the child on their best scheme, or the first one still to come', () => {
+    expect(getEnquiryChild(makeEnquiry())).toEqual({
+      name: 'Ava Jones',
+      dob: '2024-03-10',
+      entitlement: 'expanded_under2',
+      weeklyPattern: { mon: 8, tue: 8, wed: 0, thu: 0, fri: 0 },
+      stretchedOption: false,
+      eligibility: { workingParents: true, meetsTwoYearCriteria: false },
+      startDate: '2026-11-02'
+    });
+    const notWorking = makeEnquiry({ eligibility: { workingParents: false, meetsTwoYearCriteria: false } });
+    expect(getEnquiryChild(notWorking).entitlement).toBe('universal_15');
+  });
+});
@@ -0,0 +1,67 @@
+// Families group siblings for quotes, invoices and sibling discounts
+export const EMPTY_CONTACT = { name: '', relationship: 'Parent', phone: '', email: '' };
+
+export const EMPTY_FAMILY = {
+  name: '',
+  contacts: [EMPTY_CONTACT],
+  address: ''
+};
+
+export const SIBLING_DISCOUNT_TYPES = {
+  none: 'No discount',
+  percent: 'Percentage off',
+  fixed: 'Fixed amount per month'
+};
+
+// Applies to the chargeable hours of the second child onwards
+export const DEFAULT_SIBLING_DISCOUNT = { type: 'percent', value: 10, fromChild: 2 };
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+export const getSurname = (name) => name.trim().split(/\s+/).slice(-1)[0] || '';
+
+export const createFamilyFor = (child, id = child.id) => ({
+  ...EMPTY_FAMILY,
+  id,
+  name: `${getSurname(child.name)} family`.trim(),
+  contacts: []
+});
+
+// Siblings from eldest to youngest; the eldest counts as the first child
+export const getFamilyChildren = (familyId, children) => {
+  return children
+    .filter(child => child.familyId === familyId)
+    .sort((a, b) => (a.dob || '').localeCompare(b.dob || '') || a.id - b.id);
+};
+
+export const getSiblingPosition = (child, children) => {
+  return getFamilyChildren(child.familyId, children).findIndex(sibling => sibling.id === child.id) + 1;
+};
+
+// Discount for a child at a position in the family, taken only off chargeable hours.
+// Fixed amounts are per month, so `months` scales them to the period being priced.
+export const getSiblingDiscount = (rule, position, chargeableAmount, months = 1) => {
+  if (!rule || rule.type === 'none' || position < rule.fromChild || chargeableAmount <= 0) return 0;
+  const discount = rule.type === 'percent' ? chargeableAmount * rule.value / 100 : rule.value * months;
+  return round(Math.min(discount, chargeableAmount));
+};
+
+export const describeSiblingDiscount = (rule) => {
+  if (!rule || rule.type === 'none') return 'No sibling discount';
+  const amount = rule.type === 'percent' ? `${rule.value}%` : `£${rule.value.toFixed(2)}/month`;
+  return `${amount} off additional hours from child ${rule.fromChild}`;
+};
+
+export const validateFamily = (family) => {
+  const errors = [];
+  if (!family.name.trim()) {
+    errors.push('Enter a family name.');
+  }
+  if (family.contacts.some(contact => !contact.name.trim())) {
+    errors.push('Every contact needs a name.');
+  }
+  if (family.contacts.some(contact => contact.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(contact.email))) {
+    errors.push('Check the contact email addresses.');
+  }
+  return errors;
+};
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EMPTY_CONTACT, EMPTY_FAMILY, DEFAULT_SIBLING_DISCOUNT, getSurname, createFamilyFor, getFamilyChildren,
+  getSiblingPosition, getSiblingDiscount, describeSiblingDiscount, validateFamily
+} from './families';
+
+const children = [
+  { id: 1, name: 'Ava Jones', dob: '2023-01-15', familyId: 7 },
+  { id: 2, name: 'Noah Patel', dob: '2022-05-01', familyId: 8 },
+  { id: 3, name: 'Mia Jones', dob: '2021-11-20', familyId: 7 },
+  { id: 4, name: 'Leo Jones', dob: '2023-01-15', familyId: 7 }
+];
+
+describe('families', () => {
+  it('names a new family after the child\'s surname', () => {
+    expect(getSurname('  Ava  Rose Jones ')).toBe('Jones');
+    expect(createFamilyFor(children[0])).toEqual({ name: 'Jones family', contacts: [], address: '', id: 1 });
+    expect(createFamilyFor({ id: 5, name: '' }, 9)).toMatchObject({ id: 9, name: 'family' });
+  });
+
+  it('orders siblings from eldest to youngest', () => {
+    expect(getFamilyChildren(7, children).map(child => child.id)).toEqual([3, 1, 4]);
+    expect(getSiblingPosition(children[0], children)).toBe(2);
+    expect(getSiblingPosition(children[1], children)).toBe(1);
+  });
+});
+
+describe('sibling discounts', () => {
+  it('takes a percentage off the chargeable hours from the second child', () => {
+    expect(getSiblingDiscount(DEFAULT_SIBLING_DISCOUNT, 1, 200)).toBe(0);
+    expect(getSiblingDiscount(DEFAULT_SIBLING_DISCOUNT, 2, 123.45)).toBe(12.35);
+    expect(getSiblingDiscount(DEFAULT_SIBLING_DISCOUNT, 3, 0)).toBe(0);
+  });
+
+  it('scales a fixed monthly discount to the period without exceeding the charge', () => {
+    const rule = { type: 'fixed', value: 25, fromChild: 2 };
+    expect(getSiblingDiscount(rule, 2, 200, 3)).toBe(75);
+    expect(getSiblingDiscount(rule, 2, 40, 3)).toBe(40);
+    expect(getSiblingDiscount({ type: 'none' }, 2, 200)).toBe(0);
+  });
+
+  it('describes the discount', () => {
+    expect(describeSiblingDiscount(DEFAULT_SIBLING_DISCOUNT)).toBe('10% off additional hours from child 2');
+    expect(describeSiblingDiscount({ type: 'fixed', value: 25, fromChild: 3 })).toBe('£25.00/month off additional hours from child 3');
+    expect(describeSiblingDiscount(null)).toBe('No sibling discount');
+  });
+});
+
+describe('validateFamily', () => {
+  it('accepts a named family with named contacts', () => {
+    const family = { ...EMPTY_FAMILY, name: 'Jones family', contacts: [{ ...EMPTY_CONTACT, name: 'Sam Jones', email: 'sam@example.com' }] };
+    expect(validateFamily(family)).toEqual([]);
+  });
+
+  it('lists each problem', () => {
+    expect(validateFamily({ ...EMPTY_FAMILY, contacts: [{ ...EMPTY_CONTACT, email: 'sam@example' }] })).toEqual([
+      'Enter a family name.',
+      'Every contact needs a name.',
+      'Check the contact email addresses.'
+    ]);
+  });
+});
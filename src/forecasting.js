@@ -0,0 +1,153 @@
+import { getAcademicYear, getTermFor, isOpenDay } from './termCalendar';
+import { isEnrolled } from './children';
+import { getWeekStart, getWeekDates, getBookedHours, getAttendedHours } from './attendance';
+import { getFundedHoursIn } from './pricing';
+import { addDays, todayISO } from './dates';
+
+// Year-end usage forecasts from the attendance register. Recent weeks set the attendance
+// trend, past years' terms give seasonal rates for the terms still to come, and the spread
+// of weekly attendance gives the forecast range. Without a register the forecast is the
+// booking pattern and the range is empty.
+export const FORECAST_BASES = {
+  low: 'Low end of the range',
+  expected: 'Expected usage',
+  high: 'High end of the range'
+};
+
+// `threshold` is the % of available hours below which under-use is flagged, checked against
+// the `alertOn` point of the range. `absenceAlert` flags absence over that %, 0 for never.
+export const DEFAULT_FORECAST_SETTINGS = {
+  threshold: 85,
+  alertOn: 'expected',
+  absenceAlert: 20
+};
+
+const TREND_WEEKS = 6;
+const MIN_WEEKS_FOR_RANGE = 3;
+const MIN_SEASON_DAYS = 10;
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+// Booked and attended hours on the register days recorded before the date, grouped by week.
+// Days without a record are left out rather than counted as absences.
+export const getWeeklyActuals = (child, records = {}, academicYear, date = todayISO()) => {
+  if (!academicYear) return [];
+
+  const weeks = [];
+  for (let weekStart = getWeekStart(academicYear.terms.autumn.start); weekStart < getWeekStart(date); weekStart = addDays(weekStart, 7)) {
+    let booked = 0;
+    let attended = 0;
+    getWeekDates(weekStart)
+      .filter(day => records[day] && isOpenDay(academicYear, day) && isEnrolled(child, day))
+      .forEach(day => {
+        const bookedHours = getBookedHours(child, day);
+        booked += bookedHours;
+        attended += getAttendedHours(records[day], bookedHours);
+      });
+    if (booked > 0) weeks.push({ weekStart, booked: round(booked), attended: round(attended), rate: attended / booked });
+  }
+  return weeks;
+};
+
+// Attendance rate by term key from earlier years' registers, where there is enough of it
+export const getSeasonalRates = (child, records = {}, termCalendar, date = todayISO()) => {
+  const currentYear = getAcademicYear(termCalendar, date);
+  const totals = {};
+
+  Object.entries(records).forEach(([day, record]) => {
+    const year = getAcademicYear(termCalendar, day);
+    if (!year || year.id === currentYear?.id || day >= date || !isOpenDay(year, day)) return;
+    const termKey = getTermFor(year, day);
+    const booked = getBookedHours(child, day);
+    if (booked === 0) return;
+
+    totals[termKey] = totals[termKey] || { days: 0, booked: 0, attended: 0 };
+    totals[termKey].days++;
+    totals[termKey].booked += booked;
+    totals[termKey].attended += getAttendedHours(record, booked);
+  });
+
+  return Object.fromEntries(Object.entries(totals)
+    .filter(([, total]) => total.days >= MIN_SEASON_DAYS)
+    .map(([termKey, total]) => [termKey, total.attended / total.booked]));
+};
+
+const getSpread = (rates) => {
+  if (rates.length < MIN_WEEKS_FOR_RANGE) return 0;
+  const mean = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+  return Math.sqrt(rates.reduce((sum, rate) => sum + (rate - mean) ** 2, 0) / (rates.length - 1));
+};
+
+// One child's funded hours used by the end of the summer term, with a range. `child` needs
+// hoursUsed and availableHours, as from withUsage. Each week counts up to the child's funded
+// hours that week, as the rest is chargeable, and the year up to the hours available.
+export const forecastUsage = (child, records = {}, { termCalendar, academicYear, date = todayISO(), operatingWeeks, fundingYears }) => {
+  const actuals = getWeeklyActuals(child, records, academicYear, date);
+  const recent = actuals.slice(-TREND_WEEKS);
+  const recentBooked = recent.reduce((sum, week) => sum + week.booked, 0);
+  const trendRate = recentBooked > 0 ? recent.reduce((sum, week) => sum + week.attended, 0) / recentBooked : 1;
+  const seasonalRates = academicYear ? getSeasonalRates(child, records, termCalendar || [academicYear], date) : {};
+  const spread = getSpread(actuals.map(week => week.rate));
+
+  // Today is forecast unless it is already on the register, and so in hoursUsed
+  const forecastFrom = records[date] ? addDays(date, 1) : date;
+  const weeks = {};
+  if (academicYear) {
+    const currentTerm = getTermFor(academicYear, date);
+    for (let day = forecastFrom; day <= academicYear.terms.summer.end; day = addDays(day, 1)) {
+      if (!isOpenDay(academicYear, day) || !isEnrolled(child, day)) continue;
+      const termKey = getTermFor(academicYear, day);
+      const rate = termKey !== currentTerm && seasonalRates[termKey] !== undefined ? seasonalRates[termKey] : trendRate;
+      const booked = getBookedHours(child, day);
+      const weekStart = getWeekStart(day);
+      weeks[weekStart] = weeks[weekStart] || { expected: 0, low: 0, high: 0 };
+      weeks[weekStart].expected += booked * rate;
+      weeks[weekStart].low += booked * Math.max(0, rate - spread);
+      weeks[weekStart].high += booked * Math.min(Math.max(1, rate), rate + spread);
+    }
+  }
+
+  // The current week's funded hours are partly used by the days already on the register
+  const fundedHoursIn = getFundedHoursIn(child, academicYear, { operatingWeeks, fundingYears });
+  const usedThisWeek = getWeekDates(getWeekStart(date))
+    .filter(day => day < forecastFrom)
+    .reduce((sum, day) => sum + getAttendedHours(records[day], getBookedHours(child, day)), 0);
+  const fundedLeftIn = (weekStart) => Math.max(0, fundedHoursIn(weekStart) - (weekStart === getWeekStart(date) ? usedThisWeek : 0));
+  const most = Math.max(child.availableHours, child.hoursUsed);
+  const toYearEnd = (key) => Math.min(most, Object.entries(weeks)
+    .reduce((sum, [weekStart, week]) => sum + Math.min(week[key], fundedLeftIn(weekStart)), child.hoursUsed));
+
+  const expected = toYearEnd('expected');
+  const low = toYearEnd('low');
+  const high = toYearEnd('high');
+  const utilisation = (hours) => (child.availableHours > 0 ? Math.round((hours / child.availableHours) * 100) : 0);
+  return {
+    expected: round(expected),
+    low: round(low),
+    high: round(high),
+    utilisation: { expected: utilisation(expected), low: utilisation(low), high: utilisation(high) },
+    attendanceRate: round(trendRate),
+    weeksOfHistory: actuals.length,
+    actuals
+  };
+};
+
+// The setting's year-end usage: each child's forecast added up
+export const forecastSetting = (childrenWithUsage, attendance, options) => {
+  const forecasts = childrenWithUsage.map(child => ({ child, ...forecastUsage(child, attendance[child.id], options) }));
+  const availableHours = childrenWithUsage.reduce((sum, child) => sum + child.availableHours, 0);
+  const total = (key) => round(forecasts.reduce((sum, forecast) => sum + forecast[key], 0));
+  const utilisation = (hours) => (availableHours > 0 ? Math.round((hours / availableHours) * 100) : 0);
+
+  const expected = total('expected');
+  const low = total('low');
+  const high = total('high');
+  return {
+    forecasts,
+    availableHours: round(availableHours),
+    expected,
+    low,
+    high,
+    utilisation: { expected: utilisation(expected), low: utilisation(low), high: utilisation(high) }
+  };
+};
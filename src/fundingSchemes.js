@@ -0,0 +1,77 @@
+import { addMonths, todayISO } from './dates';
+import rules2024 from './fundingYears/2024-25.json';
+import rules2025 from './fundingYears/2025-26.json';
+import rules2026 from './fundingYears/2026-27.json';
+
+// UK funding rules, published as one versioned JSON file per funding year (September to
+// August). Each year lists its schemes' hours, term weeks, age bounds and the parent
+// eligibility flag (`requires`) a scheme depends on. Scheme keys stay the same every year.
+export const DEFAULT_FUNDING_YEARS = [rules2024, rules2025, rules2026];
+
+export const ELIGIBILITY_FLAGS = {
+  workingParents: 'Working parents (valid eligibility code)',
+  meetsTwoYearCriteria: 'Meets 2-year-old criteria (e.g. qualifying benefits)'
+};
+
+const sortYears = (years) => [...years].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+// Edited years replace the published ones; years published since the edits are added
+export const mergeFundingYears = (edited = []) => sortYears([
+  ...DEFAULT_FUNDING_YEARS.filter(year => !edited.some(e => e.fundingYear === year.fundingYear)),
+  ...edited
+]);
+
+// The year in effect on a date; dates outside every year use the nearest one. `years` are the
+// organisation's rules from mergeFundingYears, and every function that reads scheme rules
+// passes them on as `fundingYears`, falling back to the published years.
+export const getFundingYear = (date = todayISO(), years = DEFAULT_FUNDING_YEARS) => {
+  const sorted = sortYears(years);
+  return sorted.find(year => year.effectiveFrom <= date && date <= year.effectiveTo)
+    || (date < sorted[0].effectiveFrom ? sorted[0] : sorted[sorted.length - 1]);
+};
+
+// A year's funded hours follow the rules of the funding year its autumn term starts in, so they
+// don't change part way through; with no academic year the rules on the date apply
+export const getRulesDate = (academicYear, date = todayISO()) => academicYear?.terms.autumn.start ?? date;
+
+export const getSchemes = (date = todayISO(), years) => getFundingYear(date, years).schemes;
+
+export const getScheme = (key, date = todayISO(), years) => getSchemes(date, years)[key];
+
+export const isPublishedYear = (year) => {
+  const published = DEFAULT_FUNDING_YEARS.find(p => p.fundingYear === year.fundingYear);
+  return Boolean(published) && JSON.stringify(published) === JSON.stringify(year);
+};
+
+// The next year starts as a copy of the latest one for the admin to adjust
+export const createNextFundingYear = (years) => {
+  const latest = sortYears(years)[years.length - 1];
+  const start = parseInt(latest.fundingYear.slice(0, 4)) + 1;
+  return {
+    ...latest,
+    fundingYear: `${start}-${String(start + 1).slice(2)}`,
+    version: 1,
+    effectiveFrom: addMonths(latest.effectiveFrom, 12),
+    effectiveTo: addMonths(latest.effectiveTo, 12)
+  };
+};
+
+export const validateFundingYear = (year, years) => {
+  const errors = [];
+  if (!year.effectiveFrom || !year.effectiveTo || year.effectiveTo < year.effectiveFrom) {
+    errors.push('The year must end after it starts.');
+  }
+  const overlapping = years.find(other => (
+    other.fundingYear !== year.fundingYear && other.effectiveFrom <= year.effectiveTo && year.effectiveFrom <= other.effectiveTo
+  ));
+  if (overlapping) {
+    errors.push(`The dates overlap ${overlapping.fundingYear}.`);
+  }
+  Object.values(year.schemes).forEach(scheme => {
+    if (!scheme.name.trim()) errors.push('Every scheme needs a name.');
+    if (!(scheme.hoursPerYear > 0)) errors.push(`${scheme.name}: enter the hours per year.`);
+    if (!(scheme.weeksTermTime > 0 && scheme.weeksTermTime <= 52)) errors.push(`${scheme.name}: term-time weeks must be between 1 and 52.`);
+    if (!(scheme.ageMin >= 0 && scheme.ageMax >= scheme.ageMin)) errors.push(`${scheme.name}: the age range is not valid.`);
+  });
+  return errors;
+};
@@ -0,0 +1,116 @@
+import { getScheme, getRulesDate } from './fundingSchemes';
+import { TERM_KEYS, TERM_NAMES, isOpenDay, getFundedWeeks } from './termCalendar';
+import { getEntitlementPeriod } from './eligibility';
+import { getChildOn, getDayKey, isEnrolled } from './children';
+import { getWeekStart, getWeekDates } from './attendance';
+import { getAllocationPlan, getAllocationWeeks, createEvenAllocation } from './allocation';
+import { getFundingShare } from './sharedFunding';
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+// The weeks of the year a term's funding covers. Stretched funding runs on through the
+// holidays, so each week up to the next term's first week belongs to the term before it.
+const getTermWeeks = (academicYear, termKey) => {
+  const index = TERM_KEYS.indexOf(termKey);
+  const from = getWeekStart(academicYear.terms[termKey].start);
+  const next = TERM_KEYS[index + 1] && getWeekStart(academicYear.terms[TERM_KEYS[index + 1]].start);
+  return getAllocationWeeks(academicYear).filter(week => week.weekStart >= from && (!next || week.weekStart < next));
+};
+
+// Funded hours for one term, counting only the days on which the child was eligible.
+// Term-time funding is due in equal shares on the term's open days, less any share claimed
+// at another provider. Stretched funding is due on the weekdays of the term's weeks, each
+// week's hours from the child's allocation plan or else the even plan. `days` lists each
+// eligible day's booked hours for spreading the claim.
+export const getTermFunding = (child, academicYear, termKey, fundingYears) => {
+  const rulesDate = getRulesDate(academicYear);
+  const dailyShare = 1 / (getFundedWeeks(academicYear) * 5);
+  let stretchedPlan = null;
+  const getStretchedPlan = () => {
+    stretchedPlan = stretchedPlan || getAllocationPlan(child, academicYear) || createEvenAllocation(child, academicYear, fundingYears);
+    return stretchedPlan;
+  };
+  const isClosed = (date) => academicYear.closures.some(closure => closure.date === date);
+  let entitlementHours = 0;
+  let bookedHours = 0;
+  let fundedDays = 0;
+  let eligibleFrom = null;
+  const days = [];
+
+  getTermWeeks(academicYear, termKey).forEach(week => getWeekDates(week.weekStart).forEach(date => {
+    const snapshot = getChildOn(child, date);
+    if (!snapshot.stretchedOption && !isOpenDay(academicYear, date)) return;
+    fundedDays++;
+    if (!isEnrolled(child, date)) return;
+
+    const period = getEntitlementPeriod(snapshot.dob, snapshot.entitlement, rulesDate, fundingYears);
+    if (date < period.start || date > period.end) return;
+
+    eligibleFrom = eligibleFrom || date;
+    if (snapshot.stretchedOption) {
+      entitlementHours += (getStretchedPlan()[week.weekStart] || 0) / 5;
+    } else {
+      const { hoursPerYear } = getScheme(snapshot.entitlement, rulesDate, fundingYears);
+      entitlementHours += hoursPerYear * getFundingShare(snapshot, rulesDate, fundingYears) * dailyShare;
+    }
+
+    const booked = isClosed(date) ? 0 : snapshot.weeklyPattern[getDayKey(date)] || 0;
+    bookedHours += booked;
+    days.push({ date, bookedHours: booked });
+  }));
+
+  const termSnapshot = getChildOn(child, eligibleFrom || academicYear.terms[termKey].start);
+  return {
+    term: termKey,
+    entitlement: termSnapshot.entitlement,
+    stretched: termSnapshot.stretchedOption,
+    eligibleFrom,
+    eligibleDays: days.length,
+    partTerm: days.length > 0 && days.length < fundedDays,
+    entitlementHours: round(entitlementHours),
+    bookedHours: round(bookedHours),
+    claimedHours: round(Math.min(entitlementHours, bookedHours)),
+    days
+  };
+};
+
+export const getTermBreakdown = (child, academicYear, fundingYears) => {
+  if (!academicYear || !child.dob) return [];
+  return TERM_KEYS.map(key => getTermFunding(child, academicYear, key, fundingYears));
+};
+
+// One row per child funded in the term, ready to check against the LA portal
+export const getHeadcountReturn = (children, academicYear, termKey, fundingYears) => {
+  const rows = children
+    .map(child => ({ child, ...getTermFunding(child, academicYear, termKey, fundingYears) }))
+    .filter(row => row.eligibleDays > 0);
+
+  return {
+    academicYear: academicYear.id,
+    term: termKey,
+    rows,
+    totals: {
+      children: rows.length,
+      entitlementHours: round(rows.reduce((sum, row) => sum + row.entitlementHours, 0)),
+      claimedHours: round(rows.reduce((sum, row) => sum + row.claimedHours, 0))
+    }
+  };
+};
+
+export const headcountToRows = (headcount, fundingYears) => [
+  ['Child', 'Date of birth', 'Scheme', 'Funding pattern', 'Eligible from', 'Entitlement hours', 'Booked hours', 'Hours claimed'],
+  ...headcount.rows.map(row => [
+    row.child.name,
+    row.child.dob,
+    getScheme(row.entitlement, row.eligibleFrom, fundingYears).name,
+    row.stretched ? 'Stretched' : 'Term-time',
+    row.eligibleFrom,
+    row.entitlementHours,
+    row.bookedHours,
+    row.claimedHours
+  ])
+];
+
+export const getHeadcountFilename = (headcount) => {
+  return `headcount-${headcount.academicYear}-${TERM_NAMES[headcount.term].toLowerCase()}.csv`;
+};
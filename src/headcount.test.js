@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { getTermBreakdown, getHeadcountReturn, headcountToRows } from './headcount';
+import { createTermTimeAllocation } from './allocation';
+import { DEFAULT_TERM_CALENDAR, getAcademicYear } from './termCalendar';
+
+// Checked in the 2026-27 academic year of the default term calendar
+const academicYear = getAcademicYear(DEFAULT_TERM_CALENDAR, '2026-10-19');
+
+const makeChild = (changes = {}) => ({
+  id: 1,
+  name: 'Ava Jones',
+  dob: '2022-10-01',
+  entitlement: 'universal_15',
+  weeklyPattern: { mon: 10, tue: 10, wed: 10, thu: 0, fri: 0 },
+  stretchedOption: false,
+  laSupplements: [],
+  startDate: '',
+  leaveDate: '',
+  history: [],
+  ...changes
+});
+
+const claimed = (child) => getTermBreakdown(child, academicYear).map(term => term.claimedHours);
+
+describe('getTermFunding', () => {
+  it('claims term-time funding on each term\'s open days', () => {
+    const [autumn] = getTermBreakdown(makeChild(), academicYear);
+    expect(autumn).toMatchObject({ eligibleFrom: '2026-09-04', eligibleDays: 71, partTerm: false, bookedHours: 420 });
+    expect(claimed(makeChild())).toEqual([213, 159, 198]);
+  });
+
+  it('claims a stretched child\'s funding over the holiday weeks too', () => {
+    const child = makeChild({ stretchedOption: true });
+    const breakdown = getTermBreakdown(child, academicYear);
+    expect(claimed(child)).toEqual([197.28, 153.44, 219.28]);
+    expect(breakdown[2].days.at(-1).date).toBe('2027-08-27');
+    expect(breakdown.reduce((sum, term) => sum + term.claimedHours, 0)).toBe(570);
+  });
+
+  it('claims a stretched child\'s hours only on days they can attend', () => {
+    const child = makeChild({ stretchedOption: true, weeklyPattern: { mon: 5.59, tue: 5.59, wed: 0, thu: 0, fri: 0 } });
+    expect(claimed(child)).toEqual([201.24, 150.93, 212.42]);
+  });
+
+  it('follows a stretched child\'s allocation plan', () => {
+    const child = makeChild({ stretchedOption: true });
+    const planned = { ...child, fundingAllocations: { [academicYear.id]: createTermTimeAllocation(child, academicYear) } };
+    expect(claimed(planned)).toEqual([225, 165, 180]);
+  });
+
+  it('claims part of the term for a joiner', () => {
+    const [autumn, spring] = getTermBreakdown(makeChild({ startDate: '2027-01-11' }), academicYear);
+    expect(autumn.eligibleDays).toBe(0);
+    expect(spring).toMatchObject({ eligibleFrom: '2027-01-11', partTerm: true, claimedHours: 147 });
+  });
+});
+
+describe('getHeadcountReturn', () => {
+  it('lists the children funded in the term with totals', () => {
+    const children = [makeChild(), makeChild({ id: 2, name: 'Noah Patel', stretchedOption: true }), makeChild({ id: 3, dob: '2024-06-01' })];
+    const headcount = getHeadcountReturn(children, academicYear, 'spring');
+    expect(headcount.rows.map(row => row.child.id)).toEqual([1, 2]);
+    expect(headcount.totals).toEqual({ children: 2, entitlementHours: 312.44, claimedHours: 312.44 });
+    expect(headcountToRows(headcount)[2]).toEqual([
+      'Noah Patel', '2022-10-01', '15 Hours Universal', 'Stretched', '2027-01-04', 153.44, 410, 153.44
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import { TERM_KEYS } from './termCalendar';
+import { getChildOn } from './children';
+import { getTermFunding } from './headcount';
+import { getRateProfile, getLaHourlyRate } from './laRates';
+import { addDays, addMonths } from './dates';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// The twelve 'YYYY-MM' months from September to August
+export const getAcademicYearMonths = (academicYear) => {
+  const first = `${academicYear.terms.autumn.start.slice(0, 7)}-01`;
+  return Array.from({ length: 12 }, (_, i) => addMonths(first, i).slice(0, 7));
+};
+
+// LA income by month. Each term's claimed hours (as on the headcount return) are spread
+// over the days the child is booked, holiday weeks included for stretched funding, and priced
+// at the rate for that day's funding year.
+export const getMonthlyLaIncome = (child, academicYear, rateProfiles, fundingYears) => {
+  const months = {};
+  if (!child.dob) return months;
+  // A stretched year's first week can start in August; those days are paid with September
+  const [firstMonth] = getAcademicYearMonths(academicYear);
+
+  TERM_KEYS.forEach(key => {
+    const funding = getTermFunding(child, academicYear, key, fundingYears);
+    if (funding.bookedHours === 0) return;
+    const claimedShare = funding.claimedHours / funding.bookedHours;
+
+    funding.days.forEach(({ date, bookedHours }) => {
+      const hours = bookedHours * claimedShare;
+      if (hours === 0) return;
+
+      const snapshot = getChildOn(child, date);
+      const rate = getLaHourlyRate(getRateProfile(rateProfiles, date), snapshot.entitlement, snapshot.laSupplements);
+      const month = date.slice(0, 7) < firstMonth ? firstMonth : date.slice(0, 7);
+      months[month] = months[month] || { hours: 0, income: 0 };
+      months[month].hours += hours;
+      months[month].income += hours * rate;
+    });
+  });
+
+  return months;
+};
+
+// The months the child is on roll for at least a day
+const getMonthsOnRoll = (child, months) => months.filter(month => {
+  const first = `${month}-01`;
+  const last = addDays(addMonths(first, 1), -1);
+  return (!child.startDate || last >= child.startDate) && (!child.leaveDate || first <= child.leaveDate);
+});
+
+// Combines LA income with parent fees. `priceChild` returns the child's weekly parent
+// fees, the number of weeks they are charged for and our own hourly rate.
+export const getIncomeForecast = (children, academicYear, rateProfiles, priceChild, fundingYears) => {
+  const months = academicYear ? getAcademicYearMonths(academicYear) : [];
+
+  const rows = children.map(child => {
+    const laMonths = academicYear ? getMonthlyLaIncome(child, academicYear, rateProfiles, fundingYears) : {};
+    const fundedHours = Object.values(laMonths).reduce((sum, m) => sum + m.hours, 0);
+    const laIncome = Object.values(laMonths).reduce((sum, m) => sum + m.income, 0);
+    const { weeklyFees, weeks, hourlyRate } = priceChild(child);
+    const laRate = fundedHours > 0 ? laIncome / fundedHours : 0;
+
+    return {
+      child,
+      laMonths,
+      feeMonths: getMonthsOnRoll(child, months),
+      fundedHours: round(fundedHours),
+      laIncome: round(laIncome),
+      laRate: round(laRate),
+      ourRate: round(hourlyRate),
+      // Positive when the LA pays less for funded hours than we would charge for them
+      fundingGap: fundedHours > 0 ? round((hourlyRate - laRate) * fundedHours) : 0,
+      // Parent fees are collected in equal monthly instalments over the months on roll
+      parentFees: round(weeklyFees * weeks)
+    };
+  });
+
+  const monthly = months.map(month => {
+    const laIncome = round(rows.reduce((sum, row) => sum + (row.laMonths[month]?.income || 0), 0));
+    const parentFees = round(rows.reduce((sum, row) => sum + (row.feeMonths.includes(month) ? row.parentFees / row.feeMonths.length : 0), 0));
+    return { month, laIncome, parentFees, total: round(laIncome + parentFees) };
+  });
+
+  const laIncome = round(rows.reduce((sum, row) => sum + row.laIncome, 0));
+  const parentFees = round(rows.reduce((sum, row) => sum + row.parentFees, 0));
+
+  return {
+    rows,
+    monthly,
+    totals: {
+      laIncome,
+      parentFees,
+      total: round(laIncome + parentFees),
+      monthlyAverage: round((laIncome + parentFees) / 12),
+      fundingGap: round(rows.reduce((sum, row) => sum + row.fundingGap, 0))
+    }
+  };
+};
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { getMonthlyLaIncome, getIncomeForecast } from './income';
+import { DEFAULT_LA_RATE_PROFILES } from './laRates';
+import { DEFAULT_TERM_CALENDAR, getAcademicYear } from './termCalendar';
+
+// Checked in the 2026-27 academic year of the default term calendar
+const academicYear = getAcademicYear(DEFAULT_TERM_CALENDAR, '2026-10-19');
+
+const makeChild = (changes = {}) => ({
+  id: 1,
+  name: 'Ava Jones',
+  dob: '2022-10-01',
+  entitlement: 'universal_15',
+  weeklyPattern: { mon: 10, tue: 10, wed: 10, thu: 0, fri: 0 },
+  stretchedOption: false,
+  laSupplements: [],
+  startDate: '',
+  leaveDate: '',
+  history: [],
+  ...changes
+});
+
+const priceChild = () => ({ weeklyFees: 100, weeks: 12, hourlyRate: 7 });
+
+describe('getMonthlyLaIncome', () => {
+  it('is paid for a term-time child\'s claimed hours in term months only', () => {
+    const months = getMonthlyLaIncome(makeChild(), academicYear, DEFAULT_LA_RATE_PROFILES);
+    const hours = Object.values(months).reduce((sum, month) => sum + month.hours, 0);
+    expect(Math.round(hours)).toBe(570);
+    expect(months['2027-08']).toBeUndefined();
+  });
+
+  it('is paid for a stretched child\'s hours through the holidays', () => {
+    const months = getMonthlyLaIncome(makeChild({ stretchedOption: true }), academicYear, DEFAULT_LA_RATE_PROFILES);
+    const hours = Object.values(months).reduce((sum, month) => sum + month.hours, 0);
+    expect(Math.round(hours)).toBe(570);
+    expect(months['2027-08'].hours).toBeCloseTo(45.37, 2);
+    expect(months['2026-08']).toBeUndefined();
+  });
+});
+
+describe('getIncomeForecast', () => {
+  it('adds up the same LA income by month as by child', () => {
+    const children = [makeChild(), makeChild({ id: 2, stretchedOption: true })];
+    const { rows, monthly, totals } = getIncomeForecast(children, academicYear, DEFAULT_LA_RATE_PROFILES, priceChild);
+    expect(rows.map(row => row.fundedHours)).toEqual([570, 570]);
+    expect(monthly.reduce((sum, month) => sum + month.laIncome, 0)).toBeCloseTo(totals.laIncome, 1);
+    expect(monthly[11].laIncome).toBeGreaterThan(0);
+  });
+
+  it('collects a child\'s parent fees over the months they are on roll', () => {
+    const leaver = makeChild({ leaveDate: '2026-12-18' });
+    const { monthly, totals } = getIncomeForecast([leaver], academicYear, DEFAULT_LA_RATE_PROFILES, priceChild);
+    expect(monthly.map(month => month.parentFees)).toEqual([300, 300, 300, 300, 0, 0, 0, 0, 0, 0, 0, 0]);
+    expect(totals.parentFees).toBe(1200);
+
+    const joiner = makeChild({ startDate: '2027-01-04' });
+    const joinerMonths = getIncomeForecast([joiner], academicYear, DEFAULT_LA_RATE_PROFILES, priceChild).monthly;
+    expect(joinerMonths.map(month => month.parentFees)).toEqual([0, 0, 0, 0, 150, 150, 150, 150, 150, 150, 150, 150]);
+  });
+});
@@ -0,0 +1,207 @@
+import { getScheme, getRulesDate } from './fundingSchemes';
+import { getAcademicYear, isOpenDay, getFundedWeeks } from './termCalendar';
+import { getEntitlementPeriod } from './eligibility';
+import { getChildOn, getDayKey, isEnrolled } from './children';
+import { getMonthDates, getAttendedHours } from './attendance';
+import { getWeeklyCharges } from './charges';
+import { getAllocatedHoursOn } from './allocation';
+import { getFundingShare } from './sharedFunding';
+import { priceWeek } from './rates';
+import { getFamilyChildren, getSiblingDiscount } from './families';
+import { isWeekday, todayISO } from './dates';
+
+export const INVOICE_STATUSES = {
+  draft: 'Draft',
+  issued: 'Issued',
+  paid: 'Paid'
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Term-time children attend on open days. Stretched children also attend in the
+// holidays, so only weekends and bank holidays are excluded.
+const isAttendanceDay = (calendar, stretched, date) => {
+  if (!isWeekday(date)) return false;
+  const year = getAcademicYear(calendar, date);
+  if (!year) return stretched;
+  if (!stretched) return isOpenDay(year, date);
+  return !year.closures.some(closure => closure.date === date && closure.type === 'bank_holiday');
+};
+
+// Works out one child's bill for a calendar month from their booking pattern.
+// Funded hours due in the month, or this setting's share of them when funding is shared with
+// another provider, are deducted at the same hourly rate the booking is priced at.
+export const calculateInvoice = (child, month, { termCalendar, providerSettings, records = {}, fundingYears }) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const dates = getMonthDates(year, monthIndex - 1);
+  const pricing = priceWeek(providerSettings.rateCard, child, dates[0]);
+
+  let bookedHours = 0;
+  let attendedHours = 0;
+  let fundedDue = 0;
+  const weekdays = dates.filter(isWeekday).length;
+  const chargeQuantities = {};
+
+  dates.forEach(date => {
+    const snapshot = getChildOn(child, date);
+    const academicYear = getAcademicYear(termCalendar, date);
+    const rulesDate = getRulesDate(academicYear, date);
+    const period = snapshot.dob ? getEntitlementPeriod(snapshot.dob, snapshot.entitlement, rulesDate, fundingYears) : null;
+    const enrolled = isEnrolled(child, date);
+    const eligible = enrolled && period && date >= period.start && date <= period.end;
+
+    // Stretched funding is due on the weekdays of weeks in the child's allocation plan, or else
+    // in twelve equal monthly amounts shared over each month's weekdays
+    if (eligible && snapshot.stretchedOption && isWeekday(date)) {
+      const allocated = getAllocatedHoursOn(child, date);
+      const { hoursPerYear } = getScheme(snapshot.entitlement, rulesDate, fundingYears);
+      fundedDue += allocated ?? hoursPerYear * getFundingShare(snapshot, rulesDate, fundingYears) / 12 / weekdays;
+    }
+
+    // Term-time funding is due in equal shares on each open day
+    if (eligible && !snapshot.stretchedOption && academicYear && isOpenDay(academicYear, date)) {
+      const { hoursPerYear } = getScheme(snapshot.entitlement, rulesDate, fundingYears);
+      fundedDue += hoursPerYear * getFundingShare(snapshot, rulesDate, fundingYears) / (getFundedWeeks(academicYear) * 5);
+    }
+
+    if (!enrolled || !isAttendanceDay(termCalendar, snapshot.stretchedOption, date)) return;
+    const dayKey = getDayKey(date);
+    const booked = snapshot.weeklyPattern[dayKey] || 0;
+    if (booked === 0) return;
+
+    bookedHours += booked;
+    attendedHours += getAttendedHours(records[date], booked);
+    getWeeklyCharges(providerSettings.additionalCharges, { [dayKey]: booked }).forEach(line => {
+      chargeQuantities[line.charge.id] = (chargeQuantities[line.charge.id] || 0) + line.quantity;
+    });
+  });
+
+  const lastDay = dates[dates.length - 1];
+  const scheme = getScheme(getChildOn(child, lastDay).entitlement, getRulesDate(getAcademicYear(termCalendar, lastDay), lastDay), fundingYears);
+  const fundedHours = round(Math.min(fundedDue, bookedHours));
+  const chargeableHours = round(bookedHours - fundedHours);
+  const hourlyRate = round(pricing.hourlyRate);
+
+  const lines = [
+    { label: `Booked hours (${pricing.band.label} rate)`, quantity: round(bookedHours), unitPrice: hourlyRate, amount: round(bookedHours * hourlyRate) },
+    fundedHours > 0 && {
+      label: `Less funded hours (${scheme.name})`,
+      quantity: -fundedHours,
+      unitPrice: hourlyRate,
+      amount: -round(fundedHours * hourlyRate)
+    },
+    ...providerSettings.additionalCharges
+      .filter(charge => chargeQuantities[charge.id])
+      .map(charge => ({
+        label: charge.name,
+        quantity: chargeQuantities[charge.id],
+        unitPrice: charge.price,
+        amount: round(chargeQuantities[charge.id] * charge.price)
+      }))
+  ].filter(Boolean);
+
+  return {
+    childId: child.id,
+    childName: child.name,
+    month,
+    summary: { bookedHours: round(bookedHours), attendedHours: round(attendedHours), fundedHours, chargeableHours, hourlyRate },
+    lines,
+    total: round(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+// Invoice numbers run per calendar year and are only given out when an invoice is issued
+export const getNextInvoiceNumber = (invoices, date = todayISO()) => {
+  const prefix = `INV-${date.slice(0, 4)}-`;
+  const numbers = invoices
+    .filter(invoice => invoice.number?.startsWith(prefix))
+    .map(invoice => parseInt(invoice.number.slice(prefix.length)));
+  const next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+  return `${prefix}${String(next).padStart(4, '0')}`;
+};
+
+// Sibling discounts come off the chargeable hours only, never funded hours or extras
+const applySiblingDiscount = (invoice, rule, position) => {
+  const { chargeableHours, hourlyRate } = invoice.summary;
+  const discount = getSiblingDiscount(rule, position, chargeableHours * hourlyRate);
+  if (discount === 0) return invoice;
+
+  return {
+    ...invoice,
+    lines: [...invoice.lines, { label: `Sibling discount (child ${position})`, quantity: 1, unitPrice: -discount, amount: -discount }],
+    total: round(invoice.total - discount)
+  };
+};
+
+const sumSummaries = (invoices) => ['bookedHours', 'attendedHours', 'fundedHours', 'chargeableHours'].reduce((summary, key) => ({
+  ...summary,
+  [key]: round(invoices.reduce((sum, invoice) => sum + invoice.summary[key], 0))
+}), {});
+
+// One invoice per family, with a section for each sibling billed that month
+export const calculateFamilyInvoice = (family, children, month, options) => {
+  const billed = getFamilyChildren(family.id, children)
+    .map(child => calculateInvoice(child, month, { ...options, records: options.attendance?.[child.id] }))
+    .filter(invoice => invoice.summary.bookedHours > 0)
+    .map((invoice, index) => applySiblingDiscount(invoice, options.providerSettings.siblingDiscount, index + 1));
+
+  return {
+    familyId: family.id,
+    familyName: family.name,
+    month,
+    children: billed,
+    summary: sumSummaries(billed),
+    total: round(billed.reduce((sum, invoice) => sum + invoice.total, 0))
+  };
+};
+
+// Recalculates drafts for the month; issued and paid invoices are left alone
+export const generateDraftInvoices = (invoices, families, children, month, options) => {
+  const locked = new Set(invoices
+    .filter(invoice => invoice.month === month && invoice.status !== 'draft')
+    .map(invoice => invoice.familyId));
+
+  const drafts = families
+    .filter(family => !locked.has(family.id))
+    .map(family => ({
+      ...calculateFamilyInvoice(family, children, month, options),
+      id: `${month}-${family.id}`,
+      number: null,
+      status: 'draft',
+      createdAt: todayISO()
+    }))
+    .filter(invoice => invoice.children.length > 0);
+
+  return [
+    ...invoices.filter(invoice => !(invoice.month === month && invoice.status === 'draft')),
+    ...drafts
+  ];
+};
+
+export const issueInvoice = (invoices, id, date = todayISO()) => invoices.map(invoice => (
+  invoice.id === id && invoice.status === 'draft'
+    ? { ...invoice, status: 'issued', number: getNextInvoiceNumber(invoices, date), issuedAt: date }
+    : invoice
+));
+
+export const markInvoicePaid = (invoices, id, date = todayISO()) => invoices.map(invoice => (
+  invoice.id === id && invoice.status === 'issued' ? { ...invoice, status: 'paid', paidAt: date } : invoice
+));
+
+// Family account balances. Issued invoices are owed until paid; drafts don't count.
+export const getAccountBalances = (invoices) => {
+  return invoices
+    .filter(invoice => invoice.status !== 'draft')
+    .reduce((accounts, invoice) => {
+      const account = accounts[invoice.familyId] || { invoiced: 0, paid: 0, balance: 0 };
+      const paid = invoice.status === 'paid' ? invoice.total : 0;
+      return {
+        ...accounts,
+        [invoice.familyId]: {
+          invoiced: round(account.invoiced + invoice.total),
+          paid: round(account.paid + paid),
+          balance: round(account.balance + invoice.total - paid)
+        }
+      };
+    }, {});
+};
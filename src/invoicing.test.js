@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateInvoice, calculateFamilyInvoice, generateDraftInvoices, issueInvoice, markInvoicePaid, getNextInvoiceNumber, getAccountBalances
+} from './invoicing';
+import { recordChanges } from './children';
+import { DEFAULT_TERM_CALENDAR } from './termCalendar';
+import { DEFAULT_RATE_CARD } from './rates';
+import { DEFAULT_SIBLING_DISCOUNT } from './families';
+
+const consumables = { id: 'consumables', name: 'Consumables', price: 1.5, rule: 'per_day', minHours: 0 };
+const options = {
+  termCalendar: DEFAULT_TERM_CALENDAR,
+  providerSettings: { rateCard: DEFAULT_RATE_CARD, operatingWeeks: 51, additionalCharges: [consumables], siblingDiscount: DEFAULT_SIBLING_DISCOUNT }
+};
+
+const makeChild = (changes = {}) => ({
+  id: 1,
+  name: 'Ava Jones',
+  familyId: 1,
+  dob: '2022-10-01',
+  entitlement: 'universal_15',
+  weeklyPattern: { mon: 10, tue: 10, wed: 10, thu: 0, fri: 0 },
+  stretchedOption: false,
+  laSupplements: [],
+  startDate: '',
+  leaveDate: '',
+  history: [],
+  ...changes
+});
+
+describe('calculateInvoice', () => {
+  it('deducts term-time funding for the month\'s open days', () => {
+    const invoice = calculateInvoice(makeChild(), '2026-10', options);
+    expect(invoice.summary).toEqual({ bookedHours: 90, attendedHours: 0, fundedHours: 51, chargeableHours: 39, hourlyRate: 7 });
+    expect(invoice.lines.map(line => [line.label, line.amount])).toEqual([
+      ['Booked hours (3-4 year olds rate)', 630],
+      ['Less funded hours (15 Hours Universal)', -357],
+      ['Consumables', 13.5]
+    ]);
+    expect(invoice.total).toBe(286.5);
+  });
+
+  it('deducts a twelfth of the year each month for stretched funding', () => {
+    expect(calculateInvoice(makeChild({ stretchedOption: true }), '2026-10', options).summary.fundedHours).toBe(47.5);
+  });
+
+  it('deducts funding by the arrangement in effect on each day', () => {
+    const child = makeChild();
+    const switched = recordChanges(child, { ...child, stretchedOption: true }, '2026-11-16', '2026-10-01');
+    expect(calculateInvoice(switched, '2026-10', options).summary.fundedHours).toBe(51);
+    expect(calculateInvoice(switched, '2026-11', options).summary.fundedHours).toBe(54.88);
+    expect(calculateInvoice(switched, '2026-12', options).summary.fundedHours).toBe(47.5);
+  });
+
+  it('counts attended hours from the register', () => {
+    const records = { '2026-10-05': { status: 'attended' }, '2026-10-06': { status: 'absent', absenceReason: 'sickness' } };
+    expect(calculateInvoice(makeChild(), '2026-10', { ...options, records }).summary.attendedHours).toBe(10);
+  });
+});
+
+describe('family invoices', () => {
+  const family = { id: 1, name: 'Jones' };
+  const children = [makeChild(), makeChild({ id: 2, name: 'Mia Jones' })];
+
+  it('bills siblings together with the sibling discount off the second child\'s chargeable hours', () => {
+    const invoice = calculateFamilyInvoice(family, children, '2026-10', options);
+    expect(invoice.children.map(child => child.total)).toEqual([286.5, 259.2]);
+    expect(invoice.total).toBe(545.7);
+  });
+
+  it('numbers invoices when they are issued and tracks what is owed', () => {
+    let invoices = generateDraftInvoices([], [family], children, '2026-10', options);
+    expect(invoices).toHaveLength(1);
+    expect(invoices[0]).toMatchObject({ id: '2026-10-1', status: 'draft', number: null });
+
+    invoices = issueInvoice(invoices, '2026-10-1', '2026-11-01');
+    expect(invoices[0]).toMatchObject({ status: 'issued', number: 'INV-2026-0001' });
+    expect(getNextInvoiceNumber(invoices, '2026-12-01')).toBe('INV-2026-0002');
+    expect(getAccountBalances(invoices)).toEqual({ 1: { invoiced: 545.7, paid: 0, balance: 545.7 } });
+
+    invoices = markInvoicePaid(invoices, '2026-10-1', '2026-11-10');
+    expect(getAccountBalances(invoices)).toEqual({ 1: { invoiced: 545.7, paid: 545.7, balance: 0 } });
+    expect(generateDraftInvoices(invoices, [family], children, '2026-10', options)).toEqual(invoices);
+  });
+});
@@ -0,0 +1,68 @@
+import { getSchemes } from './fundingSchemes';
+import { parseDate, todayISO } from './dates';
+
+// Local authority hourly funding rates. LAs set rates per financial funding year,
+// which runs from 1 April to 31 March.
+export const DEFAULT_LA_RATE_PROFILES = [
+  {
+    id: '2025-26',
+    rates: { universal_15: 5.88, eligible_2yr: 8.28, extended_30: 5.88, expanded_under2: 11.22 },
+    supplements: [
+      { id: 'deprivation', label: 'Deprivation', rate: 0.30 },
+      { id: 'sen_inclusion', label: 'SEN inclusion', rate: 1.00 }
+    ]
+  },
+  {
+    id: '2026-27',
+    rates: { universal_15: 6.05, eligible_2yr: 8.53, extended_30: 6.05, expanded_under2: 11.54 },
+    supplements: [
+      { id: 'deprivation', label: 'Deprivation', rate: 0.30 },
+      { id: 'sen_inclusion', label: 'SEN inclusion', rate: 1.00 }
+    ]
+  }
+];
+
+export const getFundingYearId = (date = todayISO()) => {
+  const d = parseDate(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(2)}`;
+};
+
+// The profile for the date's funding year, or the latest earlier one if rates haven't been published yet
+export const getRateProfile = (profiles, date = todayISO()) => {
+  const id = getFundingYearId(date);
+  const sorted = [...profiles].sort((a, b) => b.id.localeCompare(a.id));
+  return sorted.find(p => p.id === id) || sorted.find(p => p.id < id) || sorted[sorted.length - 1] || null;
+};
+
+// Base rate for the scheme plus any supplements the child attracts
+export const getLaHourlyRate = (profile, entitlement, supplementIds = []) => {
+  if (!profile) return 0;
+  const base = profile.rates[entitlement] || 0;
+  const supplements = profile.supplements
+    .filter(s => supplementIds.includes(s.id))
+    .reduce((sum, s) => sum + s.rate, 0);
+  return Math.round((base + supplements) * 100) / 100;
+};
+
+export const createNextRateProfile = (profiles) => {
+  const latest = [...profiles].sort((a, b) => b.id.localeCompare(a.id))[0];
+  const startYear = parseInt(latest.id.slice(0, 4)) + 1;
+
+  return {
+    id: `${startYear}-${String(startYear + 1).slice(2)}`,
+    rates: { ...latest.rates },
+    supplements: latest.supplements.map(s => ({ ...s }))
+  };
+};
+
+export const validateRateProfile = (profile, fundingYears) => {
+  const errors = [];
+  Object.entries(getSchemes(todayISO(), fundingYears)).forEach(([key, scheme]) => {
+    if (!(profile.rates[key] > 0)) errors.push(`Enter a rate for ${scheme.name}`);
+  });
+  profile.supplements.forEach(s => {
+    if (!s.label.trim()) errors.push('Every supplement needs a name');
+  });
+  return errors;
+};
@@ -1,10 +1,10 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
-import FundingCalculator from './FundingCalculator';
+import SiteManager from './SiteManager';
 import './index.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <FundingCalculator />
+    <SiteManager />
   </React.StrictMode>
 );
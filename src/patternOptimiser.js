@@ -0,0 +1,99 @@
+import { WEEKDAYS, MAX_HOURS_PER_DAY } from './children';
+import { getSessionDuration } from './rates';
+
+// Limits on the patterns the optimiser may suggest. `dayCount` of null allows any number of days.
+export const DEFAULT_PATTERN_CONSTRAINTS = {
+  requiredDays: [],
+  dayCount: null,
+  minHoursPerDay: 3,
+  maxHoursPerDay: MAX_HOURS_PER_DAY,
+  stretched: false
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Opening hours are taken from the longest session on the rate card
+export const getOpeningHours = (rateCard) => {
+  const longest = Math.max(0, ...rateCard.sessions.map(getSessionDuration));
+  return longest > 0 ? Math.min(longest, MAX_HOURS_PER_DAY) : MAX_HOURS_PER_DAY;
+};
+
+// Every set of weekdays that includes the required days and has the right number of days
+const getDayCombinations = ({ requiredDays, dayCount }) => {
+  const combinations = [];
+  for (let mask = 1; mask < 1 << WEEKDAYS.length; mask++) {
+    const days = WEEKDAYS.filter((_, i) => mask & (1 << i));
+    if (!requiredDays.every(day => days.includes(day))) continue;
+    if (dayCount && days.length !== dayCount) continue;
+    combinations.push(days);
+  }
+  return combinations;
+};
+
+// Whole and half hours within the limits, plus session lengths so session prices can apply
+const getDailyHourOptions = ({ minHoursPerDay, maxHoursPerDay }, rateCard) => {
+  const options = new Set(rateCard.sessions.map(getSessionDuration));
+  for (let hours = Math.ceil(minHoursPerDay * 2) / 2; hours <= maxHoursPerDay; hours += 0.5) {
+    options.add(hours);
+  }
+  return [...options].filter(hours => hours >= minHoursPerDay && hours <= maxHoursPerDay);
+};
+
+// The funded hours spread as evenly as possible over the days, in half-hour steps
+const splitEvenly = (total, days) => {
+  const halves = Math.ceil(total * 2);
+  const base = Math.floor(halves / days.length);
+  return days.map((day, i) => [day, (base + (i < halves % days.length ? 1 : 0)) / 2]);
+};
+
+const toPattern = (entries) => ({
+  ...Object.fromEntries(WEEKDAYS.map(day => [day, 0])),
+  ...Object.fromEntries(entries)
+});
+
+// Candidate weekly patterns, ranked by weekly parent cost. Patterns that use all the
+// funded hours are preferred; if none can, the ones leaving the fewest unused come first.
+// `priceWeek(pattern)` returns the parent's weekly cost for a pattern.
+export const suggestPatterns = ({ rateCard, fundedWeekly, constraints, priceWeek, limit = 5 }) => {
+  const hourOptions = getDailyHourOptions(constraints, rateCard);
+  const patterns = new Map();
+
+  getDayCombinations(constraints).forEach(days => {
+    const candidates = hourOptions.map(hours => days.map(day => [day, hours]));
+    const even = splitEvenly(fundedWeekly, days);
+    if (even.every(([, hours]) => hours >= constraints.minHoursPerDay && hours <= constraints.maxHoursPerDay)) {
+      candidates.push(even);
+    }
+    candidates.forEach(entries => {
+      const pattern = toPattern(entries);
+      patterns.set(WEEKDAYS.map(day => pattern[day]).join('/'), pattern);
+    });
+  });
+
+  const suggestions = [...patterns.values()].map(pattern => {
+    const weeklyHours = WEEKDAYS.reduce((sum, day) => sum + pattern[day], 0);
+    const fundedHours = Math.min(weeklyHours, fundedWeekly);
+    return {
+      pattern,
+      weeklyHours,
+      fundedHours: round(fundedHours),
+      chargeableHours: round(weeklyHours - fundedHours),
+      unusedFunded: round(fundedWeekly - fundedHours),
+      weeklyCost: round(priceWeek(pattern))
+    };
+  });
+
+  // The same hours on different weekdays at the same cost are shown once, on the earliest days
+  const fewestUnused = Math.min(...suggestions.map(s => s.unusedFunded));
+  const seen = new Set();
+  return suggestions
+    .filter(s => s.unusedFunded === fewestUnused)
+    .sort((a, b) => a.weeklyCost - b.weeklyCost || b.weeklyHours - a.weeklyHours)
+    .filter(s => {
+      const shape = `${WEEKDAYS.map(day => s.pattern[day]).filter(Boolean).sort().join('/')}@${s.weeklyCost}`;
+      if (seen.has(shape)) return false;
+      seen.add(shape);
+      return true;
+    })
+    .slice(0, limit);
+};
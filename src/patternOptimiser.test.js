@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_PATTERN_CONSTRAINTS, getOpeningHours, suggestPatterns } from './patternOptimiser';
+import { DEFAULT_RATE_CARD, createFlatRateCard } from './rates';
+import { WEEKDAYS } from './children';
+
+// Chargeable hours at £7.50 plus £2 a day for consumables
+const pricedFor = (fundedWeekly) => (pattern) => {
+  const hours = WEEKDAYS.reduce((sum, day) => sum + pattern[day], 0);
+  const days = WEEKDAYS.filter(day => pattern[day] > 0).length;
+  return Math.max(0, hours - fundedWeekly) * 7.5 + days * 2;
+};
+
+const suggest = (fundedWeekly, constraints = {}, limit) => suggestPatterns({
+  rateCard: DEFAULT_RATE_CARD,
+  fundedWeekly,
+  constraints: { ...DEFAULT_PATTERN_CONSTRAINTS, ...constraints },
+  priceWeek: pricedFor(fundedWeekly),
+  limit
+});
+
+describe('getOpeningHours', () => {
+  it('takes the longest session, capped at the daily maximum', () => {
+    expect(getOpeningHours(DEFAULT_RATE_CARD)).toBe(10);
+    expect(getOpeningHours({ sessions: [{ start: '08:00', end: '13:00' }] })).toBe(5);
+    expect(getOpeningHours({ sessions: [{ start: '07:00', end: '19:00' }] })).toBe(10);
+    expect(getOpeningHours(createFlatRateCard(8))).toBe(10);
+  });
+});
+
+describe('suggestPatterns', () => {
+  it('ranks patterns that use all the funded hours by weekly cost', () => {
+    const suggestions = suggest(15);
+    expect(suggestions.map(s => s.pattern)).toEqual([
+      { mon: 7.5, tue: 7.5, wed: 0, thu: 0, fri: 0 },
+      { mon: 5, tue: 5, wed: 5, thu: 0, fri: 0 },
+      { mon: 4, tue: 4, wed: 3.5, thu: 3.5, fri: 0 },
+      { mon: 3, tue: 3, wed: 3, thu: 3, fri: 3 },
+      { mon: 8, tue: 8, wed: 0, thu: 0, fri: 0 }
+    ]);
+    expect(suggestions[4]).toMatchObject({ weeklyHours: 16, fundedHours: 15, chargeableHours: 1, unusedFunded: 0, weeklyCost: 11.5 });
+  });
+
+  it('keeps to the required days and number of days', () => {
+    const suggestions = suggest(15, { requiredDays: ['wed'], dayCount: 2 }, 3);
+    expect(suggestions.map(s => s.pattern)).toEqual([
+      { mon: 7.5, tue: 0, wed: 7.5, thu: 0, fri: 0 },
+      { mon: 8, tue: 0, wed: 8, thu: 0, fri: 0 },
+      { mon: 8.5, tue: 0, wed: 8.5, thu: 0, fri: 0 }
+    ]);
+  });
+
+  it('leaves the fewest funded hours unused when the limits stop them all being used', () => {
+    const suggestions = suggest(30, { dayCount: 2, maxHoursPerDay: 8 });
+    expect(suggestions).toEqual([{
+      pattern: { mon: 8, tue: 8, wed: 0, thu: 0, fri: 0 },
+      weeklyHours: 16,
+      fundedHours: 16,
+      chargeableHours: 0,
+      unusedFunded: 14,
+      weeklyCost: 4
+    }]);
+  });
+});
@@ -0,0 +1,111 @@
+import { getScheme, getRulesDate } from './fundingSchemes';
+import { getWeeklyHours, getEnrolledShare, getChildOn } from './children';
+import { getFundedWeeks } from './termCalendar';
+import { getAllocationPlan } from './allocation';
+import { priceWeek } from './rates';
+import { getWeeklyCharges } from './charges';
+import { getSiblingDiscount } from './families';
+import { getFundingShare } from './sharedFunding';
+import { todayISO } from './dates';
+
+// Term-time funding is spread over the funded weeks from the term calendar, or the
+// scheme's term weeks, using the funding year's rules on `date`
+export const calculateFundedWeeklyHours = (scheme, stretched, operatingWeeks = 51, termWeeks, date = todayISO(), fundingYears) => {
+  const funding = getScheme(scheme, date, fundingYears);
+  if (stretched) {
+    return Math.round((funding.hoursPerYear / operatingWeeks) * 100) / 100;
+  }
+  return Math.round((funding.hoursPerYear / (termWeeks ?? funding.weeksTermTime)) * 100) / 100;
+};
+
+// A child's funded hours a week at this setting, less any share claimed at another provider
+export const getChildFundedWeeklyHours = (child, stretched, operatingWeeks, termWeeks, date = todayISO(), fundingYears) => {
+  if (!child.entitlement) return 0;
+  const fundedWeekly = calculateFundedWeeklyHours(child.entitlement, stretched, operatingWeeks, termWeeks, date, fundingYears);
+  return Math.round(fundedWeekly * getFundingShare(child, date, fundingYears) * 100) / 100;
+};
+
+// The most funded hours a child can use in each week of the year, as `weekStart => hours`:
+// the week's hours in their allocation plan, or their funded hours a week. Attended hours
+// over this are chargeable, so they don't use up the entitlement.
+export const getFundedHoursIn = (child, academicYear, { operatingWeeks, fundingYears } = {}) => {
+  const plan = getAllocationPlan(child, academicYear);
+  const termWeeks = academicYear ? getFundedWeeks(academicYear) : undefined;
+  const rulesDate = getRulesDate(academicYear);
+  return (weekStart) => {
+    if (plan) return plan[weekStart] || 0;
+    const snapshot = getChildOn(child, weekStart);
+    return getChildFundedWeeklyHours(snapshot, snapshot.stretchedOption, operatingWeeks, termWeeks, rulesDate, fundingYears);
+  };
+};
+
+// One child's part of a quotation from a setting's provider settings. `options` holds the
+// charges the parent has chosen and the weeks to quote; later siblings may get a discount
+// on chargeable hours. Children not yet funded (no entitlement) pay for every hour, and
+// `date` quotes them at their age and funding rules then, e.g. for a waiting list start date.
+export const quoteChild = (child, {
+  providerSettings, fundedTermWeeks, options, siblingPosition = 1, operatingWeeks = providerSettings.operatingWeeks, date = todayISO(),
+  fundingYears
+}) => {
+  const weeklyBooked = getWeeklyHours(child.weeklyPattern);
+  const fundedWeekly = getChildFundedWeeklyHours(child, child.stretchedOption, operatingWeeks, fundedTermWeeks, date, fundingYears);
+  const chargeableHours = Math.max(0, weeklyBooked - fundedWeekly);
+
+  const pricing = priceWeek(providerSettings.rateCard, child, date);
+  const weeklySessionCost = pricing.weeklyValue;
+  const weeklyFundedValue = Math.min(weeklyBooked, fundedWeekly) * pricing.hourlyRate;
+  const weeklyChargeableHours = chargeableHours * pricing.hourlyRate;
+  const charges = getWeeklyCharges(providerSettings.additionalCharges, child.weeklyPattern, options.charges);
+  const weeklyCharges = charges.reduce((sum, line) => sum + line.amount, 0);
+
+  const siblingDiscount = getSiblingDiscount(providerSettings.siblingDiscount, siblingPosition, weeklyChargeableHours, 12 / 52);
+
+  const weeklyTotal = weeklyChargeableHours + weeklyCharges - siblingDiscount;
+  const periodTotal = weeklyTotal * options.weeksToQuote;
+
+  const lines = [
+    {
+      label: `Additional hours (${chargeableHours.toFixed(1)} × £${pricing.hourlyRate.toFixed(2)}, ${pricing.band.label} rate)`,
+      amount: weeklyChargeableHours
+    },
+    siblingDiscount > 0 && { label: `Sibling discount (child ${siblingPosition})`, amount: -siblingDiscount },
+    ...charges.map(line => ({
+      label: `${line.charge.name} (${line.quantity} × £${line.charge.price.toFixed(2)})`,
+      amount: line.amount
+    }))
+  ].filter(Boolean);
+
+  return {
+    child,
+    pricing,
+    weeklyBooked,
+    fundedWeekly,
+    chargeableHours,
+    weeklySessionCost,
+    weeklyFundedValue,
+    weeklyChargeableHours,
+    weeklyCharges,
+    siblingDiscount,
+    weeklyTotal,
+    periodTotal,
+    lines,
+    weeks: options.weeksToQuote
+  };
+};
+
+// Standard additional charges, with no optional extras chosen
+const STANDARD_OPTIONS = { charges: {}, weeksToQuote: 1 };
+
+// Parent fees over the year for the income forecast. Joiners and leavers pay for the
+// weeks they are on roll.
+export const getAnnualFees = (child, {
+  providerSettings, fundedTermWeeks, academicYear, options = STANDARD_OPTIONS, siblingPosition, operatingWeeks = providerSettings.operatingWeeks,
+  fundingYears
+}) => {
+  const childQuote = quoteChild(child, { providerSettings, fundedTermWeeks, options, siblingPosition, operatingWeeks, fundingYears });
+  return {
+    weeklyFees: childQuote.weeklyTotal,
+    weeks: (child.stretchedOption ? operatingWeeks : fundedTermWeeks) * getEnrolledShare(child, academicYear),
+    hourlyRate: childQuote.pricing.hourlyRate
+  };
+};
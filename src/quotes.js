@@ -0,0 +1,40 @@
+import { getScheme } from './fundingSchemes';
+import { addDays, todayISO } from './dates';
+
+export const DEFAULT_QUOTE_TERMS = 'Funded hours are subject to confirmation of eligibility and may change if your booking pattern, ' +
+  'eligibility or local authority funding rules change. Additional charges for meals and consumables are optional ' +
+  'and are not a condition of taking up funded hours. Fees are payable monthly in advance.';
+
+// References run per calendar year, e.g. Q-2026-0007
+export const getNextQuoteReference = (savedQuotes, date = todayISO()) => {
+  const prefix = `Q-${date.slice(0, 4)}-`;
+  const numbers = savedQuotes
+    .filter(saved => saved.reference.startsWith(prefix))
+    .map(saved => parseInt(saved.reference.slice(prefix.length)));
+  const next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+  return `${prefix}${String(next).padStart(4, '0')}`;
+};
+
+// Snapshot of a generated family quote, so reprints match what the parent was sent
+export const createQuoteRecord = (quote, savedQuotes, providerSettings, date = todayISO(), fundingYears) => ({
+  reference: getNextQuoteReference(savedQuotes, date),
+  issuedAt: date,
+  validUntil: addDays(date, providerSettings.quoteValidityDays),
+  familyId: quote.family.id,
+  familyName: quote.family.name,
+  children: quote.children.map(childQuote => ({
+    childId: childQuote.child.id,
+    childName: childQuote.child.name,
+    childDob: childQuote.child.dob,
+    schemeName: getScheme(childQuote.child.entitlement, date, fundingYears).name,
+    stretched: childQuote.child.stretchedOption,
+    weeklyBooked: childQuote.weeklyBooked,
+    fundedWeekly: childQuote.fundedWeekly,
+    chargeableHours: childQuote.chargeableHours,
+    lines: childQuote.lines,
+    weeklyTotal: childQuote.weeklyTotal
+  })),
+  weeks: quote.weeks,
+  weeklyTotal: quote.weeklyTotal,
+  periodTotal: quote.periodTotal
+});
@@ -0,0 +1,68 @@
+import { WEEKDAYS } from './children';
+import { getSessionHours } from './attendance';
+import { parseDate, todayISO } from './dates';
+
+// Rate card: hourly rates by age band, priced sessions and weekday premiums
+export const DEFAULT_RATE_CARD = {
+  ageBands: [
+    { id: 'under2', label: 'Under 2s', maxAgeMonths: 24, hourlyRate: 8.50 },
+    { id: 'twos', label: '2 year olds', maxAgeMonths: 36, hourlyRate: 8.00 },
+    { id: 'threes', label: '3-4 year olds', maxAgeMonths: null, hourlyRate: 7.50 }
+  ],
+  sessions: [
+    { id: 'morning', name: 'Morning', start: '08:00', end: '13:00', prices: { under2: 41.00, twos: 38.50, threes: 36.00 } },
+    { id: 'afternoon', name: 'Afternoon', start: '13:00', end: '18:00', prices: { under2: 41.00, twos: 38.50, threes: 36.00 } },
+    { id: 'full_day', name: 'Full day', start: '08:00', end: '18:00', prices: { under2: 80.00, twos: 75.00, threes: 70.00 } }
+  ],
+  // Percentage uplift on each weekday's price
+  dayPremiums: { mon: 0, tue: 0, wed: 0, thu: 0, fri: 0 }
+};
+
+// A single flat rate for every band, used when upgrading from the old hourly rate
+export const createFlatRateCard = (hourlyRate) => ({
+  ...DEFAULT_RATE_CARD,
+  ageBands: DEFAULT_RATE_CARD.ageBands.map(band => ({ ...band, hourlyRate })),
+  sessions: []
+});
+
+export const getAgeInMonths = (dob, date = todayISO()) => {
+  const birth = parseDate(dob);
+  const on = parseDate(date);
+  const months = (on.getFullYear() - birth.getFullYear()) * 12 + (on.getMonth() - birth.getMonth());
+  return on.getDate() < birth.getDate() ? months - 1 : months;
+};
+
+// Bands are checked in order; the first whose upper age the child is below applies
+export const getAgeBand = (rateCard, dob, date = todayISO()) => {
+  const months = dob ? getAgeInMonths(dob, date) : Infinity;
+  return rateCard.ageBands.find(band => band.maxAgeMonths === null || months < band.maxAgeMonths)
+    || rateCard.ageBands[rateCard.ageBands.length - 1];
+};
+
+export const getSessionDuration = (session) => getSessionHours(session.start, session.end);
+
+// Days whose hours match a session are charged the session price, others at the hourly rate
+export const priceDay = (rateCard, band, day, hours) => {
+  if (hours <= 0) return { day, hours, session: null, amount: 0 };
+
+  const session = rateCard.sessions.find(s => getSessionDuration(s) === hours && s.prices[band.id] !== undefined);
+  const base = session ? session.prices[band.id] : hours * band.hourlyRate;
+  const premium = (rateCard.dayPremiums[day] || 0) / 100;
+  return { day, hours, session, amount: Math.round(base * (1 + premium) * 100) / 100 };
+};
+
+export const priceWeek = (rateCard, child, date = todayISO()) => {
+  const band = getAgeBand(rateCard, child.dob, date);
+  const days = WEEKDAYS.map(day => priceDay(rateCard, band, day, child.weeklyPattern[day] || 0));
+  const weeklyHours = days.reduce((sum, d) => sum + d.hours, 0);
+  const weeklyValue = days.reduce((sum, d) => sum + d.amount, 0);
+
+  return {
+    band,
+    days,
+    weeklyHours,
+    weeklyValue,
+    // Average price per booked hour, used to price the part of the week not covered by funding
+    hourlyRate: weeklyHours > 0 ? weeklyValue / weeklyHours : band.hourlyRate
+  };
+};
@@ -0,0 +1,78 @@
+import { WEEKDAYS, getChildOn, isEnrolled } from './children';
+import { getAgeInMonths } from './rates';
+import { getWeekDates } from './attendance';
+
+// Rooms take children up to an age limit, checked in order like the rate card's age bands;
+// the last room takes everyone older. A graduate-led preschool room can use the 1:13 ratio for 3-4 year olds.
+export const DEFAULT_ROOMS = [
+  { id: 'baby', name: 'Baby room', maxAgeMonths: 24, capacity: 9, graduateLed: false },
+  { id: 'toddler', name: 'Toddler room', maxAgeMonths: 36, capacity: 12, graduateLed: false },
+  { id: 'preschool', name: 'Preschool', maxAgeMonths: null, capacity: 24, graduateLed: false }
+];
+
+// EYFS staff:child ratios, by the child's age
+export const getRequiredRatio = (ageMonths, graduateLed = false) => {
+  if (ageMonths < 24) return 3;
+  if (ageMonths < 36) return 4;
+  return graduateLed ? 13 : 8;
+};
+
+export const getRoomFor = (rooms, dob, date) => {
+  const months = getAgeInMonths(dob, date);
+  return rooms.find(room => room.maxAgeMonths === null || months < room.maxAgeMonths) || rooms[rooms.length - 1];
+};
+
+// Each age group needs its share of a member of staff; the room needs whole staff
+const getStaffRequired = (children, room, date) => {
+  const share = children.reduce((sum, child) => sum + 1 / getRequiredRatio(getAgeInMonths(child.dob, date), room.graduateLed), 0);
+  return Math.ceil(Math.round(share * 1000) / 1000);
+};
+
+// Occupancy for each room on each weekday of a week, from the booking patterns in effect that day
+export const getWeeklyOccupancy = (rooms, children, weekStart) => {
+  const dates = getWeekDates(weekStart);
+  return rooms.map(room => ({
+    room,
+    days: dates.map((date, index) => {
+      const attending = children.filter(child => (
+        child.dob
+        && isEnrolled(child, date)
+        && getRoomFor(rooms, child.dob, date).id === room.id
+        && (getChildOn(child, date).weeklyPattern[WEEKDAYS[index]] || 0) > 0
+      ));
+      return {
+        day: WEEKDAYS[index],
+        date,
+        children: attending,
+        occupancy: attending.length,
+        staffRequired: getStaffRequired(attending, room, date),
+        freePlaces: room.capacity - attending.length
+      };
+    })
+  }));
+};
+
+// Whether a child could attend each weekday: booked already, or a free place in their room
+export const getAvailabilityFor = (child, rooms, occupancy, weekStart) => {
+  const dates = getWeekDates(weekStart);
+  return WEEKDAYS.map((day, index) => {
+    const room = getRoomFor(rooms, child.dob, dates[index]);
+    const slot = occupancy.find(row => row.room.id === room.id).days[index];
+    const booked = slot.children.some(c => c.id === child.id);
+    return { day, room, booked, available: booked || slot.freePlaces > 0 };
+  });
+};
+
+export const validateRooms = (rooms) => {
+  const errors = [];
+  if (rooms.length === 0) {
+    errors.push('Add at least one room.');
+  }
+  if (rooms.some(room => !room.name.trim())) {
+    errors.push('Every room needs a name.');
+  }
+  if (rooms.some(room => !(room.capacity > 0))) {
+    errors.push('Room capacities must be at least 1.');
+  }
+  return errors;
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_ROOMS, getRequiredRatio, getRoomFor, getWeeklyOccupancy, getAvailabilityFor, validateRooms } from './rooms';
+
+const weekStart = '2026-10-19';
+
+const makeChild = (id, dob, weeklyPattern, changes = {}) => ({
+  id,
+  name: `Child ${id}`,
+  dob,
+  weeklyPattern: { mon: 0, tue: 0, wed: 0, thu: 0, fri: 0, ...weeklyPattern },
+  startDate: '',
+  leaveDate: '',
+  history: [],
+  ...changes
+});
+
+describe('rooms', () => {
+  it('uses the EYFS ratio for the child\'s age', () => {
+    expect(getRequiredRatio(18)).toBe(3);
+    expect(getRequiredRatio(30)).toBe(4);
+    expect(getRequiredRatio(40)).toBe(8);
+    expect(getRequiredRatio(40, true)).toBe(13);
+  });
+
+  it('places a child in the first room their age fits', () => {
+    expect(getRoomFor(DEFAULT_ROOMS, '2025-06-01', weekStart).id).toBe('baby');
+    expect(getRoomFor(DEFAULT_ROOMS, '2024-10-19', weekStart).id).toBe('toddler');
+    expect(getRoomFor(DEFAULT_ROOMS, '2022-10-01', weekStart).id).toBe('preschool');
+    expect(getRoomFor(DEFAULT_ROOMS.slice(0, 2), '2022-10-01', weekStart).id).toBe('toddler');
+  });
+
+  it('checks every room has a name and places', () => {
+    expect(validateRooms(DEFAULT_ROOMS)).toEqual([]);
+    expect(validateRooms([])).toEqual(['Add at least one room.']);
+    expect(validateRooms([{ name: ' ', capacity: 0 }])).toEqual(['Every room needs a name.', 'Room capacities must be at least 1.']);
+  });
+});
+
+describe('getWeeklyOccupancy', () => {
+  const children = [
+    makeChild(1, '2025-06-01', { mon: 8, tue: 8 }),
+    makeChild(2, '2025-03-01', { mon: 5, wed: 5 }),
+    makeChild(3, '2025-01-01', { mon: 10 }),
+    makeChild(4, '2025-02-01', { mon: 4 }),
+    makeChild(5, '2022-10-01', { mon: 6, tue: 6, wed: 6 }),
+    makeChild(6, '2022-11-01', { mon: 6 }, { leaveDate: '2026-10-16' }),
+    makeChild(7, '2023-01-01', { tue: 6 }, { startDate: '2026-10-21' })
+  ];
+  const occupancy = getWeeklyOccupancy(DEFAULT_ROOMS, children, weekStart);
+
+  it('counts the children booked into each room each day', () => {
+    const [baby, , preschool] = occupancy;
+    expect(baby.days.map(day => day.occupancy)).toEqual([4, 1, 1, 0, 0]);
+    expect(baby.days[0]).toMatchObject({ day: 'mon', date: '2026-10-19', staffRequired: 2, freePlaces: 5 });
+    expect(preschool.days.map(day => day.occupancy)).toEqual([1, 1, 1, 0, 0]);
+  });
+
+  it('shows where a child could be booked', () => {
+    const rooms = [{ ...DEFAULT_ROOMS[0], capacity: 4 }, ...DEFAULT_ROOMS.slice(1)];
+    const full = getWeeklyOccupancy(rooms, children, weekStart);
+    const availability = getAvailabilityFor(children[1], rooms, full, weekStart);
+    expect(availability.map(day => [day.day, day.booked, day.available])).toEqual([
+      ['mon', true, true], ['tue', false, true], ['wed', true, true], ['thu', false, true], ['fri', false, true]
+    ]);
+    const newcomer = makeChild(8, '2025-05-01', {});
+    expect(getAvailabilityFor(newcomer, rooms, full, weekStart)[0]).toMatchObject({ booked: false, available: false });
+  });
+});
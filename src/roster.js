@@ -0,0 +1,136 @@
+import { getScheme } from './fundingSchemes';
+import { WEEKDAYS, MAX_HOURS_PER_DAY, getWeeklyHours } from './children';
+import { parseDate, toISODate, todayISO } from './dates';
+
+// Roster fields a CSV column can be mapped to, with header names recognised automatically
+export const ROSTER_FIELDS = [
+  { key: 'name', label: 'Name', aliases: ['name', 'child', 'child name', 'full name'] },
+  { key: 'dob', label: 'Date of birth', aliases: ['dob', 'date of birth', 'birth date', 'birthday'] },
+  { key: 'entitlement', label: 'Entitlement', aliases: ['entitlement', 'scheme', 'funding', 'funding scheme'] },
+  { key: 'mon', label: 'Monday hours', aliases: ['mon', 'monday'] },
+  { key: 'tue', label: 'Tuesday hours', aliases: ['tue', 'tues', 'tuesday'] },
+  { key: 'wed', label: 'Wednesday hours', aliases: ['wed', 'wednesday'] },
+  { key: 'thu', label: 'Thursday hours', aliases: ['thu', 'thurs', 'thursday'] },
+  { key: 'fri', label: 'Friday hours', aliases: ['fri', 'friday'] },
+  { key: 'hoursUsed', label: 'Hours used', aliases: ['hoursused', 'hours used', 'used'] },
+  { key: 'stretchedOption', label: 'Stretched', aliases: ['stretchedoption', 'stretched', 'stretched funding'] }
+];
+
+const normalise = (text) => text.toLowerCase().replace(/[^a-z0-9 ]/g, '').trim();
+
+export const guessColumnMapping = (headers) => {
+  const normalised = headers.map(normalise);
+  return ROSTER_FIELDS.reduce((mapping, field) => ({
+    ...mapping,
+    [field.key]: normalised.findIndex(header => field.aliases.includes(header))
+  }), {});
+};
+
+// Accepts ISO (2022-03-15) or UK (15/03/2022) dates; returns ISO or null
+export const parseRosterDate = (text) => {
+  let iso = null;
+  const uk = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    iso = text;
+  } else if (uk) {
+    iso = `${uk[3]}-${uk[2].padStart(2, '0')}-${uk[1].padStart(2, '0')}`;
+  }
+  return iso && toISODate(parseDate(iso)) === iso ? iso : null;
+};
+
+const parseBoolean = (text) => ['yes', 'y', 'true', '1', 'stretched'].includes(text.toLowerCase());
+
+const parseHours = (text, label, errors) => {
+  if (!text) return 0;
+  const hours = Number(text);
+  if (isNaN(hours)) {
+    errors.push(`${label} "${text}" is not a number.`);
+    return 0;
+  }
+  if (hours < 0) {
+    errors.push(`${label} cannot be negative.`);
+  }
+  return hours;
+};
+
+const duplicateKey = (child) => `${child.name.trim().toLowerCase()}|${child.dob}`;
+
+// Turns CSV rows into children, with per-row validation errors and duplicate detection
+export const parseRoster = (rows, mapping, existingChildren = [], fundingYears) => {
+  const existing = new Set(existingChildren.map(duplicateKey));
+  const seen = new Set();
+  const cell = (row, key) => (mapping[key] >= 0 ? row[mapping[key]] || '' : '');
+
+  return rows.map((row, index) => {
+    const errors = [];
+    const name = cell(row, 'name');
+    if (!name) errors.push('Name is missing.');
+
+    const dobText = cell(row, 'dob');
+    const dob = parseRosterDate(dobText);
+    if (!dob) {
+      errors.push(dobText ? `Date of birth "${dobText}" is not a valid date.` : 'Date of birth is missing.');
+    } else if (dob > todayISO()) {
+      errors.push('Date of birth is in the future.');
+    }
+
+    const entitlement = cell(row, 'entitlement');
+    if (!getScheme(entitlement, todayISO(), fundingYears)) {
+      errors.push(entitlement ? `Unknown scheme "${entitlement}".` : 'Entitlement is missing.');
+    }
+
+    const weeklyPattern = WEEKDAYS.reduce((pattern, day) => {
+      const hours = parseHours(cell(row, day), `${day.toUpperCase()} hours`, errors);
+      if (hours > MAX_HOURS_PER_DAY) errors.push(`${day.toUpperCase()} hours exceed ${MAX_HOURS_PER_DAY}.`);
+      return { ...pattern, [day]: hours };
+    }, {});
+
+    const child = {
+      name,
+      dob: dob || dobText,
+      entitlement,
+      weeklyPattern,
+      openingHoursUsed: parseHours(cell(row, 'hoursUsed'), 'Hours used', errors),
+      stretchedOption: parseBoolean(cell(row, 'stretchedOption')),
+      eligibility: {
+        workingParents: ['extended_30', 'expanded_under2'].includes(entitlement),
+        meetsTwoYearCriteria: entitlement === 'eligible_2yr'
+      },
+      laSupplements: [],
+      eligibilityCode: { code: '', validFrom: '', reconfirmBy: '' },
+      startDate: '',
+      leaveDate: '',
+      archived: false,
+      history: []
+    };
+
+    let duplicate = null;
+    if (name && dob) {
+      const key = duplicateKey(child);
+      if (existing.has(key)) duplicate = 'Already on the roster';
+      else if (seen.has(key)) duplicate = 'Repeated in this file';
+      seen.add(key);
+    }
+
+    return { rowNumber: index + 2, child, errors, duplicate };
+  });
+};
+
+export const rosterToRows = (children, fundingYears) => [
+  ['name', 'dob', 'entitlement', ...WEEKDAYS, 'hoursUsed', 'stretchedOption', 'scheme', 'weeklyHours', 'annualHours', 'hoursRemaining'],
+  ...children.map(child => {
+    const scheme = getScheme(child.entitlement, todayISO(), fundingYears);
+    return [
+      child.name,
+      child.dob,
+      child.entitlement,
+      ...WEEKDAYS.map(day => child.weeklyPattern[day] || 0),
+      child.hoursUsed,
+      child.stretchedOption ? 'yes' : 'no',
+      scheme.name,
+      getWeeklyHours(child.weeklyPattern),
+      child.availableHours ?? scheme.hoursPerYear,
+      (child.availableHours ?? scheme.hoursPerYear) - child.hoursUsed
+    ];
+  })
+];
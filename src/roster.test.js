@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { guessColumnMapping, parseRosterDate, parseRoster, rosterToRows } from './roster';
+
+const headers = ['Child Name', 'D.O.B', 'Scheme', 'Monday', 'Tues', 'Wed', 'Thursday', 'Fri', 'Hours used', 'Stretched'];
+const mapping = guessColumnMapping(headers);
+
+describe('guessColumnMapping', () => {
+  it('recognises common header names', () => {
+    expect(mapping).toEqual({
+      name: 0, dob: 1, entitlement: 2, mon: 3, tue: 4, wed: 5, thu: 6, fri: 7, hoursUsed: 8, stretchedOption: 9
+    });
+  });
+
+  it('leaves unrecognised fields unmapped', () => {
+    expect(guessColumnMapping(['Name', 'Notes'])).toMatchObject({ name: 0, dob: -1, mon: -1 });
+  });
+});
+
+describe('parseRosterDate', () => {
+  it('reads ISO and UK dates', () => {
+    expect(parseRosterDate('2022-03-15')).toBe('2022-03-15');
+    expect(parseRosterDate('5/3/2022')).toBe('2022-03-05');
+  });
+
+  it('rejects dates that do not exist', () => {
+    expect(parseRosterDate('2022-02-30')).toBeNull();
+    expect(parseRosterDate('31/04/2022')).toBeNull();
+    expect(parseRosterDate('March 2022')).toBeNull();
+  });
+});
+
+describe('parseRoster', () => {
+  it('turns a row into a child', () => {
+    const [row] = parseRoster([['Ava Jones', '01/10/2022', 'extended_30', '10', '10', '', '5', '0', '42', 'yes']], mapping);
+    expect(row.rowNumber).toBe(2);
+    expect(row.errors).toEqual([]);
+    expect(row.duplicate).toBeNull();
+    expect(row.child).toMatchObject({
+      name: 'Ava Jones',
+      dob: '2022-10-01',
+      entitlement: 'extended_30',
+      weeklyPattern: { mon: 10, tue: 10, wed: 0, thu: 5, fri: 0 },
+      openingHoursUsed: 42,
+      stretchedOption: true,
+      eligibility: { workingParents: true, meetsTwoYearCriteria: false }
+    });
+  });
+
+  it('reports each problem with a row', () => {
+    const [row] = parseRoster([['', '2022-13-01', 'thirty_hours', 'ten', '-2', '12', '', '', '', '']], mapping);
+    expect(row.errors).toEqual([
+      'Name is missing.',
+      'Date of birth "2022-13-01" is not a valid date.',
+      'Unknown scheme "thirty_hours".',
+      'MON hours "ten" is not a number.',
+      'TUE hours cannot be negative.',
+      'WED hours exceed 10.'
+    ]);
+  });
+
+  it('flags children already on the roster or repeated in the file', () => {
+    const rows = [
+      ['Ava Jones', '2022-10-01', 'universal_15'],
+      ['Noah Patel', '2023-01-15', 'universal_15'],
+      ['noah patel ', '15/01/2023', 'universal_15']
+    ];
+    const parsed = parseRoster(rows, mapping, [{ name: 'Ava Jones', dob: '2022-10-01' }]);
+    expect(parsed.map(row => row.duplicate)).toEqual(['Already on the roster', null, 'Repeated in this file']);
+  });
+});
+
+describe('rosterToRows', () => {
+  it('exports each child with their scheme and remaining hours', () => {
+    const child = {
+      name: 'Ava Jones',
+      dob: '2022-10-01',
+      entitlement: 'universal_15',
+      weeklyPattern: { mon: 10, tue: 10, wed: 10 },
+      hoursUsed: 120,
+      stretchedOption: false
+    };
+    const [header, row] = rosterToRows([child]);
+    expect(header.slice(-4)).toEqual(['scheme', 'weeklyHours', 'annualHours', 'hoursRemaining']);
+    expect(row).toEqual(['Ava Jones', '2022-10-01', 'universal_15', 10, 10, 10, 0, 0, 120, 'no', '15 Hours Universal', 30, 570, 450]);
+    expect(rosterToRows([{ ...child, availableHours: 500 }])[1].slice(-2)).toEqual([500, 380]);
+  });
+});
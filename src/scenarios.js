@@ -0,0 +1,55 @@
+import { getWeeklyHours } from './children';
+
+// What-if copies of one child or the whole setting, compared with the real records
+export const SCENARIO_METRICS = [
+  { key: 'fundedUsed', label: 'Funded hours used by year end', shortLabel: 'Funded used', unit: 'hours', better: 'higher' },
+  { key: 'unusedHours', label: 'Funded hours unused at year end', shortLabel: 'Unused', unit: 'hours', better: 'lower' },
+  { key: 'weeklyCost', label: 'Weekly parent cost', shortLabel: 'Weekly cost', unit: 'money', better: 'lower' },
+  { key: 'income', label: 'Provider income for the year', shortLabel: 'Income', unit: 'money', better: 'higher' }
+];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// History is dropped so the scenario's arrangement applies across the whole year
+const copyChild = (child) => ({ ...child, weeklyPattern: { ...child.weeklyPattern }, history: [] });
+
+export const createScenario = (name, children, operatingWeeks) => ({
+  id: Date.now(),
+  name,
+  operatingWeeks,
+  children: children.map(copyChild)
+});
+
+export const updateScenarioChild = (scenario, childId, changes) => ({
+  ...scenario,
+  children: scenario.children.map(child => (child.id === childId ? { ...child, ...changes } : child))
+});
+
+// The real children with the scenario's copies swapped in, so sibling positions still count
+export const applyScenario = (children, scenario) => {
+  return children.map(child => scenario.children.find(copy => copy.id === child.id) || child);
+};
+
+// Hours used so far plus the funded share of each remaining week, up to the entitlement
+// available this year
+export const projectFundedHours = (child, hoursUsed, fundedWeekly, remainingWeeks, availableHours) => {
+  const projected = hoursUsed + Math.min(getWeeklyHours(child.weeklyPattern), fundedWeekly) * remainingWeeks;
+  const fundedUsed = Math.min(availableHours, projected);
+  return { fundedUsed: round(fundedUsed), unusedHours: round(Math.max(0, availableHours - fundedUsed)) };
+};
+
+export const sumScenarioRows = (rows) => Object.fromEntries(SCENARIO_METRICS.map(({ key }) => [
+  key,
+  round(rows.reduce((sum, row) => sum + row[key], 0))
+]));
+
+// Fields the planner lets you change, with the values they had in the real records
+export const getScenarioChanges = (scenario, children) => {
+  return scenario.children.flatMap(copy => {
+    const original = children.find(child => child.id === copy.id);
+    if (!original) return [];
+    return ['entitlement', 'weeklyPattern', 'stretchedOption']
+      .filter(field => JSON.stringify(original[field]) !== JSON.stringify(copy[field]))
+      .map(field => ({ child: copy, field, from: original[field], to: copy[field] }));
+  });
+};
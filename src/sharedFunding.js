@@ -0,0 +1,55 @@
+import { getScheme } from './fundingSchemes';
+import { todayISO } from './dates';
+
+// Some children take part of their entitlement at another provider, e.g. a childminder.
+// `child.sharedFunding` records the other provider's claim in hours a week, a term or a year,
+// and this setting's funding is worked out on the share that is left. A weekly claim runs
+// over the other provider's `weeks` a year, or the term-time weeks when they aren't given.
+export const SHARED_FUNDING_PERIODS = {
+  week: 'hours a week',
+  term: 'hours a term',
+  year: 'hours a year'
+};
+
+export const EMPTY_SHARED_FUNDING = { provider: '', hours: 0, per: 'week', weeks: null };
+
+const TERMS_PER_YEAR = 3;
+const MAX_WEEKS = 52;
+
+// Hours a year claimed at the other provider under the funding rules on the date
+export const getHoursClaimedElsewhere = (child, date = todayISO(), fundingYears) => {
+  const shared = child.sharedFunding;
+  if (!shared?.hours || !child.entitlement) return 0;
+  if (shared.per === 'year') return shared.hours;
+  const perYear = shared.per === 'term' ? TERMS_PER_YEAR : shared.weeks || getScheme(child.entitlement, date, fundingYears).weeksTermTime;
+  return Math.round(shared.hours * perYear * 100) / 100;
+};
+
+// The fraction of the entitlement left for this setting to claim
+export const getFundingShare = (child, date = todayISO(), fundingYears) => {
+  const elsewhere = getHoursClaimedElsewhere(child, date, fundingYears);
+  if (elsewhere === 0) return 1;
+  const { hoursPerYear } = getScheme(child.entitlement, date, fundingYears);
+  return Math.max(0, (hoursPerYear - elsewhere) / hoursPerYear);
+};
+
+export const validateSharedFunding = (shared) => {
+  const errors = [];
+  if (!shared) return errors;
+  if (!shared.provider.trim()) {
+    errors.push('Enter the name of the other provider.');
+  }
+  if (!(shared.hours > 0)) {
+    errors.push('Enter the funded hours claimed at the other provider.');
+  }
+  if (shared.per === 'week' && shared.weeks && !(shared.weeks >= 1 && shared.weeks <= MAX_WEEKS)) {
+    errors.push(`The other provider's weeks a year must be between 1 and ${MAX_WEEKS}.`);
+  }
+  return errors;
+};
+
+export const describeSharedFunding = (shared) => {
+  if (!shared) return 'None';
+  const over = shared.per === 'week' && shared.weeks ? ` over ${shared.weeks} weeks` : '';
+  return `${shared.hours} ${SHARED_FUNDING_PERIODS[shared.per]}${over} at ${shared.provider}`;
+};
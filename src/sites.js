@@ -0,0 +1,62 @@
+import { getAcademicYear, getTermStatus } from './termCalendar';
+import { getEnrolledShare } from './children';
+import { getIncomeForecast } from './income';
+import { getSiblingPosition } from './families';
+import { getAnnualFees, withUsage, summariseFunding } from './calculations';
+
+// Providers with several nurseries keep each site's children and settings separately
+export const DEFAULT_SITES = [{ id: 1, name: 'Main setting' }];
+
+// A new site starts empty; its other settings fall back to the defaults when first opened
+export const EMPTY_SITE_DATA = { children: [], families: [] };
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+export const createSite = (name) => ({ id: Date.now(), name: name.trim() || 'New setting' });
+
+// Funded hours, utilisation and income for one site's saved data
+export const getSiteSummary = (data, fundingYears) => {
+  const academicYear = getAcademicYear(data.termCalendar);
+  const fundedTermWeeks = getTermStatus(data.termCalendar)?.fundedWeeks || 38;
+  const activeChildren = data.children.filter(child => !child.archived);
+  const onRoll = data.children.filter(child => getEnrolledShare(child, academicYear) > 0);
+
+  const { totalChildren, totalFundedHours: fundedHours, totalUsedHours: usedHours, averageUtilisation } = summariseFunding(
+    withUsage(data.children, data.attendance, academicYear, { operatingWeeks: data.providerSettings.operatingWeeks, fundingYears }),
+    academicYear
+  );
+  const forecast = getIncomeForecast(onRoll, academicYear, data.rateProfiles, child => getAnnualFees(child, {
+    providerSettings: data.providerSettings,
+    fundedTermWeeks,
+    academicYear,
+    siblingPosition: getSiblingPosition(child, activeChildren),
+    fundingYears
+  }), fundingYears);
+
+  return {
+    children: totalChildren,
+    fundedHours: round(fundedHours),
+    usedHours: round(usedHours),
+    remainingHours: round(Math.max(0, fundedHours - usedHours)),
+    utilisation: averageUtilisation,
+    income: forecast.totals
+  };
+};
+
+// Adds up the site summaries; utilisation is weighted by each site's funded hours
+export const getOrganisationTotals = (summaries) => {
+  const sum = (pick) => round(summaries.reduce((total, summary) => total + pick(summary), 0));
+  const fundedHours = sum(s => s.fundedHours);
+  const usedHours = sum(s => s.usedHours);
+  return {
+    sites: summaries.length,
+    children: sum(s => s.children),
+    fundedHours,
+    usedHours,
+    remainingHours: sum(s => s.remainingHours),
+    utilisation: fundedHours > 0 ? Math.round((usedHours / fundedHours) * 100) : 0,
+    laIncome: sum(s => s.income.laIncome),
+    parentFees: sum(s => s.income.parentFees),
+    totalIncome: sum(s => s.income.total)
+  };
+};
@@ -0,0 +1,175 @@
+import { createFlatRateCard } from './rates';
+import { DEFAULT_ADDITIONAL_CHARGES } from './charges';
+import { createFamilyFor } from './families';
+import { EMPTY_ELIGIBILITY_CODE } from './eligibilityCodes';
+
+// Versioned persistence of calculator state in the browser's localStorage
+const STORAGE_KEY = 'childcare-funding-calculator';
+
+// Saved data that can't be loaded is copied here before the app saves over it
+export const BACKUP_KEY = `${STORAGE_KEY}-backup`;
+
+export const SCHEMA_VERSION = 11;
+
+// Migrations are keyed by the version they upgrade *to* and receive the data
+// saved under the previous version. Bump SCHEMA_VERSION and add an entry here
+// whenever the persisted shape changes.
+const mapChildren = (data, update) => (data.children ? { ...data, children: data.children.map(update) } : data);
+
+const MIGRATIONS = {
+  // Children gain parent eligibility flags, inferred from their chosen scheme
+  2: (data) => mapChildren(data, child => ({
+    ...child,
+    eligibility: child.eligibility || {
+      workingParents: ['extended_30', 'expanded_under2'].includes(child.entitlement),
+      meetsTwoYearCriteria: child.entitlement === 'eligible_2yr'
+    }
+  })),
+  // Children gain a history of edits with their effective dates
+  3: (data) => mapChildren(data, child => ({ ...child, history: child.history || [] })),
+  // Hours used now come from the attendance register; manual totals become an opening balance
+  4: (data) => ({
+    ...mapChildren(data, ({ hoursUsed, ...child }) => ({ ...child, openingHoursUsed: hoursUsed || 0 })),
+    attendance: data.attendance || {}
+  }),
+  // The single hourly rate is replaced by a rate card; keep the old rate for every age band
+  5: (data) => {
+    if (!data.providerSettings || data.providerSettings.rateCard) return data;
+    const { hourlyRate, ...providerSettings } = data.providerSettings;
+    return {
+      ...data,
+      providerSettings: hourlyRate === undefined ? providerSettings : { ...providerSettings, rateCard: createFlatRateCard(hourlyRate) }
+    };
+  },
+  // Children can attract LA funding supplements such as deprivation or SEN inclusion
+  6: (data) => mapChildren(data, child => ({ ...child, laSupplements: child.laSupplements || [] })),
+  // Flat meal and consumables charges become an itemised catalogue; the quote keeps the parent's choices
+  7: (data) => {
+    let migrated = data;
+    if (data.providerSettings && !data.providerSettings.additionalCharges) {
+      const { mealCharge, consumablesCharge, ...providerSettings } = data.providerSettings;
+      const prices = { lunch: mealCharge, consumables: consumablesCharge };
+      migrated = {
+        ...migrated,
+        providerSettings: {
+          ...providerSettings,
+          additionalCharges: DEFAULT_ADDITIONAL_CHARGES.map(charge => (
+            prices[charge.id] !== undefined ? { ...charge, price: prices[charge.id] } : charge
+          ))
+        }
+      };
+    }
+    if (data.quotation && !data.quotation.charges) {
+      const { includeMeals, mealsPerWeek, includeConsumables, ...quotation } = data.quotation;
+      const charges = {};
+      if (includeMeals === false) Object.assign(charges, { lunch: false, tea: false });
+      if (includeConsumables === false) charges.consumables = false;
+      migrated = { ...migrated, quotation: { ...quotation, charges } };
+    }
+    return migrated;
+  },
+  // Children are grouped into families; each existing child starts in a family of their own
+  // with the same id, and quotes and invoices are re-keyed by family
+  8: (data) => {
+    const children = data.children || [];
+    const families = data.families || children.map(child => createFamilyFor(child));
+    const familyName = (childId, fallback) => families.find(family => family.id === childId)?.name || fallback;
+    const { childId, ...quotation } = data.quotation || {};
+
+    return {
+      ...mapChildren(data, child => ({ ...child, familyId: child.familyId ?? child.id })),
+      families,
+      ...(data.quotation && { quotation: { ...quotation, familyId: data.quotation.familyId ?? childId ?? null } }),
+      ...(data.savedQuotes && {
+        savedQuotes: data.savedQuotes.map(({ childId: id, childName, childDob, schemeName, stretched, weeklyBooked, fundedWeekly, chargeableHours, lines, ...record }) => (
+          record.children ? record : {
+            ...record,
+            familyId: id,
+            familyName: familyName(id, childName),
+            children: [{ childId: id, childName, childDob, schemeName, stretched, weeklyBooked, fundedWeekly, chargeableHours, lines, weeklyTotal: record.weeklyTotal }]
+          }
+        ))
+      }),
+      ...(data.invoices && {
+        invoices: data.invoices.map(({ childId: id, childName, lines, ...invoice }) => (
+          invoice.children ? invoice : {
+            ...invoice,
+            familyId: id,
+            familyName: familyName(id, childName),
+            children: [{ childId: id, childName, month: invoice.month, summary: invoice.summary, lines, total: invoice.total }]
+          }
+        ))
+      })
+    };
+  },
+  // Working-parent schemes record the HMRC eligibility code and its reconfirmation date
+  9: (data) => mapChildren(data, child => ({ ...child, eligibilityCode: child.eligibilityCode || EMPTY_ELIGIBILITY_CODE })),
+  // Joiners and leavers: children are archived when they leave instead of being deleted
+  10: (data) => mapChildren(data, child => ({ startDate: '', leaveDate: '', archived: false, ...child })),
+  // Several sites: the existing data becomes the first site
+  11: ({ version, ...site }) => ({
+    sites: [{ id: 1, name: site.providerSettings?.providerName || 'Main setting' }],
+    activeSiteId: 1,
+    siteData: { 1: site }
+  })
+};
+
+export const migrateState = (data) => {
+  let migrated = data;
+  for (let version = (data.version || 0) + 1; version <= SCHEMA_VERSION; version++) {
+    if (MIGRATIONS[version]) {
+      migrated = MIGRATIONS[version](migrated);
+    }
+  }
+  return { ...migrated, version: SCHEMA_VERSION };
+};
+
+const backUp = (raw, problem) => {
+  console.warn(problem);
+  try {
+    window.localStorage.setItem(BACKUP_KEY, raw);
+    return `${problem} A copy has been kept under "${BACKUP_KEY}" in this browser's storage.`;
+  } catch (err) {
+    console.warn('Could not back up saved data', err);
+    return `${problem} It could not be backed up, so export anything you need before making changes.`;
+  }
+};
+
+// Returns the migrated state, or null when nothing is saved, and a problem to show the user
+// when saved data exists but can't be used
+export const loadState = () => {
+  let raw;
+  try {
+    raw = window.localStorage.getItem(STORAGE_KEY);
+  } catch (err) {
+    console.warn('Could not read saved data', err);
+    return { state: null, problem: null };
+  }
+  if (!raw) return { state: null, problem: null };
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    return { state: null, problem: backUp(raw, 'Your saved data could not be read.') };
+  }
+  if (data.version > SCHEMA_VERSION) {
+    return {
+      state: null,
+      problem: backUp(raw, `Your saved data is from a newer version (${data.version}) of the calculator and was not loaded.`)
+    };
+  }
+  try {
+    return { state: migrateState(data), problem: null };
+  } catch (err) {
+    return { state: null, problem: backUp(raw, 'Your saved data could not be upgraded to this version of the calculator.') };
+  }
+};
+
+export const saveState = (state) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...state, version: SCHEMA_VERSION }));
+  } catch (err) {
+    console.warn('Could not save data', err);
+  }
+};
@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SCHEMA_VERSION, BACKUP_KEY, loadState, saveState, migrateState } from './storage';
+import { createFlatRateCard } from './rates';
+
+const STORAGE_KEY = 'childcare-funding-calculator';
+
+// A minimal localStorage for running under Node
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+describe('loadState', () => {
+  beforeEach(() => {
+    globalThis.window = { localStorage: createStorage() };
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('loads nothing when nothing is saved', () => {
+    expect(loadState()).toEqual({ state: null, problem: null });
+  });
+
+  it('loads saved data from this version', () => {
+    const state = { sites: [{ id: 1, name: 'Main setting' }], activeSiteId: 1, siteData: {} };
+    saveState(state);
+    expect(loadState()).toEqual({ state: { ...state, version: SCHEMA_VERSION }, problem: null });
+  });
+
+  it('backs up data from a newer version before anything is saved over it', () => {
+    const raw = JSON.stringify({ version: SCHEMA_VERSION + 1, sites: [] });
+    window.localStorage.setItem(STORAGE_KEY, raw);
+
+    const { state, problem } = loadState();
+    expect(state).toBeNull();
+    expect(problem).toContain(`newer version (${SCHEMA_VERSION + 1})`);
+    expect(window.localStorage.getItem(BACKUP_KEY)).toBe(raw);
+
+    saveState({ sites: [], activeSiteId: 1, siteData: {} });
+    expect(window.localStorage.getItem(BACKUP_KEY)).toBe(raw);
+  });
+
+  it('backs up data that is not valid JSON', () => {
+    window.localStorage.setItem(STORAGE_KEY, '{"version": 11, "sites": [');
+
+    const { state, problem } = loadState();
+    expect(state).toBeNull();
+    expect(problem).toContain('could not be read');
+    expect(window.localStorage.getItem(BACKUP_KEY)).toBe('{"version": 11, "sites": [');
+  });
+});
+
+describe('migrateState', () => {
+  const v1 = {
+    version: 1,
+    children: [
+      { id: 3, name: 'Ava Jones', dob: '2022-10-01', entitlement: 'extended_30', weeklyPattern: { mon: 10 }, hoursUsed: 40, stretchedOption: false }
+    ],
+    providerSettings: { providerName: 'Little Oaks', hourlyRate: 6.5, mealCharge: 3, consumablesCharge: 1.25, operatingWeeks: 51 },
+    quotation: { childId: 3, includeMeals: false, includeConsumables: true, weeksToQuote: 4 }
+  };
+
+  it('brings data saved by the first version up to date', () => {
+    const state = migrateState(v1);
+    expect(state).toMatchObject({ version: SCHEMA_VERSION, sites: [{ id: 1, name: 'Little Oaks' }], activeSiteId: 1 });
+
+    const site = state.siteData[1];
+    expect(site.version).toBeUndefined();
+    expect(site.children).toEqual([{
+      id: 3,
+      name: 'Ava Jones',
+      dob: '2022-10-01',
+      entitlement: 'extended_30',
+      weeklyPattern: { mon: 10 },
+      stretchedOption: false,
+      eligibility: { workingParents: true, meetsTwoYearCriteria: false },
+      history: [],
+      openingHoursUsed: 40,
+      laSupplements: [],
+      familyId: 3,
+      eligibilityCode: { code: '', validFrom: '', reconfirmBy: '' },
+      startDate: '',
+      leaveDate: '',
+      archived: false
+    }]);
+    expect(site.attendance).toEqual({});
+    expect(site.families).toEqual([{ id: 3, name: 'Jones family', contacts: [], address: '' }]);
+    expect(site.quotation).toEqual({ weeksToQuote: 4, charges: { lunch: false, tea: false }, familyId: 3 });
+
+    const { rateCard, additionalCharges, ...settings } = site.providerSettings;
+    expect(settings).toEqual({ providerName: 'Little Oaks', operatingWeeks: 51 });
+    expect(rateCard).toEqual(createFlatRateCard(6.5));
+    expect(additionalCharges.find(charge => charge.id === 'lunch').price).toBe(3);
+    expect(additionalCharges.find(charge => charge.id === 'consumables').price).toBe(1.25);
+  });
+
+  it('re-keys saved quotes and invoices by family', () => {
+    const v7 = {
+      version: 7,
+      children: [{ id: 3, name: 'Ava Jones' }],
+      quotation: { childId: 3, charges: {} },
+      savedQuotes: [{ id: 10, childId: 3, childName: 'Ava Jones', weeklyBooked: 30, lines: [], weeklyTotal: 105 }],
+      invoices: [{ id: '2026-10-3', childId: 3, childName: 'Ava Jones', month: '2026-10', summary: { bookedHours: 90 }, lines: [], total: 286.5 }]
+    };
+    const site = migrateState(v7).siteData[1];
+    expect(site.children[0].familyId).toBe(3);
+    expect(site.quotation).toEqual({ charges: {}, familyId: 3 });
+    expect(site.savedQuotes).toEqual([{
+      id: 10,
+      weeklyTotal: 105,
+      familyId: 3,
+      familyName: 'Jones family',
+      children: [{
+        childId: 3, childName: 'Ava Jones', childDob: undefined, schemeName: undefined, stretched: undefined,
+        weeklyBooked: 30, fundedWeekly: undefined, chargeableHours: undefined, lines: [], weeklyTotal: 105
+      }]
+    }]);
+    expect(site.invoices).toEqual([{
+      id: '2026-10-3',
+      month: '2026-10',
+      summary: { bookedHours: 90 },
+      total: 286.5,
+      familyId: 3,
+      familyName: 'Jones family',
+      children: [{ childId: 3, childName: 'Ava Jones', month: '2026-10', summary: { bookedHours: 90 }, lines: [], total: 286.5 }]
+    }]);
+  });
+
+  it('keeps family records that are already re-keyed', () => {
+    const quote = { id: 10, familyId: 3, familyName: 'Jones family', children: [] };
+    const site = migrateState({ version: 7, families: [], savedQuotes: [quote] }).siteData[1];
+    expect(site.savedQuotes).toEqual([quote]);
+  });
+
+  it('moves a single setting\'s data into the first site', () => {
+    const v10 = { version: 10, children: [], providerSettings: { operatingWeeks: 48 }, termCalendar: [] };
+    expect(migrateState(v10)).toEqual({
+      sites: [{ id: 1, name: 'Main setting' }],
+      activeSiteId: 1,
+      siteData: { 1: { children: [], providerSettings: { operatingWeeks: 48 }, termCalendar: [] } },
+      version: SCHEMA_VERSION
+    });
+  });
+});
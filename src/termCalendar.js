@@ -0,0 +1,200 @@
+import { addDays, isWeekday, todayISO, formatDate } from './dates';
+
+// Term calendar: open days per academic year drive funded weeks and projections
+export const TERM_KEYS = ['autumn', 'spring', 'summer'];
+
+export const TERM_NAMES = {
+  autumn: 'Autumn',
+  spring: 'Spring',
+  summer: 'Summer'
+};
+
+export const CLOSURE_TYPES = {
+  bank_holiday: 'Bank holiday',
+  inset: 'INSET day',
+  other: 'Other closure'
+};
+
+// Typical English term dates - settings should edit these to match their LA
+export const DEFAULT_TERM_CALENDAR = [
+  {
+    id: '2024-25',
+    terms: {
+      autumn: { start: '2024-09-02', end: '2024-12-20', halfTermStart: '2024-10-28', halfTermEnd: '2024-11-01' },
+      spring: { start: '2025-01-06', end: '2025-04-04', halfTermStart: '2025-02-17', halfTermEnd: '2025-02-21' },
+      summer: { start: '2025-04-22', end: '2025-07-22', halfTermStart: '2025-05-26', halfTermEnd: '2025-05-30' }
+    },
+    closures: [
+      { date: '2024-09-02', type: 'inset', label: 'INSET day' },
+      { date: '2024-09-03', type: 'inset', label: 'INSET day' },
+      { date: '2025-01-06', type: 'inset', label: 'INSET day' },
+      { date: '2025-04-22', type: 'inset', label: 'INSET day' },
+      { date: '2025-05-05', type: 'bank_holiday', label: 'Early May bank holiday' },
+      { date: '2025-07-22', type: 'inset', label: 'INSET day' }
+    ]
+  },
+  {
+    id: '2025-26',
+    terms: {
+      autumn: { start: '2025-09-03', end: '2025-12-19', halfTermStart: '2025-10-27', halfTermEnd: '2025-10-31' },
+      spring: { start: '2026-01-05', end: '2026-03-27', halfTermStart: '2026-02-16', halfTermEnd: '2026-02-20' },
+      summer: { start: '2026-04-13', end: '2026-07-21', halfTermStart: '2026-05-25', halfTermEnd: '2026-05-29' }
+    },
+    closures: [
+      { date: '2025-09-03', type: 'inset', label: 'INSET day' },
+      { date: '2025-09-04', type: 'inset', label: 'INSET day' },
+      { date: '2026-01-05', type: 'inset', label: 'INSET day' },
+      { date: '2026-04-13', type: 'inset', label: 'INSET day' },
+      { date: '2026-05-04', type: 'bank_holiday', label: 'Early May bank holiday' }
+    ]
+  },
+  {
+    id: '2026-27',
+    terms: {
+      autumn: { start: '2026-09-02', end: '2026-12-18', halfTermStart: '2026-10-26', halfTermEnd: '2026-10-30' },
+      spring: { start: '2027-01-04', end: '2027-03-25', halfTermStart: '2027-02-15', halfTermEnd: '2027-02-19' },
+      summer: { start: '2027-04-12', end: '2027-07-21', halfTermStart: '2027-05-31', halfTermEnd: '2027-06-04' }
+    },
+    closures: [
+      { date: '2026-09-02', type: 'inset', label: 'INSET day' },
+      { date: '2026-09-03', type: 'inset', label: 'INSET day' },
+      { date: '2027-01-04', type: 'inset', label: 'INSET day' },
+      { date: '2027-04-12', type: 'inset', label: 'INSET day' },
+      { date: '2027-05-03', type: 'bank_holiday', label: 'Early May bank holiday' }
+    ]
+  }
+];
+
+const DAYS_PER_WEEK = 5;
+
+const yearStart = (year) => year.terms.autumn.start;
+const yearEnd = (year) => year.terms.summer.end;
+
+// The academic year containing the date, else the next one to start, else the latest
+export const getAcademicYear = (calendar, date = todayISO()) => {
+  const sorted = [...calendar].sort((a, b) => yearStart(a).localeCompare(yearStart(b)));
+  return sorted.find(year => date <= yearEnd(year)) || sorted[sorted.length - 1] || null;
+};
+
+export const getTermFor = (year, date) => {
+  return TERM_KEYS.find(key => date >= year.terms[key].start && date <= year.terms[key].end) || null;
+};
+
+export const isOpenDay = (year, date) => {
+  if (!isWeekday(date)) return false;
+
+  const termKey = getTermFor(year, date);
+  if (!termKey) return false;
+
+  const { halfTermStart, halfTermEnd } = year.terms[termKey];
+  if (halfTermStart && halfTermEnd && date >= halfTermStart && date <= halfTermEnd) return false;
+
+  return !year.closures.some(closure => closure.date === date);
+};
+
+// Open days between two dates, inclusive
+export const countOpenDays = (year, from, to) => {
+  if (!from || !to) return 0;
+
+  let count = 0;
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (isOpenDay(year, date)) count++;
+  }
+  return count;
+};
+
+export const getOpenDaysByTerm = (year) => {
+  return TERM_KEYS.reduce((days, key) => ({
+    ...days,
+    [key]: countOpenDays(year, year.terms[key].start, year.terms[key].end)
+  }), {});
+};
+
+// Funded term-time weeks, counted in five-day weeks of real open days
+export const getFundedWeeks = (year) => {
+  if (!year) return 38;
+  return countOpenDays(year, yearStart(year), yearEnd(year)) / DAYS_PER_WEEK;
+};
+
+export const getTermStatus = (calendar, date = todayISO()) => {
+  const year = getAcademicYear(calendar, date);
+  if (!year) return null;
+
+  const openDays = countOpenDays(year, yearStart(year), yearEnd(year));
+  const openDaysBefore = date > yearStart(year) ? countOpenDays(year, yearStart(year), addDays(date, -1)) : 0;
+  const currentTerm = getTermFor(year, date);
+  const nextTerm = TERM_KEYS.find(key => year.terms[key].start > date);
+  const termKey = currentTerm || nextTerm || 'summer';
+  const term = year.terms[termKey];
+  const termLabel = `${TERM_NAMES[termKey]} Term ${term.start.slice(0, 4)}`;
+
+  let label = termLabel;
+  if (!currentTerm && nextTerm) {
+    label = `${termLabel} starts ${formatDate(term.start)}`;
+  } else if (!currentTerm) {
+    label = `${year.id} ended`;
+  } else if (!isOpenDay(year, date) && date >= term.halfTermStart && date <= term.halfTermEnd) {
+    label = `${termLabel} (half term)`;
+  }
+
+  const totalWeeks = Math.round(openDays / DAYS_PER_WEEK);
+  return {
+    academicYear: year.id,
+    termKey,
+    label,
+    inTerm: Boolean(currentTerm),
+    week: Math.min(totalWeeks, Math.floor(openDaysBefore / DAYS_PER_WEEK) + 1),
+    totalWeeks,
+    fundedWeeks: openDays / DAYS_PER_WEEK,
+    weeksElapsed: openDaysBefore / DAYS_PER_WEEK,
+    weeksRemaining: (openDays - openDaysBefore) / DAYS_PER_WEEK
+  };
+};
+
+export const validateAcademicYear = (year) => {
+  const errors = [];
+  TERM_KEYS.forEach((key, index) => {
+    const term = year.terms[key];
+    const name = TERM_NAMES[key];
+    if (!term.start || !term.end) {
+      errors.push(`${name} term needs a start and end date.`);
+      return;
+    }
+    if (term.start > term.end) {
+      errors.push(`${name} term ends before it starts.`);
+    }
+    if (term.halfTermStart && term.halfTermEnd &&
+        (term.halfTermStart > term.halfTermEnd || term.halfTermStart < term.start || term.halfTermEnd > term.end)) {
+      errors.push(`${name} half term must fall within the term.`);
+    }
+    const previous = index > 0 ? year.terms[TERM_KEYS[index - 1]] : null;
+    if (previous && previous.end && term.start <= previous.end) {
+      errors.push(`${name} term starts before the ${TERM_NAMES[TERM_KEYS[index - 1]].toLowerCase()} term ends.`);
+    }
+  });
+  return errors;
+};
+
+// Copies the latest academic year 52 weeks forward so weekdays line up
+export const createNextAcademicYear = (calendar) => {
+  const latest = [...calendar].sort((a, b) => yearStart(b).localeCompare(yearStart(a)))[0];
+  const shift = (date) => (date ? addDays(date, 364) : date);
+  const startYear = parseInt(latest.id.slice(0, 4)) + 1;
+
+  return {
+    id: `${startYear}-${String(startYear + 1).slice(2)}`,
+    terms: TERM_KEYS.reduce((terms, key) => {
+      const term = latest.terms[key];
+      return {
+        ...terms,
+        [key]: {
+          start: shift(term.start),
+          end: shift(term.end),
+          halfTermStart: shift(term.halfTermStart),
+          halfTermEnd: shift(term.halfTermEnd)
+        }
+      };
+    }, {}),
+    closures: latest.closures.map(closure => ({ ...closure, date: shift(closure.date) }))
+  };
+};
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TERM_CALENDAR, getAcademicYear, getTermFor, isOpenDay, countOpenDays, getOpenDaysByTerm, getFundedWeeks,
+  getTermStatus, validateAcademicYear, createNextAcademicYear
+} from './termCalendar';
+
+const year = getAcademicYear(DEFAULT_TERM_CALENDAR, '2026-10-19');
+
+describe('academic years', () => {
+  it('finds the year containing the date, else the next to start, else the latest', () => {
+    expect(year.id).toBe('2026-27');
+    expect(getAcademicYear(DEFAULT_TERM_CALENDAR, '2025-12-01').id).toBe('2025-26');
+    expect(getAcademicYear(DEFAULT_TERM_CALENDAR, '2026-08-20').id).toBe('2026-27');
+    expect(getAcademicYear(DEFAULT_TERM_CALENDAR, '2030-01-01').id).toBe('2026-27');
+    expect(getAcademicYear([], '2026-10-19')).toBeNull();
+  });
+
+  it('finds the term a date falls in', () => {
+    expect(getTermFor(year, '2026-10-27')).toBe('autumn');
+    expect(getTermFor(year, '2027-02-01')).toBe('spring');
+    expect(getTermFor(year, '2026-12-25')).toBeNull();
+  });
+});
+
+describe('open days', () => {
+  it('leaves out weekends, holidays, half terms and closures', () => {
+    expect(isOpenDay(year, '2026-10-19')).toBe(true);
+    expect(isOpenDay(year, '2026-10-24')).toBe(false);
+    expect(isOpenDay(year, '2026-10-27')).toBe(false);
+    expect(isOpenDay(year, '2026-12-25')).toBe(false);
+    expect(isOpenDay(year, '2026-09-02')).toBe(false);
+    expect(isOpenDay(year, '2027-05-03')).toBe(false);
+  });
+
+  it('counts open days by term and in funded weeks', () => {
+    expect(countOpenDays(year, '2026-10-19', '2026-11-01')).toBe(5);
+    expect(countOpenDays(year, '', '2026-11-01')).toBe(0);
+    expect(getOpenDaysByTerm(year)).toEqual({ autumn: 71, spring: 53, summer: 66 });
+    expect(getFundedWeeks(year)).toBe(38);
+    expect(getFundedWeeks(null)).toBe(38);
+  });
+});
+
+describe('getTermStatus', () => {
+  it('gives the term, week and funded weeks left', () => {
+    expect(getTermStatus(DEFAULT_TERM_CALENDAR, '2026-10-19')).toEqual({
+      academicYear: '2026-27',
+      termKey: 'autumn',
+      label: 'Autumn Term 2026',
+      inTerm: true,
+      week: 7,
+      totalWeeks: 38,
+      fundedWeeks: 38,
+      weeksElapsed: 6.2,
+      weeksRemaining: 31.8
+    });
+  });
+
+  it('labels half terms, holidays and the end of the year', () => {
+    expect(getTermStatus(DEFAULT_TERM_CALENDAR, '2026-10-27').label).toBe('Autumn Term 2026 (half term)');
+    expect(getTermStatus(DEFAULT_TERM_CALENDAR, '2026-12-25')).toMatchObject({
+      termKey: 'spring', label: 'Spring Term 2027 starts 4 Jan 2027', inTerm: false
+    });
+    expect(getTermStatus(DEFAULT_TERM_CALENDAR, '2027-08-01')).toMatchObject({ label: '2026-27 ended', weeksRemaining: 0 });
+    expect(getTermStatus([], '2026-10-19')).toBeNull();
+  });
+});
+
+describe('editing the calendar', () => {
+  it('rejects terms that overlap or half terms outside their term', () => {
+    expect(validateAcademicYear(year)).toEqual([]);
+    const spring = { ...year.terms.spring, start: '2026-12-01', halfTermStart: '2027-04-01' };
+    expect(validateAcademicYear({ ...year, terms: { ...year.terms, spring } })).toEqual([
+      'Spring half term must fall within the term.',
+      'Spring term starts before the autumn term ends.'
+    ]);
+    const autumn = { ...year.terms.autumn, end: '' };
+    expect(validateAcademicYear({ ...year, terms: { ...year.terms, autumn } })).toEqual(['Autumn term needs a start and end date.']);
+  });
+
+  it('copies the latest year 52 weeks on so weekdays line up', () => {
+    const next = createNextAcademicYear(DEFAULT_TERM_CALENDAR);
+    expect(next.id).toBe('2027-28');
+    expect(next.terms.autumn).toEqual({ start: '2027-09-01', end: '2027-12-17', halfTermStart: '2027-10-25', halfTermEnd: '2027-10-29' });
+    expect(next.closures[4]).toEqual({ date: '2028-05-01', type: 'bank_holiday', label: 'Early May bank holiday' });
+    expect(validateAcademicYear(next)).toEqual([]);
+  });
+});